@@ -39,6 +39,16 @@ module.exports = {
         "max-len": "warning",
         "error-reason": "warning",
         "visibility-first": "warning",
+        "max-function-lines": "warning",
+        "max-nesting-depth": "warning",
+        "complexity": "warning",
+
+        // Opt-in rules that overlap with other core rules
+        "naming-convention": "off",
+        "file-layout": "off",
+
+        // Opt-in since it requires documenting the entire public interface of contracts
+        "natspec": "off",
 
         // Turn OFF all deprecated rules
         "double-quotes": "off",
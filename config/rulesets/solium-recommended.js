@@ -38,6 +38,12 @@ module.exports = {
         "function-order": "off",
         "conditionals-whitespace": "off",
         "no-experimental": "off",
+        "naming-convention": "off",
+        "file-layout": "off",
+        "natspec": "off",
+        "max-function-lines": "off",
+        "max-nesting-depth": "off",
+        "complexity": "off",
         "visibility-first": "warning",
 
         // Disable deprecated rules
@@ -6,6 +6,7 @@
 // A fully qualified object for this Schema is:
 /*
 {
+	"root": true,
 	"plugins": [
 		"satoshi"
 	],
@@ -25,7 +26,13 @@
 		"double-quotes": [2, "double"],
 		"satoshi/nakamoto": "error"
 	},
-	"options": { "autofix": true, "returnInternalIssues": true }
+	"overrides": [
+		{
+			"files": ["test/*.sol", "mocks/*.sol"],
+			"rules": { "no-empty-blocks": "off" }
+		}
+	],
+	"options": { "autofix": true, "returnInternalIssues": true, "filename": "contracts/Foo.sol" }
 }
 */
 
@@ -39,6 +46,16 @@ let severityString = { type: "string", enum: ["off", "warning", "error"] },
         items: [{ oneOf: [severityString, severityInt] }]
     };
 
+let rulesSchema = {
+    type: "object",
+    patternProperties: {
+        "^.+$": {
+            oneOf: [severityString, severityInt, severityArray]
+        }
+    },
+    additionalProperties: false
+};
+
 let Schema = {
     type: "object",
 
@@ -50,6 +67,9 @@ let Schema = {
 
     properties: {
 
+        // Stop looking for soliumrc files in parent directories once a config with this flag is found
+        root: { type: "boolean" },
+
         plugins: {
             type: "array",
             items: {
@@ -62,14 +82,25 @@ let Schema = {
             minLength: 1
         },
 
-        rules: {
-            type: "object",
-            patternProperties: {
-                "^.+$": {
-                    oneOf: [severityString, severityInt, severityArray]
-                }
-            },
-            additionalProperties: false
+        rules: rulesSchema,
+
+        // Rule configurations that only apply to files matching the given glob patterns
+        overrides: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    files: {
+                        oneOf: [
+                            { type: "string", minLength: 1 },
+                            { type: "array", minItems: 1, items: { type: "string", minLength: 1 } }
+                        ]
+                    },
+                    rules: rulesSchema
+                },
+                required: ["files", "rules"],
+                additionalProperties: false
+            }
         },
 
         options: {
@@ -77,7 +108,12 @@ let Schema = {
             properties: {
                 autofix: { type: "boolean" },
                 debug: { type: "boolean" },
-                returnInternalIssues: { type: "boolean" }
+                returnInternalIssues: { type: "boolean" },
+                filename: { type: "string", minLength: 1 },
+                maxFixPasses: { type: "integer", minimum: 1 },
+                fixRules: { type: "array", items: { type: "string", minLength: 1 } },
+                fixTypes: { type: "array", items: { type: "string", enum: ["problem", "suggestion", "layout"] } },
+                reportUnusedDisableDirectives: { type: "boolean" }
             },
             additionalProperties: false
         }
@@ -23,6 +23,8 @@
 
 		"fixable": "code",
 
+		"type": "suggestion",
+
 		"deprecated": true
 	},
 
@@ -72,6 +74,11 @@ let Schema = {
                     type: "string", enum: ["code", "whitespace"]
                 },
 
+                // Category of the issues reported (& fixes supplied) by the rule
+                type: {
+                    type: "string", enum: ["problem", "suggestion", "layout"]
+                },
+
                 deprecated: { type: "boolean" }
 
             },
@@ -22,7 +22,15 @@
 	},
 	"fix": function (fixer) {
 		// ...
-	}
+	},
+	"suggest": [
+		{
+			"desc": "Remove the statement",
+			"fix": function (fixer) {
+				// ...
+			}
+		}
+	]
 }
 */
 
@@ -45,6 +53,22 @@ let Schema = {
         message: { type: "string", minLength: 1 },
         node: astNode,
         fix: { shouldBeOfTypeFunction: true },
+
+        // Fixes that are never applied automatically, but can be chosen by the user (eg- via an editor)
+        suggest: {
+            type: "array",
+            minItems: 1,
+            items: {
+                type: "object",
+                properties: {
+                    desc: { type: "string", minLength: 1 },
+                    fix: { shouldBeOfTypeFunction: true }
+                },
+                required: ["desc", "fix"],
+                additionalProperties: false
+            }
+        },
+
         location: {
             type: "object",
             properties: {
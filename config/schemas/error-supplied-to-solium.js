@@ -9,6 +9,7 @@
 let Ajv = require("ajv"),
     astNode = require("./ast-node"),
     coreRule = require("./core-rule").Schema,
+    errorReportedByRule = require("./error-reported-by-rule").schema,
     SchemaValidator = new Ajv({ allErrors: true });
 
 
@@ -26,6 +27,7 @@ let Schema = {
         message: { type: "string", minLength: 1 },
         node: astNode,
         fix: { shouldBeOfTypeFunction: true },
+        suggest: errorReportedByRule.properties.suggest,
         ruleName: { type: "string", minLength: 1 },
         ruleMeta: coreRule.properties.meta,
         type: { type: "string", enum: ["error", "warning"] },
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Schema of a Solium reporter, whether core or third-party.
+ * Uses the SchemaValidator of core-rule schema since it defines the "shouldBeOfTypeFunction" constraint.
+ */
+
+"use strict";
+
+// A fully qualified object for this Schema is:
+/*
+{
+	"report": function (filename, sourceCode, lintErrors, fixesApplied) {},
+	"reportFatal": function (message) {},
+	"reportInternal": function (message) {},
+	"finalize": function () {},
+	"reportsCleanFiles": true
+}
+*/
+
+let SchemaValidator = require("./core-rule").SchemaValidator;
+
+
+let Schema = {
+
+    type: "object",
+
+    properties: {
+        report: { shouldBeOfTypeFunction: true },
+        reportFatal: { shouldBeOfTypeFunction: true },
+        reportInternal: { shouldBeOfTypeFunction: true },
+        finalize: { shouldBeOfTypeFunction: true },
+        reportsCleanFiles: { type: "boolean" }
+    },
+
+    required: ["report", "reportFatal", "reportInternal"]
+
+};
+
+
+module.exports = { Schema: Schema, validationFunc: SchemaValidator.compile(Schema) };
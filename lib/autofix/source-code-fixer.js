@@ -24,9 +24,11 @@ module.exports = {
 	 * Apply fixes to source code depending on whichever errors can be fixed.
 	 * @param {String} sourceCode Code to fix
 	 * @param {Array} errorMessages Error objects that describe the error and possibly how to fix it.
+	 * @param {Function} shouldApplyFix (optional) Function that receives an error object with a fix & returns
+	 * whether to apply the fix. Errors whose fixes aren't applied remain un-fixed. All fixes are applied by default.
 	 * @returns {Object} fixed Contains fixed code and information about fixes applied & remaining un-fixed errors.
 	 */
-    applyFixes: function(sourceCode, errorMessages) {
+    applyFixes: function(sourceCode, errorMessages, shouldApplyFix) {
         let fixedSourceCode = "", fixes = [], fixesApplied = [], remainingMessages = [];
         let cursor = Number.NEGATIVE_INFINITY;
 
@@ -48,7 +50,7 @@ module.exports = {
 
         // Segregate errors that can be fixed from those that can't for sure.
         errorMessages.forEach(function(msg) {
-            if (msg.fix) {
+            if (msg.fix && (!shouldApplyFix || shouldApplyFix(msg))) {
                 // If msg.fix is an Array of fix packets, merge them into a single fix packet.
                 try {
                     msg.fix = mergeFixes(msg.fix, sourceCode);
@@ -82,6 +84,62 @@ module.exports = {
             fixedSourceCode: fixedSourceCode,
             remainingErrorMessages: remainingMessages
         };
+    },
+
+    /**
+	 * Lint & apply fixes to source code repeatedly, until no more fixes can be applied or maxPasses is reached.
+	 * This way, fixes skipped due to overlapping other fixes get applied in the subsequent passes.
+	 * If a pass re-creates the code of a previous pass, the fixes applied since then undo each other.
+	 * In that case, the code of the previous pass is used and the rules whose fixes undo each other are returned.
+	 * @param {String} sourceCode Code to fix
+	 * @param {Function} lint Function that receives source code & returns the error objects found in it
+	 * @param {Integer} maxPasses Maximum number of passes in which fixes are applied
+	 * @param {Function} shouldApplyFix (optional) Function that determines whether to apply a fix (see applyFixes())
+	 * @returns {Object} fixed Contains fixed code, fixes applied, number of passes in which they were applied,
+	 * remaining errors in the fixed code and the (sorted) names of rules whose fixes oscillate.
+	 */
+    applyFixesRepeatedly: function(sourceCode, lint, maxPasses, shouldApplyFix) {
+        // Source code after every pass (starting with the original code) & the fixes applied in each pass
+        let history = [sourceCode], fixesInPass = [[]], oscillatingRules = [], errorMessages;
+
+        while (true) {  // eslint-disable-line no-constant-condition
+            let code = history [history.length - 1];
+
+            errorMessages = lint(code);
+
+            if (oscillatingRules.length || history.length > maxPasses) {
+                break;
+            }
+
+            let fixed = this.applyFixes(code, errorMessages, shouldApplyFix);
+
+            if (!fixed.fixesApplied.length) {
+                errorMessages = fixed.remainingErrorMessages;
+                break;
+            }
+
+            let previousPass = history.indexOf(fixed.fixedSourceCode);
+
+            if (previousPass > -1) {
+                let fixesUndone = [].concat(...fixesInPass.slice(previousPass + 1), fixed.fixesApplied);
+
+                oscillatingRules = Array.from(new Set(fixesUndone.map(msg => msg.ruleName))).sort();
+                history = history.slice(0, previousPass + 1);
+                fixesInPass = fixesInPass.slice(0, previousPass + 1);
+                continue;
+            }
+
+            history.push(fixed.fixedSourceCode);
+            fixesInPass.push(fixed.fixesApplied);
+        }
+
+        return {
+            fixesApplied: [].concat(...fixesInPass),
+            fixedSourceCode: history [history.length - 1],
+            remainingErrorMessages: errorMessages,
+            passes: history.length - 1,
+            oscillatingRules: oscillatingRules
+        };
     }
 
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Lint source code on behalf of the CLI, either in the main thread or inside a lint worker.
+ */
+
+"use strict";
+
+const solium = require("../solium");
+
+
+/**
+ * Lint (and, if autofix is enabled, fix) a source code string.
+ * The result only contains data that can be passed between threads, so errors thrown by Solium are
+ * returned as plain objects instead of being thrown.
+ * @param {String} sourceCode The source code to lint
+ * @param {Object} userConfig User configuration
+ * @param {Object} additionalConfigs (optional) Rule configs applied along with the user configuration's, see Linter.lint()
+ * @returns {Object} result Object of the form { lintErrors, fixesApplied, fixedSourceCode } or { error }
+ */
+function lintSource(sourceCode, userConfig, additionalConfigs) {
+    try {
+        if (userConfig.options.autofix) {
+            const result = solium.lintAndFix(sourceCode, userConfig, false, additionalConfigs);
+
+            return {
+                lintErrors: result.errorMessages,
+                fixesApplied: result.fixesApplied,
+                fixedSourceCode: result.fixedSourceCode
+            };
+        }
+
+        return { lintErrors: solium.lint(sourceCode, userConfig, false, additionalConfigs) };
+    } catch (e) {
+        const { name, message, stack, found, location } = e;
+        return { error: { name, message, stack, found, location } };
+    }
+}
+
+
+module.exports = {
+    lintSource
+};
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Entry point of the worker threads the CLI lints files in when --jobs is used.
+ * Every worker thread loads its own copy of Solium, so the workers don't share any linter state.
+ * Only ever loaded as a worker, since worker_threads isn't available in every supported version of Node.js.
+ */
+
+"use strict";
+
+const { parentPort } = require("worker_threads"),
+    { lintSource } = require("./lint-source");
+
+
+// Lint every source code received from the main thread & send back the result
+parentPort.on("message", ({ id, sourceCode, userConfig, additionalConfigs }) => {
+    parentPort.postMessage({ id, result: lintSource(sourceCode, userConfig, additionalConfigs) });
+});
@@ -9,20 +9,37 @@ let cli = require("commander"),
     fs = require("fs"),
     fsUtils = require("./utils/fs-utils"),
     path = require("path"),
+    util = require("util"),
     { EOL } = require("os"),
     chokidar = require("chokidar"),
     traverse = require("sol-digger"),
-    solium = require("./solium"),
+    { lintSource } = require("./cli-utils/lint-source"),
+    configCascade = require("./utils/config-cascade"),
+    baselineUtils = require("./utils/baseline"),
+    lintCache = require("./utils/lint-cache"),
+    gitUtils = require("./utils/git-utils"),
+    diffUtils = require("./utils/diff-utils"),
+    configPrinter = require("./utils/config-printer"),
+    ruleLoader = require("./utils/rule-loader"),
+    reporterUtils = require("./utils/reporter-utils"),
+    isAValidReporter = require("../config/schemas/reporter").validationFunc,
     sum = require("lodash/sum"),
     version = require("../package.json").version;
 
 let CWD = process.cwd(),
-    SOLIUMRC_FILENAME = ".soliumrc.json",
+    SOLIUMRC_FILENAME = configCascade.SOLIUMRC_FILENAME,
     SOLIUMRC_FILENAME_ABSOLUTE = path.join(CWD, SOLIUMRC_FILENAME),
     SOLIUMIGNORE_FILENAME = ".soliumignore",
     SOLIUMIGNORE_FILENAME_ABSOLUTE = path.join(CWD, SOLIUMIGNORE_FILENAME),
     DEFAULT_SOLIUMIGNORE_PATH = `${__dirname}/cli-utils/.default-solium-ignore`,
-    DEFAULT_SOLIUMRC_PATH = `${__dirname}/cli-utils/.default-soliumrc.json`;
+    DEFAULT_SOLIUMRC_PATH = `${__dirname}/cli-utils/.default-soliumrc.json`,
+    LINT_WORKER_PATH = `${__dirname}/cli-utils/lint-worker.js`;
+
+// Categories of fixes that can be chosen using --fix-type
+let FIX_TYPES = ["problem", "suggestion", "layout"];
+
+// Core reporters whose output stays readable when the diff of --fix-dry-run is printed along with it
+let TEXT_REPORTERS = ["pretty", "gcc"];
 
 let errorCodes = { ERRORS_FOUND: 1, NO_SOLIUMRC: 3, WRITE_FAILED: 4, INVALID_PARAMS: 5, FILE_NOT_FOUND: 6 };
 
@@ -79,27 +96,38 @@ function createDefaultConfigJSON() {
 }
 
 /**
- * Lint a source code string based on user settings. If autofix is enabled, write the fixed code back to file.
- * @param {String} sourceCode The source code to be linted
- * @param {Object} userConfig User configuration
+ * Read the source code of a file to lint. Exits if the file can't be read.
+ * @param {String} fileName The path to the file
  * @param {Object} errorReporter The error reporter to use
- * @param {String} fileName (optional) File name to use when reporting errors
- * @returns {Integer} numOfErrors Number of Lint ERRORS that occured.
+ * @returns {String} sourceCode Contents of the file
  */
-function lintString(sourceCode, userConfig, errorReporter, fileName) {
-    let lintErrors, fixesApplied;
-
+function readSourceFile(fileName, errorReporter) {
     try {
-        if (userConfig.options.autofix) {
-            let result = solium.lintAndFix(sourceCode, userConfig);
-
-            lintErrors = result.errorMessages;
-            result.fixesApplied.length && fs.writeFileSync(fileName, result.fixedSourceCode);
-            fixesApplied = result.fixesApplied;
-        } else {
-            lintErrors = solium.lint(sourceCode, userConfig);
-        }
+        return fs.readFileSync(fileName, "utf8");
     } catch (e) {
+        errorReporter.reportFatal("Unable to read " + fileName + ": " + e.message);
+        process.exit(errorCodes.FILE_NOT_FOUND);
+    }
+}
+
+/**
+ * Handle the result of linting a source code string: write the fixed code back to file (if autofix is enabled),
+ * apply the changed lines & baseline filters and report the remaining issues.
+ * @param {Object} task Object of the form { fileName, sourceCode, userConfig, additionalConfigs, changedLines, diffOutput }
+ * describing what was linted. changedLines (optional) is a list of [start, end] line ranges. If supplied, only issues on these lines
+ * are reported. If diffOutput (like process.stdout) is supplied, a diff of the fixes is written to it instead of
+ * writing them to the file.
+ * @param {Object} result Result of linting the source code, as returned by lintSource()
+ * @param {Object} errorReporter The error reporter to use
+ * @param {Object} baseline (optional) Object of the form { data, update }. If update is true, the issues found are
+ * recorded in the baseline data. Otherwise, issues recorded in it are not reported.
+ * @returns {Integer} numOfErrors Number of Lint ERRORS that occured.
+ */
+function reportLintResult(task, result, errorReporter, baseline) {
+    const { fileName, sourceCode, userConfig, changedLines, diffOutput } = task;
+    let { lintErrors, fixesApplied } = result, e = result.error;
+
+    if (e) {
         // Don't abort in case of a parse error, just report it as a normal lint issue.
         if (e.name !== "SyntaxError") {
             if (userConfig.options.debug) {
@@ -119,9 +147,29 @@ function lintString(sourceCode, userConfig, errorReporter, fileName) {
         }];
     }
 
-    // If any lint/internal errors/warnings exist, report them
-    lintErrors.length &&
-        errorReporter.report(fileName, sourceCode, lintErrors, fixesApplied);
+    // When fixes are applied, the remaining issues are the ones found in the fixed source code
+    let lintedSourceCode = sourceCode;
+
+    if (fixesApplied && fixesApplied.length) {
+        diffOutput ? diffOutput.write(diffUtils.createUnifiedDiff(fileName, sourceCode, result.fixedSourceCode)) :
+            fs.writeFileSync(fileName, result.fixedSourceCode);
+        lintedSourceCode = result.fixedSourceCode;
+    }
+
+    if (changedLines) {
+        lintErrors = lintErrors.filter(issue => issue.internal || gitUtils.isLineInRanges(issue.line, changedLines));
+    }
+
+    if (baseline && baseline.update) {
+        baselineUtils.addIssues(baseline.data, fileName, lintedSourceCode, lintErrors);
+    } else if (baseline) {
+        lintErrors = baselineUtils.filterIssues(baseline.data, fileName, lintedSourceCode, lintErrors);
+    }
+
+    // If any lint/internal errors/warnings exist or fixes were applied, report them.
+    // Reporters that list every linted file are also told about files without any.
+    (lintErrors.length || (fixesApplied && fixesApplied.length) || errorReporter.reportsCleanFiles) &&
+        errorReporter.report(fileName, lintedSourceCode, lintErrors, fixesApplied);
 
     return lintErrors.reduce(function(numOfErrors, err) {
         return err.type === "error" ? numOfErrors+1 : numOfErrors;
@@ -129,34 +177,91 @@ function lintString(sourceCode, userConfig, errorReporter, fileName) {
 }
 
 /**
- * Lint a file based on user settings
- * @param {String} fileName The path to the file to be linted
- * @param {Object} userConfig User configuration
- * @param {Object} errorReporter The error reporter to use
- * @returns {Integer} numOfErrors Number of Lint ERRORS that occured (the result returned by lintString())
+ * Determine whether worker threads can be used to lint files. worker_threads is only loaded when required,
+ * so that the CLI keeps working on versions of Node.js that don't have it.
+ * @returns {Boolean} available
  */
-function lintFile(fileName, userConfig, errorReporter) {
-    let sourceCode;
-
+function areWorkerThreadsAvailable() {
     try {
-        sourceCode = fs.readFileSync(fileName, "utf8");
+        require("worker_threads");
+        return true;
     } catch (e) {
-        errorReporter.reportFatal("Unable to read " + fileName + ": " + e.message);
-        process.exit(errorCodes.FILE_NOT_FOUND);
+        return false;
     }
+}
+
+/**
+ * Lint files using a pool of worker threads, each running its own instance of Solium.
+ * Results are handed over in the order of the tasks, regardless of the order in which workers finish linting them.
+ * @param {Array} tasks List of { fileName, userConfig, additionalConfigs } objects describing the files to lint
+ * @param {Integer} jobs Maximum number of worker threads to use
+ * @param {Function} getSourceCode Function that returns the source code to lint for a task
+ * @param {Function} onResult Function called with every task & the result of linting it (as returned by lintSource())
+ * @returns {Promise} done Promise resolved once all tasks have been linted & handed over
+ */
+function lintInWorkers(tasks, jobs, getSourceCode, onResult) {
+    const { Worker } = require("worker_threads");
+
+    return new Promise((resolve, reject) => {
+        const results = new Map(), workers = [];
+        let nextTask = 0, nextResult = 0;
+
+        function finish(err) {
+            workers.forEach(worker => worker.terminate());
+            err ? reject(err) : resolve();
+        }
 
-    return lintString(sourceCode, userConfig, errorReporter, fileName);
+        function dispatch(worker) {
+            if (nextTask < tasks.length) {
+                const id = nextTask++;
+                const { userConfig, additionalConfigs } = tasks [id];
+                worker.postMessage({ id, sourceCode: getSourceCode(tasks [id]), userConfig, additionalConfigs });
+            }
+        }
+
+        if (!tasks.length) {
+            return resolve();
+        }
+
+        for (let i = 0; i < Math.min(jobs, tasks.length); i++) {
+            const worker = new Worker(LINT_WORKER_PATH);
+
+            worker.on("message", ({ id, result }) => {
+                results.set(id, result);
+
+                // Hand over all the consecutive results available so far
+                while (results.has(nextResult)) {
+                    onResult(tasks [nextResult], results.get(nextResult));
+                    results.delete(nextResult++);
+                }
+
+                nextResult === tasks.length ? finish() : dispatch(worker);
+            });
+
+            worker.on("error", finish);
+            workers.push(worker);
+            dispatch(worker);
+        }
+    });
 }
 
 /**
  * Function that calls Solium object's linter based on user settings.
  * If not given, we lint the entire directory's (and sub-directories') solidity files.
- * @param {Object} userConfig User's configurations that contain information about which linting rules to apply
- * @param {String} filename (optional) The single file to be linted.
- * @returns {Integer} totalNumOfErrors Total no. of errors found throughout the codebase (directory) linted.
+ * @param {Function} getConfig Function that returns the configuration to lint a given file with (see execute())
+ * @param {Object} input Contains either the file or directory to lint or whether to read from stdin.
+ * If it also contains "changes" of the form { ref, staged, linesOnly }, only files changed in git are linted.
+ * If it contains "diffOutput", fixes aren't written to the files but a diff of them is (see reportLintResult()).
+ * @param {Array} ignore List of files & directories to ignore
+ * @param {Object} errorReporter The error reporter to use
+ * @param {Object} baseline (optional) Baseline to use (see reportLintResult())
+ * @param {Integer} jobs (optional) Number of worker threads to lint files in. Files are linted in the main thread by default.
+ * @param {Object} cache (optional) Cache of lint results. Files whose results are cached aren't linted again
+ * and the results of the files linted are added to it.
+ * @returns {Promise} totalNumOfErrors Promise resolving to the total no. of errors found throughout the codebase (directory) linted.
  */
-function lint(userConfig, input, ignore, errorReporter) {
-    let filesToLint, errorCount;
+function lint(getConfig, input, ignore, errorReporter, baseline, jobs, cache) {
+    let filesToLint, tasks, changes;
 
     //If filename is provided, lint it. Otherwise, lint over current directory & sub-directories
     if (input.file) {
@@ -178,24 +283,85 @@ function lint(userConfig, input, ignore, errorReporter) {
         filesToLint = traverse(input.dir, ignore);
     }
 
+    if (filesToLint && input.changes) {
+        try {
+            changes = gitUtils.getChanges(input.changes);
+        } catch (e) {
+            errorReporter.reportFatal(e.message);
+            process.exit(errorCodes.INVALID_PARAMS);
+        }
+
+        filesToLint = filesToLint.filter(file => changes.has(path.resolve(file)));
+    }
+
     if (filesToLint) {
-        errorCount = sum(filesToLint.map(function(file, index) {
+        tasks = filesToLint.map(function(fileName, index) {
+            const { userConfig, additionalConfigs } = getConfig(fileName);
+
+            // Issues in files not yet tracked by git are all reported, since every line in them is new
+            const changedLines = (input.changes && input.changes.linesOnly) ? changes.get(path.resolve(fileName)) : null;
+
             userConfig.options.returnInternalIssues = (index === 0);
-            return lintFile(file, userConfig, errorReporter);
-        }));
+            return { fileName, userConfig, additionalConfigs, changedLines, diffOutput: input.diffOutput };
+        });
     } else if (input.stdin) {
         // This only works on *nix. Need to fix to enable stdin input in windows.
-        let sourceCode = fs.readFileSync("/dev/stdin", "utf-8");
+        let sourceCode = fs.readFileSync("/dev/stdin", "utf-8"), { userConfig, additionalConfigs } = getConfig(null);
 
         userConfig.options.returnInternalIssues = true;
-        errorCount = lintString(sourceCode, userConfig, errorReporter, "[stdin]");
+        tasks = [{ fileName: "[stdin]", sourceCode, userConfig, additionalConfigs, diffOutput: input.diffOutput }];
     } else {
         errorReporter.reportFatal("Must specify input for linter using --file, --dir or --stdin");
         process.exit(errorCodes.INVALID_PARAMS);
     }
 
-    errorReporter.finalize && errorReporter.finalize();
-    return errorCount;
+    const errorCounts = [];
+    let nextResult = 0;
+
+    function getSourceCode(task) {
+        return task.sourceCode || (task.sourceCode = readSourceFile(task.fileName, errorReporter));
+    }
+
+    // Report results in the order of the tasks, regardless of whether they were linted or retrieved from cache
+    function onResult(task, result) {
+        const { returnInternalIssues } = task.userConfig.options;
+
+        task.result = result;
+        cache && !task.cached && lintCache.setResult(cache, task.fileName, task.cacheKey, result, returnInternalIssues);
+
+        while (nextResult < tasks.length && tasks [nextResult].result) {
+            const t = tasks [nextResult++];
+            errorCounts.push(reportLintResult(t, t.result, errorReporter, baseline));
+        }
+    }
+
+    function finalize() {
+        errorReporter.finalize && errorReporter.finalize();
+        return sum(errorCounts);
+    }
+
+    if (cache && !input.stdin) {
+        tasks.forEach(task => {
+            const { returnInternalIssues } = task.userConfig.options;
+
+            task.cacheKey = lintCache.getKey(getSourceCode(task), task.userConfig, task.additionalConfigs);
+            task.result = lintCache.getResult(cache, task.fileName, task.cacheKey, returnInternalIssues);
+            task.cached = Boolean(task.result);
+        });
+    }
+
+    const tasksToLint = tasks.filter(task => !task.cached);
+
+    if (jobs > 1 && tasksToLint.length > 1) {
+        // Report the cached results preceding the first task to lint right away
+        tasks.length && tasks [0].cached && onResult(tasks [0], tasks [0].result);
+        return lintInWorkers(tasksToLint, jobs, getSourceCode, onResult).then(finalize);
+    }
+
+    tasks.forEach(task => {
+        onResult(task, task.result || lintSource(getSourceCode(task), task.userConfig, task.additionalConfigs));
+    });
+    return Promise.resolve(finalize());
 }
 
 /**
@@ -216,15 +382,67 @@ function createCliOptions(cliObject) {
         .option("-i, --init", "Create default rule configuration files")
         .option("-f, --file [filepath::String]", "Solidity file to lint")
         .option("-d, --dir [dirpath::String]", "Directory containing Solidity files to lint")
-        .option("-R, --reporter [name::String]", "Format to report lint issues in (pretty | gcc)")
+        .option(
+            "-R, --reporter [name::String]",
+            "Format to report lint issues in (pretty | gcc | json | ndjson | sarif | junit | checkstyle), " +
+            "path to a reporter file or name of a reporter package. Use <name>:<filepath> to write a report " +
+            "to a file. Can be specified multiple times",
+            collect,
+            []
+        )
         .option("-c, --config [filepath::String]", "Path to the .soliumrc configuration file")
         .option("-, --stdin", "Read input file from stdin")
         .option("--fix", "Fix Lint issues where possible")
+        .option("--fix-dry-run", "Print a diff of the fixes instead of writing them to the files")
+        .option("--diff", "Same as --fix-dry-run when used with --fix")
+        .option("--diff-file [filepath::String]", "Write the diff of --fix-dry-run to a file instead of stdout")
+        .option(
+            "--max-fix-passes [count::Integer]",
+            "Maximum number of times to lint & fix each file when using --fix (defaults to 10)",
+            Number
+        )
+        .option(
+            "--fix-rule [rule::String]",
+            "Only apply fixes supplied by this rule when fixing. Can be specified multiple times",
+            collect,
+            []
+        )
+        .option(
+            "--fix-type [type::String]",
+            `Only apply fixes of this type when fixing (${FIX_TYPES.join(" | ")}). Can be specified multiple times`,
+            collect,
+            []
+        )
+        .option(
+            "--report-unused-disable-directives",
+            "Report solium-disable comments that didn't disable any issues or name rules that aren't loaded"
+        )
         .option("--debug", "Display debug information")
         .option("--watch", "Watch for file changes")
         .option("--hot", "(Deprecated) Same as --watch")
         .option("--no-soliumignore", "Do not look for .soliumignore file")
         .option("--no-soliumrc", "Do not look for soliumrc configuration file")
+        .option("-j, --jobs [count::Integer]", "Number of worker threads to lint files in parallel with", Number)
+        .option("--cache", "Only lint files that changed since the previous run with --cache")
+        .option(
+            "--cache-location [path::String]",
+            `Path to the cache file or the directory to create it in (defaults to ${lintCache.DEFAULT_CACHE_FILENAME})`
+        )
+        .option(
+            "--print-config [filepath::String]",
+            "Print the configuration the given file would be linted with, along with where each rule's configuration comes from"
+        )
+        .option("--changed-since [ref::String]", "Only lint files changed since the given git ref")
+        .option("--staged", "Only lint files with changes staged for commit in git")
+        .option("--changed-lines-only", "Only report lint issues on lines changed (requires --changed-since or --staged)")
+        .option(
+            "--write-baseline [filepath::String]",
+            `Record all lint issues found in a baseline file (defaults to ${baselineUtils.DEFAULT_BASELINE_FILENAME})`
+        )
+        .option(
+            "--baseline [filepath::String]",
+            `Only report lint issues not recorded in the baseline file (defaults to ${baselineUtils.DEFAULT_BASELINE_FILENAME})`
+        )
         .option(
             "--rule [rule]",
             "Rule to execute. This overrides the specified rule's configuration in soliumrc if present",
@@ -240,20 +458,95 @@ function createCliOptions(cliObject) {
 }
 
 /**
- * Takes a name and returns an error reporter
+ * Takes a name and returns an error reporter.
+ * The name can either be that of a core reporter, a path to a JS file (absolute or relative to CWD)
+ * or the name of an npm package. The "solium-reporter-" prefix may be omitted from package names.
  * @param {String} name Name of the reporter
  * @returns {Object} reporter The reporter whose name was supplied.
  */
 function getErrorReporter(name) {
+    const coreReporters = fs.readdirSync(path.join(__dirname, "reporters"))
+        .filter(file => path.extname(file) === ".js")
+        .map(file => path.basename(file, ".js"));
+
     name = name || "pretty";
 
-    try {
+    if (coreReporters.includes(name)) {
         return require("./reporters/" + name);
+    }
+
+    const { SOLIUM_REPORTER_PREFIX } = ruleLoader.constants,
+        isPath = name.startsWith(".") || path.isAbsolute(name),
+        moduleName = (isPath || name.startsWith(SOLIUM_REPORTER_PREFIX) || name.startsWith("@")) ?
+            name : SOLIUM_REPORTER_PREFIX + name,
+        modulePath = isPath ? path.resolve(CWD, moduleName) : moduleName;
+    let reporter;
+
+    try {
+        reporter = require(modulePath);
     } catch (e) {
+        // Only treat the reporter as missing if the module itself (and not one of its dependencies) couldn't be found
+        if (e.code !== "MODULE_NOT_FOUND" || !e.message.includes(`'${modulePath}'`)) {
+            throw new Error(`An error occured while loading reporter "${moduleName}": ${e.message}`);
+        }
+
         throw new Error(
-            `Invalid reporter "${name}". Valid reporters are "gcc" and "pretty"`
+            `Invalid reporter "${name}". Valid reporters are ${coreReporters.map(r => `"${r}"`).join(", ")}` +
+            (isPath ? `. No file was found at ${modulePath}` :
+                `, or a reporter package installed using "npm install ${moduleName}"`)
         );
     }
+
+    if (!isAValidReporter(reporter)) {
+        throw new Error(`"${moduleName}" is not a valid reporter. AJV message:\n${util.inspect(isAValidReporter.errors)}`);
+    }
+
+    return reporter;
+}
+
+/**
+ * Split a reporter specified on the commandline into the reporter's name and the file to write its output to.
+ * @param {String} spec Reporter specification of the form <name> or <name>:<filepath>
+ * @returns {Object} reporterSpec Object of the form { name, outputFile }. outputFile is null if not specified.
+ */
+function parseReporterSpec(spec) {
+    // Don't mistake the drive letter of an absolute windows path to a reporter file for a separator
+    const separatorIndex = spec.indexOf(":", /^[a-zA-Z]:[\\/]/.test(spec) ? 2 : 0);
+
+    if (separatorIndex < 0) {
+        return { name: spec, outputFile: null };
+    }
+
+    return { name: spec.slice(0, separatorIndex), outputFile: spec.slice(separatorIndex + 1) || null };
+}
+
+/**
+ * Create the error reporter for the run from all the reporters specified on the commandline.
+ * Every reporter gets its own output - either the file it was asked to write to or stdout.
+ * @param {Array} specs List of reporter specifications of the form <name> or <name>:<filepath>
+ * @returns {Object} reporter The reporter that supplies every report to all the specified reporters.
+ */
+function createErrorReporter(specs) {
+    const outputFiles = new Set();
+
+    const reporters = (specs.length ? specs : ["pretty"]).map(spec => {
+        const { name, outputFile } = parseReporterSpec(spec), reporter = getErrorReporter(name);
+
+        if (!outputFile) {
+            return Object.create(reporter, { output: { value: process.stdout } });
+        }
+
+        const outputPath = path.resolve(CWD, outputFile);
+
+        if (outputFiles.has(outputPath)) {
+            throw new Error(`Multiple reporters cannot write to the same file ${outputFile}`);
+        }
+
+        outputFiles.add(outputPath);
+        return Object.create(reporter, { output: { value: reporterUtils.createFileOutput(outputPath) } });
+    });
+
+    return reporterUtils.combineReporters(reporters);
 }
 
 /**
@@ -262,7 +555,7 @@ function getErrorReporter(name) {
  */
 function execute(programArgs) {
 
-    let userConfig = {}, ignore, errorReporter;
+    let ignore, errorReporter, cliRules = {}, configCache = new Map();
 
     createCliOptions(cli);
     programArgs.length === 2 ? cli.help() : cli.parse(programArgs);
@@ -272,80 +565,145 @@ function execute(programArgs) {
     }
 
     try {
-        errorReporter = getErrorReporter(cli.reporter);
+        errorReporter = createErrorReporter(cli.reporter);
     } catch (e) {
         console.error(`[Fatal error] ${e.message}`);
         process.exit(errorCodes.INVALID_PARAMS);
     }
 
-    if (cli.soliumrc) {
+    for (const rule of cli.rule) {
+        // If no ":" was found, it means only the rule's name was specified.
+        // Treat it as an error and adopt its default configuration options.
+        if (!rule.includes(":")) {
+            cliRules[rule] = "error";
+            continue;
+        }
+
+        let [key, value] = rule.split(":").map(i => i.trim());
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            errorReporter.reportFatal(`There was an error trying to parse '${rule}': ${e.message}`);
+            process.exit(errorCodes.INVALID_PARAMS);
+        }
+        cliRules[key] = value;
+    }
+
+    /**
+     * Get the configuration to lint a file with.
+     * Unless a config file is specified via --config, the soliumrc files found in the file's
+     * directory & its ancestors are merged. Commandline rules & plugins are applied on top.
+     * @param {String} fileName Path to the file being linted (null when reading from stdin)
+     * @returns {Object} config Object of the form { userConfig, additionalConfigs }, the configuration & the
+     * additional rule configs to pass to Solium (see Linter.lint())
+     */
+    function getConfig(fileName) {
+        let mergedConfig = { config: {} };
+
+        if (cli.soliumrc) {
+            mergedConfig = cli.config ? { config: loadSoliumrc() } : resolveSoliumrc(fileName ? path.dirname(fileName) : CWD);
+        }
+
+        let userConfig = JSON.parse(JSON.stringify(mergedConfig.config));
+
+        //if custom rules' file is set, make sure we have its absolute path
+        if (
+            userConfig ["custom-rules-filename"] &&
+            !path.isAbsolute(userConfig ["custom-rules-filename"])
+        ) {
+            userConfig ["custom-rules-filename"] = path.join(
+                CWD, userConfig ["custom-rules-filename"]
+            );
+        }
+
+        // Pass cli arguments that modify the behaviour of upstream functions.
+        userConfig.options = {
+            autofix: Boolean(cli.fix || cli.fixDryRun),
+            debug: Boolean(cli.debug)
+        };
+
+        cli.maxFixPasses && (userConfig.options.maxFixPasses = cli.maxFixPasses);
+        cli.fixRule.length && (userConfig.options.fixRules = cli.fixRule);
+        cli.fixType.length && (userConfig.options.fixTypes = cli.fixType);
+        cli.reportUnusedDisableDirectives && (userConfig.options.reportUnusedDisableDirectives = true);
+
+        // The file name (relative to current dir) determines which "overrides" blocks of the config apply
+        if (fileName) {
+            userConfig.options.filename = path.relative(CWD, path.resolve(fileName));
+        }
+
+        userConfig.plugins = (userConfig.plugins || []).concat(cli.plugin);
+
+        // The configs of the merged soliumrc files & commandline rules aren't part of the config. They're applied
+        // after its rules & after its overrides blocks respectively (see rules.resolveRuleConfigLayers()).
+        return { userConfig, additionalConfigs: { cascade: mergedConfig.cascade, commandlineRules: cliRules } };
+    }
+
+    // Load the config file specified via --config
+    function loadSoliumrc() {
         /**
-         * If cli.config option is NOT specified, then resort to .soliumrc in current dir.
-         * Else,
-         *   If path is absolute, assign as-it-is.
-         *   Else (relative pathing) join path with current dir.
+         * If path is absolute, assign as-it-is.
+         * Else (relative pathing) join path with current dir.
          */
-        const soliumrcAbsPath = cli.config ?
-            (path.isAbsolute(cli.config) ? cli.config : path.join(CWD, cli.config)) :
-            SOLIUMRC_FILENAME_ABSOLUTE;
+        const soliumrcAbsPath = path.isAbsolute(cli.config) ? cli.config : path.join(CWD, cli.config);
 
         try {
-            userConfig = require(soliumrcAbsPath);
+            return configCascade.rebaseOverrides(require(soliumrcAbsPath), path.dirname(soliumrcAbsPath), CWD);
         } catch (e) {
             // Check if soliumrc file exists. If yes, then the file is in an invalid format.
             if (fs.existsSync(soliumrcAbsPath)) {
                 errorReporter.reportFatal(`An invalid ${SOLIUMRC_FILENAME} was provided. ${e.message}`);
             } else {
-                if (cli.config) {
-                    errorReporter.reportFatal(`${soliumrcAbsPath} does not exist.`);
-                } else {
-                    errorReporter.reportFatal(`Couldn't find ${SOLIUMRC_FILENAME} in the current directory.`);
-                }
+                errorReporter.reportFatal(`${soliumrcAbsPath} does not exist.`);
             }
 
             process.exit(errorCodes.NO_SOLIUMRC);
         }
     }
 
-    //if custom rules' file is set, make sure we have its absolute path
-    if (
-        userConfig ["custom-rules-filename"] &&
-        !path.isAbsolute(userConfig ["custom-rules-filename"])
-    ) {
-        userConfig ["custom-rules-filename"] = path.join(
-            CWD, userConfig ["custom-rules-filename"]
-        );
-    }
+    // Merge all soliumrc files applicable to the given directory (see configCascade.mergeConfigFiles()).
+    // Files outside the current directory fall back to the configuration of the current directory.
+    function resolveSoliumrc(directory) {
+        let mergedConfig;
 
-    // Pass cli arguments that modify the behaviour of upstream functions.
-    userConfig.options = {
-        autofix: Boolean(cli.fix),
-        debug: Boolean(cli.debug)
-    };
+        try {
+            mergedConfig = configCascade.resolveConfigForDirectory(directory, configCache) ||
+                configCascade.resolveConfigForDirectory(CWD, configCache);
+        } catch (e) {
+            errorReporter.reportFatal(e.message);
+            process.exit(errorCodes.NO_SOLIUMRC);
+        }
 
-    userConfig.plugins = userConfig.plugins || [];
-    userConfig.rules = userConfig.rules || {};
+        if (!mergedConfig) {
+            errorReporter.reportFatal(`Couldn't find ${SOLIUMRC_FILENAME} in the current directory.`);
+            process.exit(errorCodes.NO_SOLIUMRC);
+        }
 
-    for (const plugin of cli.plugin) {
-        userConfig.plugins.push(plugin);
+        return mergedConfig;
     }
 
-    for (const rule of cli.rule) {
-        // If no ":" was found, it means only the rule's name was specified.
-        // Treat it as an error and adopt its default configuration options.
-        if (!rule.includes(":")) {
-            userConfig.rules[rule] = "error";
-            continue;
+    if (cli.printConfig) {
+        return printConfig(cli.printConfig);
+    }
+
+    // Print the rule configuration the given file would be linted with (see configPrinter.describeEffectiveConfig())
+    function printConfig(fileName) {
+        if (typeof fileName !== "string") {
+            errorReporter.reportFatal("--print-config requires the path of a file.");
+            process.exit(errorCodes.INVALID_PARAMS);
         }
 
-        let [key, value] = rule.split(":").map(i => i.trim());
+        let description;
+
         try {
-            value = JSON.parse(value);
+            const { userConfig, additionalConfigs } = getConfig(fileName);
+            description = configPrinter.describeEffectiveConfig(userConfig, additionalConfigs);
         } catch (e) {
-            errorReporter.reportFatal(`There was an error trying to parse '${rule}': ${e.message}`);
+            errorReporter.reportFatal(e.message);
             process.exit(errorCodes.INVALID_PARAMS);
         }
-        userConfig.rules[key] = value;
+
+        process.stdout.write(JSON.stringify(description, null, 2) + EOL);
     }
 
     //get all files & folders to ignore from .soliumignore
@@ -371,24 +729,197 @@ function execute(programArgs) {
         if (cli.fix) {
             return errorReporter.reportFatal("Automatic code formatting is not supported in watch mode.");
         }
+
+        if (cli.writeBaseline) {
+            return errorReporter.reportFatal("Cannot write a baseline in watch mode.");
+        }
     }
 
-    let errorCount = lint(userConfig, { file: cli.file, dir: cli.dir, stdin: cli.stdin }, ignore, errorReporter);
+    let changes = null;
 
-    if (cli.watch) {
+    if (cli.changedSince || cli.staged) {
+        if (cli.stdin) {
+            errorReporter.reportFatal("--changed-since and --staged cannot be used when reading from stdin.");
+            process.exit(errorCodes.INVALID_PARAMS);
+        }
 
-        let spy = chokidar.watch(CWD);
+        // If --changed-since is supplied without a ref, compare against HEAD
+        changes = {
+            ref: (cli.changedSince === true) ? "HEAD" : cli.changedSince,
+            staged: Boolean(cli.staged),
+            linesOnly: Boolean(cli.changedLinesOnly)
+        };
+    } else if (cli.changedLinesOnly) {
+        errorReporter.reportFatal("--changed-lines-only requires --changed-since or --staged.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
 
-        spy.on("change", function() {
-            console.log("\x1Bc"); // clear the console
-            console.log(`File change detected. Start linting.${EOL}`);
-            lint(userConfig, { file: cli.file, dir: cli.dir }, ignore, errorReporter);	//lint on subsequent changes (hot)
-            console.log(`Linting complete. Watching for file changes.${EOL}`);
-        });
+    if (cli.jobs !== undefined && !(Number.isInteger(cli.jobs) && cli.jobs > 0)) {
+        errorReporter.reportFatal("--jobs must be a positive integer.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    if (cli.jobs > 1 && !areWorkerThreadsAvailable()) {
+        errorReporter.reportFatal(
+            `--jobs requires worker threads, which are not available in Node.js ${process.version}. Use Node.js 12 or later.`
+        );
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    if (cli.maxFixPasses !== undefined && !(Number.isInteger(cli.maxFixPasses) && cli.maxFixPasses > 0)) {
+        errorReporter.reportFatal("--max-fix-passes must be a positive integer.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
 
-    } else if (errorCount > 0) {
+    if (cli.baseline && cli.writeBaseline) {
+        errorReporter.reportFatal("--baseline and --write-baseline cannot be used together.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    // If a flag is supplied without a file path, commander sets it to true
+    let baseline = null, baselinePath = [cli.baseline, cli.writeBaseline].find(Boolean);
+    baselinePath = (baselinePath === true) ? baselineUtils.DEFAULT_BASELINE_FILENAME : baselinePath;
+
+    if (cli.writeBaseline) {
+        baseline = { data: baselineUtils.create(), update: true };
+    } else if (cli.baseline) {
+        try {
+            baseline = { data: baselineUtils.load(baselinePath), update: false };
+        } catch (e) {
+            errorReporter.reportFatal(e.message);
+            process.exit(errorCodes.INVALID_PARAMS);
+        }
+    }
+
+    if (cli.cacheLocation && !cli.cache) {
+        errorReporter.reportFatal("--cache-location requires --cache.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    let cache = null, cachePath = path.resolve(CWD, lintCache.DEFAULT_CACHE_FILENAME);
+
+    if (cli.cache) {
+        // A location ending in a path separator or pointing to an existing directory gets the default file name
+        if (typeof cli.cacheLocation === "string") {
+            cachePath = (/[\\/]$/.test(cli.cacheLocation) || fsUtils.isDirectory(cli.cacheLocation)) ?
+                path.resolve(CWD, cli.cacheLocation, lintCache.DEFAULT_CACHE_FILENAME) : path.resolve(CWD, cli.cacheLocation);
+        }
+
+        cache = lintCache.load(cachePath);
+    }
+
+    // Failing to write the cache only makes the next run slower, so don't fail this run because of it
+    function writeCache() {
+        try {
+            cache && lintCache.write(cache, cachePath);
+        } catch (e) {
+            errorReporter.reportInternal(`Unable to write cache to ${cachePath}: ${e.message}`);
+        }
+    }
+
+    if (cli.diff && !(cli.fix || cli.fixDryRun)) {
+        errorReporter.reportFatal("--diff requires --fix.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    const fixDryRun = Boolean(cli.fixDryRun || cli.diff);
+
+    if (cli.diffFile && !fixDryRun) {
+        errorReporter.reportFatal("--diff-file requires --fix-dry-run.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    if (typeof cli.diffFile === "boolean") {
+        errorReporter.reportFatal("--diff-file requires the path of a file.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    // Reporters like json would no longer produce valid output if the diff was printed in the middle of it
+    const machineReporter = (cli.reporter.length ? cli.reporter : ["pretty"]).map(parseReporterSpec)
+        .find(({ name, outputFile }) => !outputFile && !TEXT_REPORTERS.includes(name));
+
+    if (fixDryRun && !cli.diffFile && machineReporter) {
+        errorReporter.reportFatal(
+            `The diff of the fixes cannot be printed to stdout along with the output of the "${machineReporter.name}" ` +
+            "reporter. Use --diff-file to write the diff to a file or <name>:<filepath> to write the report to a file."
+        );
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    if ((cli.fixRule.length || cli.fixType.length) && !(cli.fix || cli.fixDryRun)) {
+        errorReporter.reportFatal("--fix-rule and --fix-type require --fix or --fix-dry-run.");
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    let invalidFixType = cli.fixType.find(type => !FIX_TYPES.includes(type));
+
+    if (invalidFixType !== undefined) {
+        errorReporter.reportFatal(`Invalid fix type "${invalidFixType}". Must be one of ${FIX_TYPES.join(", ")}.`);
+        process.exit(errorCodes.INVALID_PARAMS);
+    }
+
+    let diffOutput = null;
+
+    if (fixDryRun) {
+        diffOutput = cli.diffFile ? reporterUtils.createFileOutput(path.resolve(CWD, cli.diffFile)) : process.stdout;
+    }
+
+    // The diff file is buffered (see reporterUtils.createFileOutput()) and written once linting is complete
+    function writeDiffFile() {
+        try {
+            diffOutput && diffOutput.filePath && diffOutput.end();
+        } catch (e) {
+            errorReporter.reportFatal(`Unable to write diff to ${diffOutput.filePath}: ${e.message}`);
+            process.exit(errorCodes.WRITE_FAILED);
+        }
+    }
+
+    const jobs = cli.jobs, input = { file: cli.file, dir: cli.dir, stdin: cli.stdin, changes, diffOutput };
+
+    // Worker threads only report errors in their own code (not lint issues), so treat these as fatal
+    function onWorkerError(e) {
+        errorReporter.reportFatal(`An error occurred in a lint worker: ${cli.debug ? e.stack : e.message}`);
         process.exit(errorCodes.ERRORS_FOUND);
     }
+
+    lint(getConfig, input, ignore, errorReporter, baseline, jobs, cache).then(errorCount => {
+        writeCache();
+        writeDiffFile();
+
+        if (cli.writeBaseline) {
+            try {
+                baselineUtils.write(baseline.data, baselinePath);
+            } catch (e) {
+                errorReporter.reportFatal(`Unable to write baseline to ${baselinePath}: ${e.message}`);
+                process.exit(errorCodes.WRITE_FAILED);
+            }
+
+            // Issues recorded in the baseline have been accepted, so they don't fail the run
+            return;
+        }
+
+        if (cli.watch) {
+
+            let spy = chokidar.watch(CWD);
+
+            spy.on("change", function() {
+                console.log("\x1Bc"); // clear the console
+                console.log(`File change detected. Start linting.${EOL}`);
+                configCache.clear();
+
+                //lint on subsequent changes (hot)
+                lint(getConfig, { file: cli.file, dir: cli.dir, changes, diffOutput }, ignore, errorReporter, baseline, jobs, cache)
+                    .then(() => {
+                        writeCache();
+                        writeDiffFile();
+                        console.log(`Linting complete. Watching for file changes.${EOL}`);
+                    }, onWorkerError);
+            });
+
+        } else if (errorCount > 0) {
+            process.exit(errorCodes.ERRORS_FOUND);
+        }
+    }, onWorkerError);
 }
 
 module.exports = {
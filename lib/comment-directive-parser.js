@@ -12,28 +12,34 @@ const astUtils = require("./utils/ast-utils");
  * Parser can currently detect configuration to
  * - Disable linting on the next line
  * - Disable linting on the current line
- * - Disable linting on entire file
+ * - Disable linting from the current line till the end of file or till linting is enabled again
  * (all rules or specific ones (comma-separated))
+ * - Configure rules for the entire file, eg- /* solium quotes: ["error", "single"], indentation: "off" *\/
+ * Every directive can be followed by "-- <reason>" to justify it. The reason is recorded along with the directive.
  * NOTE: Constructor & Public functions of this class should have argument validations
  */
 class CommentDirectiveParser {
 
-    constructor(commentTokens, AST) {
+    constructor(commentTokens, AST, sourceCode) {
         if (!Array.isArray(commentTokens)) {
             throw new Error("First argument should be an array of comment tokens.");
         }
 
+        // If the source code isn't supplied, astUtils falls back to the code supplied to astUtils.init()
+        this.sourceCode = sourceCode;
+
         // AST gets validated by astUtils.getEndingLine(), no need to explicitly validate it here
-        this.lastLine = astUtils.getEndingLine(AST); // relies on astUtils.init(code) being called before it
+        this.lastLine = astUtils.getEndingLine(AST, this.sourceCode);
         this.commentTokens = commentTokens;
-        this.lineConfigurations = {};   // mapping: line => list of rules to disable on line (Array / this.ALL_RULES)
+        this.directives = [];   // list of directives found in comments, in the order they appear in code
         this.ALL_RULES = "all";
 
-        this._constructLineConfigurations();
+        this._constructDirectives();
     }
 
     // Check if, for a given line, there is any rule disabling configuration present
     // and if yes, determine whether a specific rule is enabled on the line or not.
+    // Since this is consulted for every issue reported, the directive disabling the rule is recorded as used.
     isRuleEnabledOnLine(ruleName, line) {
         // Need not ensure that line > this.lastLine. This func's purpose is only to determine whether
         // given rule is disabled on given line, regardless of whether line is within bounds or not.
@@ -45,62 +51,157 @@ class CommentDirectiveParser {
             throw new Error("Line number should be a positive integer.");
         }
 
-        // entry can be undefined because we only record config for the lines which have any comment configuration.
-        const entry = this.lineConfigurations[line] || "";
-        return (entry !== this.ALL_RULES && !entry.includes(ruleName));
+        const directive = this._findDisablingDirective(ruleName, line);
+
+        if (directive === null) {
+            return true;
+        }
+
+        directive.usedRules.add(ruleName);
+        return false;
     }
 
-    _constructLineConfigurations() {
-        this.commentTokens.forEach(token => {
-            this._constructLineConfigurationFromComment(token);
+    // Get all directives found in the comments. Every directive is an object of the form
+    // { type, rules, reason, line, column } where type is "disable", "disable-line", "disable-next-line",
+    // "enable" or "config" and reason is null if none was given. For "config", rules is an object mapping rule names
+    // to their configurations. For the rest, rules is an array of rule names or this.ALL_RULES.
+    getDirectives() {
+        return this.directives.map(this._toPublicDirective);
+    }
+
+    // Get the disabling directives (or rules named in them) that didn't disable any issue reported so far.
+    // Returns a list of { directive, ruleName } objects, where ruleName is null if the directive disables all rules.
+    getUnusedDisableDirectives() {
+        const unused = [];
+
+        this.directives.forEach(directive => {
+            if (directive.type === "enable" || directive.type === "config") {
+                return;
+            }
+
+            if (directive.rules === this.ALL_RULES) {
+                directive.usedRules.size === 0 &&
+                    unused.push({ directive: this._toPublicDirective(directive), ruleName: null });
+                return;
+            }
+
+            directive.rules.forEach(ruleName => {
+                !directive.usedRules.has(ruleName) &&
+                    unused.push({ directive: this._toPublicDirective(directive), ruleName });
+            });
         });
+
+        return unused;
     }
 
-    _addRulesToLineConfig(line, rules) {
-        // If line configuration is "all", then we've already covered all rules.
-        // No need to add any more to list.
-        if (this.lineConfigurations[line] === this.ALL_RULES) {
-            return;
-        }
+    // Get the directives configuring rules for the file, along with the errors encountered while parsing them.
+    // Returns a list of { directive, error } objects, where error is null if the directive could be parsed.
+    getConfigDirectives() {
+        return this.directives
+            .filter(directive => directive.type === "config")
+            .map(directive => ({ directive: this._toPublicDirective(directive), error: directive.error }));
+    }
 
-        if (rules === this.ALL_RULES) {
-            // set line config to "all" to cover all rules regardless of
-            // whether it was previously undefined or a set of rules
-            this.lineConfigurations[line] = this.ALL_RULES;
-            return;
-        }
+    _toPublicDirective({ type, rules, reason, line, column }) {
+        return { type, rules, reason, line, column };
+    }
 
-        // If line config is undefined, assign array of rule names.
-        // If array already exists, append the new rules list to it.
-        this.lineConfigurations[line] = (this.lineConfigurations[line] || []).concat(rules);
+    _constructDirectives() {
+        this.commentTokens.forEach(token => {
+            const directive = this._parseDirectiveFromComment(token);
+            directive && this.directives.push(directive);
+        });
     }
 
-    _constructLineConfigurationFromComment(token) {
-        const SD = "solium-disable", SDL = `${SD}-line`,
-            SDNL = `${SD}-next-line`, text = this._cleanCommentText(token.text);
+    _parseDirectiveFromComment(token) {
+        const SD = "solium-disable", SDL = `${SD}-line`, SDNL = `${SD}-next-line`, SE = "solium-enable";
+        const [text, reason] = this._splitReason(this._cleanCommentText(token.text));
+
+        const directive = {
+            reason,
+            line: astUtils.getLine(token, this.sourceCode),
+            column: astUtils.getColumn(token, this.sourceCode),
+            usedRules: new Set()    // names of the rules whose issues were disabled by this directive
+        };
 
         // Important that we check for SDNL & SDL first. If they exist, then includes() will return true for SD anyway.
+        // startLine is the first line the directive applies to. Notice how we use getEndingLine() for SDNL & SD
+        // to ensure that in case of block comment directive spanning over multiple lines, the disabling starts
+        // after the comment ends. (SDL should disable on line on which the comment starts, so getLine() is used for it)
         if (text.includes(SDL)) {
-            return this._addRulesToLineConfig(astUtils.getLine(token), this._parseRuleNames(text, SDL));
+            return Object.assign(directive, {
+                type: "disable-line", rules: this._parseRuleNames(text, SDL), startLine: directive.line
+            });
         }
 
-        // Notice how we use getEndingLine() for SDNL & SD to ensure that in case of block
-        // comment directive spanning over multiple lines, the disabling starts after the comment ends.
-        // (SDL should disable on line on which the comment starts, so getLine() is used for it)
         if (text.includes(SDNL)) {
-            return this._addRulesToLineConfig(astUtils.getEndingLine(token) + 1, this._parseRuleNames(text, SDNL));
+            return Object.assign(directive, {
+                type: "disable-next-line", rules: this._parseRuleNames(text, SDNL),
+                startLine: astUtils.getEndingLine(token, this.sourceCode) + 1
+            });
         }
 
         if (text.includes(SD)) {
-            const currLine = astUtils.getEndingLine(token), rulesToDisable = this._parseRuleNames(text, SD);
-            const objContext = this;
+            return Object.assign(directive, {
+                type: "disable", rules: this._parseRuleNames(text, SD),
+                startLine: astUtils.getEndingLine(token, this.sourceCode) + 1
+            });
+        }
 
-            // Set desired configuration for all lines below the SD comment directive
-            this._toEndOfFile(
-                currLine + 1, lineNum => { objContext._addRulesToLineConfig(lineNum, rulesToDisable); });
+        // Enabling applies to the line on which the comment starts, so code following the comment is linted.
+        if (text.includes(SE)) {
+            return Object.assign(directive, {
+                type: "enable", rules: this._parseRuleNames(text, SE), startLine: directive.line
+            });
+        }
+
+        // Only block comments beginning with "solium" followed by whitespace configure rules, so that
+        // regular comments mentioning solium aren't mistaken for configuration.
+        const configMatch = /^\s*solium\s+(\S[\s\S]*)$/.exec(text);
+
+        if (token.text.startsWith("/*") && configMatch) {
+            let rules = {}, error = null;
+
+            try {
+                rules = this._parseRuleConfigs(configMatch[1]);
+            } catch (e) {
+                error = e.message;
+            }
+
+            return Object.assign(directive, { type: "config", rules, error, startLine: 1 });
         }
 
         // If none of the above branches were executed, then the current comment is not a solium directive.
+        return null;
+    }
+
+    // Determine the directive responsible for disabling the given rule on the given line, null if the rule is enabled.
+    _findDisablingDirective(ruleName, line) {
+        const coversRule = directive => (directive.rules === this.ALL_RULES || directive.rules.includes(ruleName));
+
+        const lineDirective = this.directives.find(d => {
+            return (d.type === "disable-line" || d.type === "disable-next-line") && d.startLine === line && coversRule(d);
+        });
+
+        if (lineDirective) {
+            return lineDirective;
+        }
+
+        // Disabling & enabling directives are applied in order, so the last one covering the rule determines its state.
+        // Since "solium-disable" lasts till the end of file, it doesn't apply beyond the last line of code.
+        let blockDirective = null;
+
+        if (line > this.lastLine) {
+            return blockDirective;
+        }
+
+        this.directives.forEach(d => {
+            if ((d.type === "disable" || d.type === "enable") && d.startLine <= line && coversRule(d)) {
+                blockDirective = (d.type === "disable") ? d : null;
+            }
+        });
+
+        return blockDirective;
     }
 
     // Remove all comment-related syntax so we only have configuration string + whitespace
@@ -108,6 +209,19 @@ class CommentDirectiveParser {
         return text.replace("//", "").replace("/*", "").replace("*/", "");
     }
 
+    // Separate the reason given after "--" from the rest of the directive.
+    // Returns [directive text, reason], where reason is null if none was given.
+    _splitReason(text) {
+        const match = /\s-{2,}(\s|$)/.exec(text);
+
+        if (!match) {
+            return [text, null];
+        }
+
+        const reason = text.slice(match.index + match[0].length).trim();
+        return [text.slice(0, match.index), reason.length > 0 ? reason : null];
+    }
+
     // If the directive is followed by a list of rule names, extract them into Array.
     // If not, it means all rules must be disabled for the line(s) covered by that directive.
     _parseRuleNames(text, prefixToRemove) {
@@ -120,11 +234,58 @@ class CommentDirectiveParser {
         return rulesToDisable.length > 0 ? rulesToDisable : this.ALL_RULES;
     }
 
-    // Performs the given action (callback) from the given line no. to last line of source code.
-    _toEndOfFile(from, action) {
-        for (let i = from; i <= this.lastLine; i++) {
-            action(i);
+    // Parse a comma-separated list of "<rule name>: <config>" pairs into an object mapping rule names to configs.
+    // Configs are JSON values (like in soliumrc), but severities can also be written without quotes.
+    _parseRuleConfigs(text) {
+        const entries = [], ruleConfigs = {};
+        let depth = 0, inString = false, start = 0;
+
+        // Split on the commas that aren't part of a config, ie, not inside an array, object or string.
+        for (let i = 0; i <= text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                // Skip escaped characters, they can't end the string
+                char === "\\" ? i++ : (inString = (char !== "\""));
+            } else if (char === "\"") {
+                inString = true;
+            } else if (char === "[" || char === "{") {
+                depth++;
+            } else if (char === "]" || char === "}") {
+                depth--;
+            } else if ((char === "," && depth === 0) || i === text.length) {
+                entries.push(text.slice(start, i).trim());
+                start = i + 1;
+            }
         }
+
+        // The last entry is only split off if every string, array & object in the text was closed
+        if (inString || depth !== 0) {
+            throw new Error(`Unbalanced brackets or quotes in configuration: ${text.trim()}`);
+        }
+
+        entries.filter(entry => entry.length > 0).forEach(entry => {
+            const separatorIndex = entry.indexOf(":");
+
+            if (separatorIndex < 1) {
+                throw new Error(`Expected "<rule name>: <config>" but found "${entry}".`);
+            }
+
+            const ruleName = entry.slice(0, separatorIndex).trim().replace(/^"(.*)"$/, "$1"),
+                config = entry.slice(separatorIndex + 1).trim();
+
+            try {
+                ruleConfigs[ruleName] = JSON.parse(config);
+            } catch (e) {
+                if (!/^[a-z]+$/.test(config)) {
+                    throw new Error(`Configuration of rule "${ruleName}" is not valid JSON: ${config}`);
+                }
+
+                ruleConfigs[ruleName] = config;
+            }
+        });
+
+        return ruleConfigs;
     }
 
 }
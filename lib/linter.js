@@ -0,0 +1,511 @@
+/**
+ * @fileoverview Linter class definition. Every instance has its own rules, source code, comment directives & messages,
+ * so multiple instances can be used side by side.
+ */
+
+"use strict";
+
+const solidityParser = require("solparse"),
+    solExplore = require("sol-explore"),
+    util = require("util"),
+
+    EventEmitter = require("events").EventEmitter,
+    EventGenerator = require("./utils/node-event-generator"),
+    RuleContext = require("./rule-context"),
+    CommentDirectiveParser = require("./comment-directive-parser"),
+    SourceCode = require("./utils/source-code-utils"),
+
+    RuleFixer = require("./autofix/rule-fixer"),
+    SourceCodeFixer = require("./autofix/source-code-fixer"),
+
+    { RuleRegistry, getRuleSeverity } = require("./rules"),
+    ruleLoader = require("./utils/rule-loader"),
+    astUtils = require("./utils/ast-utils"),
+    jsUtils = require("./utils/js-utils"),
+    configInspector = require("./utils/config-inspector"),
+    ruleInspector = require("./utils/rule-inspector"),
+
+    isErrObjectValid = require("../config/schemas/error-supplied-to-solium").validationFunc,
+    isValidFixerPacket = require("../config/schemas/fixer-packet").validationFunc;
+
+// Maximum number of times lintAndFix() lints & fixes the source code unless specified in the config's options
+const DEFAULT_MAX_FIX_PASSES = 10;
+
+// State of every linter is kept here instead of the instance itself, so it can't be tampered with from outside.
+const linterStates = new WeakMap();
+
+
+/**
+ * Determine the category ("problem", "suggestion" or "layout") of the fixes supplied by a rule.
+ * Rules that don't declare a type but only fix whitespace are treated as layout rules.
+ * @param {Object} rule The rule object
+ * @returns {String} type The rule's type, null if it can't be determined
+ */
+function getRuleType(rule) {
+    let meta = (rule && rule.meta) || {};
+    return meta.type || (meta.fixable === "whitespace" ? "layout" : null);
+}
+
+/**
+ * Collect the rule configurations supplied by configuration comments of the code being linted.
+ * Invalid configurations are reported as lint issues at the location of their comments & ignored.
+ * @param {Object} state State of the linter
+ * @returns {Object} inlineRules Valid rule configurations, keyed by rule name
+ */
+function resolveInlineRuleConfigs(state) {
+    const inlineRules = {};
+
+    state.commentDirectiveParser.getConfigDirectives().forEach(({ directive, error }) => {
+        function reportInvalid(message) {
+            state.messages.push({ ruleName: "", type: "error", message, line: directive.line, column: directive.column });
+        }
+
+        if (error) {
+            return reportInvalid(`Invalid configuration comment: ${error}`);
+        }
+
+        Object.keys(directive.rules).forEach(name => {
+            let rule, ruleConfig = directive.rules [name];
+
+            try {
+                rule = ruleLoader.load([name]) [name];
+            } catch (e) {
+                rule = undefined;
+            }
+
+            if (!ruleInspector.isAValidRuleObject(rule)) {
+                return reportInvalid(`Configuration comment: "${name}" - No such rule exists.`);
+            }
+
+            try {
+                getRuleSeverity(ruleConfig);
+            } catch (e) {
+                return reportInvalid(`Configuration comment: Invalid configuration value for rule "${name}".`);
+            }
+
+            // Options are validated the same way as those supplied via soliumrc
+            if (Array.isArray(ruleConfig) && ruleConfig.length > 1 &&
+                !ruleInspector.areValidOptionsPassed(ruleConfig.slice(1), rule.meta.schema)) {
+                return reportInvalid(`Configuration comment: Invalid options were passed to rule "${name}".`);
+            }
+
+            inlineRules [name] = ruleConfig;
+        });
+    });
+
+    return inlineRules;
+}
+
+/**
+ * Create the message describing a disabling comment directive (or a rule named in it) that didn't disable any issue.
+ * @param {Object} directive The directive, as returned by CommentDirectiveParser
+ * @param {String} ruleName Name of the unused rule in the directive, null if the directive disables all rules
+ * @param {Object} loadedRules Configurations of the rules loaded for linting, keyed by rule name
+ * @returns {String} message The message
+ */
+function describeUnusedDirective(directive, ruleName, loadedRules) {
+    const directiveName = `solium-${directive.type}`;
+
+    if (ruleName === null) {
+        return `Unused ${directiveName} directive (no issues were reported).`;
+    }
+
+    if (!loadedRules.hasOwnProperty(ruleName)) {
+        return `Rule "${ruleName}" named in ${directiveName} directive isn't loaded.`;
+    }
+
+    return `Unused ${directiveName} directive (no issues were reported by rule "${ruleName}").`;
+}
+
+
+class Linter extends EventEmitter {
+
+    /**
+     * Create a linter.
+     * @param {Object} options (optional) Object of the form { config }. config is the configuration used by
+     * lint() & lintAndFix() when they're not supplied one.
+     */
+    constructor(options) {
+        super();
+
+        linterStates.set(this, {
+            options: Object.assign({}, options),
+            ruleRegistry: new RuleRegistry(),
+            messages: [],
+            sourceCodeText: "",
+            comments: [],
+            currentConfig: null,
+            commentDirectiveParser: null
+        });
+    }
+
+    /**
+     * Initialize all state: ensure nothing from the previous lint() gets carried to the next lint()
+     * @returns {void}
+     */
+    reset() {
+        const state = linterStates.get(this);
+
+        this.removeAllListeners();
+        state.messages = [];
+        state.sourceCodeText = "";
+        state.comments = [];
+        state.currentConfig = {};
+        state.commentDirectiveParser = null;
+    }
+
+    /**
+     * Lint source code
+     * @param {(String|Buffer)} sourceCode The Source Code to lint
+     * @param {Object} config (optional) An object that specifies the rules to use and path of file containing custom rule definitions.
+     * Defaults to the config supplied to the constructor.
+     * @param {Boolean} noReset (optional) Don't reset the linter's state before linting if true
+     * @param {Object} additionalConfigs (optional) Object of the form { cascade, commandlineRules }, supplying rule configs that
+     * are applied along with config's own but aren't part of the soliumrc format (see rules.resolveRuleConfigLayers()).
+     * @returns {Array} errorObjects Array of objects, each containing lint error messages and supporting info, empty if no errors
+     */
+    lint(sourceCode, config, noReset, additionalConfigs) {
+        const state = linterStates.get(this), linter = this;
+        let nodeEventGenerator = new EventGenerator(this), AST = {}, errorObjects, currentConfig;
+
+        config = config || state.options.config;
+
+        if (typeof sourceCode === "object" && sourceCode.constructor.name === "Buffer") {
+            sourceCode = sourceCode.toString();
+        }
+
+        if (!(sourceCode && typeof sourceCode === "string")) {
+            throw new Error("A valid source code string was not provided.");
+        }
+
+        if (!configInspector.isValid(config)) {
+            throw new Error(
+                "A valid configuration object was not passed." +
+                " Please see http://solium.readthedocs.io/en/latest/user-guide.html#configuring-the-linter" +
+                " for a valid config format."
+            );
+        }
+
+        !noReset && this.reset();
+
+        state.sourceCodeText = sourceCode;
+        astUtils.init(sourceCode);	// for code that still relies on astUtils' global source code
+        currentConfig = state.currentConfig = JSON.parse(JSON.stringify(config));	// deep copy config object
+        currentConfig.options = currentConfig.options || {};	// ensure "options" attr always exists in config
+
+        try {
+            // Fetch AST with a top-level "comments" attribute
+            // In case of a parse error, catch the exception & re-throw with a modified message.
+            AST = solidityParser.parse(sourceCode, { comment: true });
+        } catch (e) {
+            e.message = `An error occured while parsing the source code: ${e.message}`;
+            throw(e);
+        }
+
+        // Comments are parsed before loading rules because configuration comments can change the rules to apply.
+        state.comments = AST.comments;
+        state.commentDirectiveParser = new CommentDirectiveParser(AST.comments, AST, sourceCode);
+
+        //load meta information of rules
+        if (configInspector.isFormatDeprecated(currentConfig)) {
+            let crf = currentConfig ["custom-rules-filename"];
+
+            this.reportInternal({
+                type: "warning",
+                message: "[Deprecated] You are using a deprecated soliumrc configuration format. " +
+                    "Please see http://solium.readthedocs.io/en/latest/user-guide.html#migrating-to-v1-0-0" +
+                    " to migrate from Solium v0 to v1."
+            });
+
+            crf && this.reportInternal({
+                type: "warning",
+                message: "[Deprecated] Attribute \"custom-rules-filename\" is now deprecated. " +
+                    "Rules from " + crf + " were not loaded. Plugins are supported v1 onward. Please see " +
+                    "http://solium.readthedocs.io/en/latest/user-guide.html#custom-rule-injection-is-now-deprecated"
+            });
+
+            state.commentDirectiveParser.getConfigDirectives().length && this.reportInternal({
+                type: "warning",
+                message: "[Warning] Configuration comments are ignored when using the deprecated soliumrc configuration format."
+            });
+
+            currentConfig.rules = state.ruleRegistry.loadUsingDeprecatedConfigFormat(currentConfig.rules, crf);
+        } else {
+            currentConfig.rules = state.ruleRegistry.load(
+                currentConfig, false, Object.assign({}, additionalConfigs, { inlineRules: resolveInlineRuleConfigs(state) })
+            );
+        }
+
+        Object.keys(currentConfig.rules).forEach(function(name) {
+            let rule = state.ruleRegistry.get(name), currentRuleConfig = currentConfig.rules [name];
+
+            // Check for validity of exposed rule object
+            if (!ruleInspector.isAValidRuleObject(rule)) {
+                throw new Error("A valid definition for rule \""
+                    + name + "\" was not provided. AJV message:\n" + util.inspect(ruleInspector.isAValidRuleObject.errors));
+            }
+
+            // Check for validity of options passed to the rule via soliumrc (if options were passed)
+            if (currentRuleConfig.options &&
+                !ruleInspector.areValidOptionsPassed(currentRuleConfig.options, rule.meta.schema)) {
+                throw new Error(`Invalid options were passed to rule "${name}".`);
+            }
+
+            // If rule contains deprecated tag & is set to true, display deprecation notice.
+            if (rule.meta.deprecated) {
+                let message = `[Deprecated] Rule "${name}" is deprecated.`;
+
+                if (rule.meta.docs.replacedBy) {
+                    message += " Please use " + rule.meta.docs.replacedBy.map(function(rn) {
+                        return "\"" + rn + "\"";
+                    }).join(", ") + " instead.";
+                }
+
+                linter.reportInternal({ type: "warning", message });
+            }
+
+            // Call rule implementation's create() to retrieve the node names to listen for & their handlers
+            // and subscribe them to the event emitter.
+            let ruleNodeListeners = rule.create(new RuleContext(name, currentRuleConfig, rule.meta, linter));
+
+            if (!ruleInspector.isAValidRuleResponseObject(ruleNodeListeners)) {
+                throw new Error(
+                    "A rule implementation's response must be an object whose keys "
+                    + "are AST Nodes to listen for and values their corresponding handler functions. AJV message:\n"
+                    + util.inspect(ruleInspector.isAValidRuleResponseObject.errors)
+                );
+            }
+
+            Object.keys(ruleNodeListeners).forEach(node => {
+                linter.on(node, ruleNodeListeners [node]);
+            });
+        });
+
+        /**
+         * Perform depth-first traversal of the AST and notify rules upon entering & leaving nodes
+         * Each node has a type property which serves as the Event's name.
+         * This allows rules to listen to the type of node they wish to test.
+         */
+        solExplore.traverse(AST, {
+            enter(node, parent) {
+                node.parent = parent;	//allow the rules to access immediate parent of current node
+                nodeEventGenerator.enterNode(node);
+                delete node.parent;
+            },
+
+            leave(node) {
+                nodeEventGenerator.leaveNode(node);
+            }
+        });
+
+        // All issues have been reported by now, so directives that didn't disable any of them are unused.
+        if (currentConfig.options.reportUnusedDisableDirectives) {
+            state.commentDirectiveParser.getUnusedDisableDirectives().forEach(({ directive, ruleName }) => {
+                state.messages.push({
+                    ruleName: "",
+                    type: "warning",
+                    message: describeUnusedDirective(directive, ruleName, currentConfig.rules),
+                    line: directive.line,
+                    column: directive.column
+                });
+            });
+        }
+
+        // Remove all internal issues if user didn't ask for them.
+        if (!currentConfig.options.returnInternalIssues) {
+            state.messages = state.messages.filter(function(msg) {
+                return !msg.internal;
+            });
+        }
+
+        //sort errors by line (column if line is same)
+        state.messages.sort(function(a, b) {
+            let lineDiff = a.line - b.line;
+            return (
+                lineDiff ? lineDiff : (a.column - b.column)
+            );
+        });
+
+        errorObjects = state.messages;
+        state.messages = [];	//reset messages array to avoid carry-forward of error objects to other files
+
+        return errorObjects;
+    }
+
+    /**
+     * Lints, then applies fixes specified by rules and returns fixed code.
+     * Since fixes overlapping other fixes are skipped, the fixed code is linted & fixed again until no more fixes
+     * can be applied or the maximum number of passes (config's "maxFixPasses" option) is reached. If fixes of some
+     * rules undo each other, fixing stops before they start repeating and a warning of each rule is reported.
+     * Only fixes of the rules listed in the config's "fixRules" option & of rules whose type is listed in its
+     * "fixTypes" option are applied (if specified). Issues whose fixes aren't applied are still reported.
+     * @param {(String|Buffer)} sourceCode The Source Code to lint.
+     * @param {Object} config (optional) An object that specifies the rules to use and path of file containing custom rule definitions.
+     * Defaults to the config supplied to the constructor.
+     * @param {Boolean} noReset (optional) Don't reset the linter's state before the first lint if true
+     * @param {Object} additionalConfigs (optional) Rule configs applied along with config's own, see lint()
+     * @returns {Object} result Returns lint errors, errors that were fixed (along with their count per rule),
+     * number of passes in which fixes were applied and final fixed code.
+     */
+    lintAndFix(sourceCode, config, noReset, additionalConfigs) {
+        const state = linterStates.get(this);
+
+        if (typeof sourceCode === "object" && sourceCode.constructor.name === "Buffer") {
+            sourceCode = sourceCode.toString();
+        }
+
+        let options = (config || state.options.config || {}).options || {}, isFirstPass = true;
+
+        let shouldApplyFix = (options.fixRules || options.fixTypes) && (msg => {
+            return (!options.fixRules || options.fixRules.includes(msg.ruleName)) &&
+                (!options.fixTypes || options.fixTypes.includes(getRuleType(state.ruleRegistry.get(msg.ruleName))));
+        });
+
+        // Only the first lint may skip resetting the linter. Listeners of the previous pass' rules must be removed.
+        let fixed = SourceCodeFixer.applyFixesRepeatedly(sourceCode, code => {
+            let errorObjects = this.lint(code, config, noReset && isFirstPass, additionalConfigs);
+
+            isFirstPass = false;
+            return errorObjects;
+        }, options.maxFixPasses || DEFAULT_MAX_FIX_PASSES, shouldApplyFix || undefined);
+
+        // Reported as regular warnings of the rules (rather than an internal issue), so they're never filtered out
+        fixed.remainingErrorMessages.unshift(...fixed.oscillatingRules.map(ruleName => {
+            const others = fixed.oscillatingRules.filter(rn => rn !== ruleName).map(rn => `"${rn}"`).join(", ");
+            const message = "Stopped applying the fixes of this rule since they undo " +
+                (others ? `the fixes of ${others}.` : "each other.");
+
+            return { ruleName, type: "warning", message, line: 1, column: 0 };
+        }));
+
+        return {
+            originalSourceCode: sourceCode,
+            fixesApplied: fixed.fixesApplied,
+            fixesAppliedPerRule: fixed.fixesApplied.reduce((counts, msg) => {
+                counts [msg.ruleName] = (counts [msg.ruleName] || 0) + 1;
+                return counts;
+            }, {}),
+            passes: fixed.passes,
+            fixedSourceCode: fixed.fixedSourceCode,
+            errorMessages: fixed.remainingErrorMessages
+        };
+    }
+
+    /**
+     * Function called by any rule that wishes to send error message upon violation in source code
+     * @param {Object} error An object that contains sufficient information to describe the lint error
+     */
+    report(error) {
+        const state = linterStates.get(this);
+
+        if (!isErrObjectValid(error)) {
+            throw new Error(util.inspect(error) +
+                " is not a valid error object. AJV message:\n" + util.inspect(isErrObjectValid.errors));
+        }
+
+        error.location = error.location || {};
+
+        let message = {
+
+            ruleName: error.ruleName,
+            type: error.type,	// either 'error' or 'warning'
+            node: error.node,
+            message: error.message,
+            line: error.location.line || astUtils.getLine(error.node, state.sourceCodeText),
+            column: (error.location.column === 0) ?
+                0 : (error.location.column || astUtils.getColumn(error.node, state.sourceCodeText))
+
+        };
+
+        // First ensure that commentDirectiveParser is not null
+        // It will be undefined if report() is directly called without lint() and null after reset().
+        if (state.commentDirectiveParser &&
+            !state.commentDirectiveParser.isRuleEnabledOnLine(message.ruleName, message.line)) {
+            // If the line of code is configured to not be linted by Solium, do not report this lint issue.
+            return;
+        }
+
+        // If rule supplies a fix, it can be added to the message reported after validation.
+        if (error.fix) {
+            if (!error.ruleMeta.fixable) {
+                this.reportInternal({
+                    type: "warning", message: "[Warning] The fixes supplied by rule \"" +
+                        error.ruleName + "\" will be ignored since its \"meta\" doesn't contain the \"fixable\" property."
+                });
+            } else {
+                if (typeof error.fix !== "function") {
+                    throw new Error(`Rule "${error.ruleName}": `
+                        + `Attribute "fix" (reported as part of the error "${error.message}") must be a function.`);
+                }
+
+                message.fix = error.fix(new RuleFixer(error.ruleMeta.fixable));
+
+                if (message.fix === null) {
+                    // The rule's fix() was called but doesn't want to apply any fixes in this instance
+                    delete message.fix;
+                } else if (!isValidFixerPacket(message.fix)) {
+                    // Validate return value of the rule's error's fix() function
+                    throw new Error("Rule \"" + error.ruleName +
+                        "\": the fix() method for rule error \"" + error.message + "\" returns an invalid value.");
+                }
+            }
+        }
+
+        // Suggestions are never applied by lintAndFix(), so they don't require the rule to be "fixable".
+        // They're only passed on to the user, who can choose to apply one of them.
+        if (error.suggest) {
+            let suggestions = error.suggest.map(suggestion => {
+                let fix = suggestion.fix(new RuleFixer("code"));
+
+                if (fix !== null && !isValidFixerPacket(fix)) {
+                    throw new Error(`Rule "${error.ruleName}": the fix() method of suggestion "${suggestion.desc}" `
+                        + `for rule error "${error.message}" returns an invalid value.`);
+                }
+
+                return { desc: suggestion.desc, fix };
+            });
+
+            // Like fix(), a suggestion's fix() can return null if the suggestion doesn't apply in this instance
+            suggestions = suggestions.filter(suggestion => suggestion.fix !== null);
+            suggestions.length && (message.suggestions = suggestions);
+        }
+
+        state.messages.push(message);
+    }
+
+    /**
+     * Convenience wrapper for Solium modules to report internal issues. It adds the "internal: true" attr to error.
+     * @param {Object} issue Internal issue
+     */
+    reportInternal(issue) {
+        if (!jsUtils.isStrictlyObject(issue)) {
+            throw new Error("Invalid error object");
+        }
+
+        // Assign line & column = -1 so messages.sort() brings the internal issues on top
+        linterStates.get(this).messages.push(Object.assign(issue, { internal: true, line: -1, column: -1 }));
+    }
+
+    /**
+     * Provides the user with program source code wrapped inside a utility object that also provides functions to operate on the code
+     * @returns {Object} sourceCodeObject The SourceCode Object that provides source text & functionality
+     */
+    getSourceCode() {
+        const { sourceCodeText, comments } = linterStates.get(this);
+        return new SourceCode(sourceCodeText, comments);
+    }
+
+    /**
+     * Get the comment directives (solium-disable, solium-enable, etc.) found in the code linted last,
+     * along with the reasons given for them.
+     * @returns {Array} directives List of objects of the form { type, rules, reason, line, column }
+     */
+    getCommentDirectives() {
+        const { commentDirectiveParser } = linterStates.get(this);
+        return commentDirectiveParser ? commentDirectiveParser.getDirectives() : [];
+    }
+
+}
+
+
+module.exports = Linter;
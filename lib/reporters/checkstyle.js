@@ -0,0 +1,60 @@
+/**
+ * @fileoverview The object responsible for reporting lint issues in Checkstyle XML format
+ */
+
+"use strict";
+
+const { escapeXML, getReporterState, resetReporterState } = require("../utils/reporter-utils");
+
+
+function getFiles(reporter) {
+    return getReporterState(reporter, () => []);
+}
+
+
+module.exports = {
+
+    output: process.stdout,
+
+    // Files without issues are listed as empty file elements
+    reportsCleanFiles: true,
+
+    reportFatal(message) {
+        process.stderr.write(`[Fatal error] ${message}\n`);
+    },
+
+    // Keep the output valid XML
+    reportInternal(message) {
+        process.stderr.write(`[Warning] ${message}\n`);
+    },
+
+    report(filename, sourceCode, lintErrors) {
+        const issues = lintErrors.filter(issue => {
+            issue.internal && this.reportInternal(issue.message);
+            return !issue.internal;
+        });
+
+        getFiles(this).push({ filename, issues });
+    },
+
+    finalize() {
+        let xml = "<?xml version=\"1.0\" encoding=\"utf-8\"?>\n<checkstyle version=\"4.3\">\n";
+
+        getFiles(this).forEach(({ filename, issues }) => {
+            xml += `  <file name="${escapeXML(filename)}">\n`;
+
+            issues.forEach(({ line, column, type, message, ruleName }) => {
+                // Checkstyle columns start from 1, Solium's from 0
+                xml += `    <error line="${line}" column="${column + 1}" severity="${type}" ` +
+                    `message="${escapeXML(message)}" source="${escapeXML(ruleName)}" />\n`;
+            });
+
+            xml += "  </file>\n";
+        });
+
+        xml += "</checkstyle>\n";
+        this.output.write(xml);
+        resetReporterState(this);
+    }
+
+};
@@ -7,12 +7,14 @@
 
 module.exports = {
 
+    output: process.stdout,
+
     reportFatal(message) {
         process.stderr.write(`[Fatal error] ${message}\n`);
     },
 
     reportInternal(message) {
-        process.stdout.write(`[Warning] ${message}\n`);
+        this.output.write(`[Warning] ${message}\n`);
     },
 
     report(filename, sourceCode, lintErrors, fixesApplied) {
@@ -24,20 +26,20 @@ module.exports = {
                 return;
             }
 
-            process.stdout.write(`${issue.message}\n`);
+            this.output.write(`${issue.message}\n`);
 
             delete lintErrors [index];
             internalIssuesExist = true;
         });
 
-        internalIssuesExist && process.stdout.write("\n");
+        internalIssuesExist && this.output.write("\n");
 
         lintErrors.forEach(error => {
             const { line, column, type, message, ruleName } = error;
-            process.stdout.write(`${filename}:${line}:${column}: ${type}: ${message} [${ruleName}]\n`);
+            this.output.write(`${filename}:${line}:${column}: ${type}: ${message} [${ruleName}]\n`);
         });
 
-        Array.isArray(fixesApplied) && process.stdout.write(`\nNumber of fixes applied: ${fixesApplied.length}\n`);
+        Array.isArray(fixesApplied) && this.output.write(`\nNumber of fixes applied: ${fixesApplied.length}\n`);
     }
 
 };
\ No newline at end of file
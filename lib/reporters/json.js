@@ -0,0 +1,68 @@
+/**
+ * @fileoverview The object responsible for reporting all lint issues of a run as a single JSON document
+ */
+
+"use strict";
+
+const { toSerializableIssue, countIssues, getReporterState, resetReporterState } = require("../utils/reporter-utils");
+
+
+function getState(reporter) {
+    return getReporterState(reporter, () => ({ files: [], internalIssues: [] }));
+}
+
+
+module.exports = {
+
+    output: process.stdout,
+
+    // Every linted file is listed, so summary.fileCount is the number of files linted
+    reportsCleanFiles: true,
+
+    reportFatal(message) {
+        process.stderr.write(`[Fatal error] ${message}\n`);
+    },
+
+    reportInternal(message) {
+        getState(this).internalIssues.push({ type: "warning", message });
+    },
+
+    report(filename, sourceCode, lintErrors, fixesApplied) {
+        const { files, internalIssues } = getState(this), messages = [];
+
+        lintErrors.forEach(issue => {
+            if (issue.internal) {
+                return internalIssues.push({ type: issue.type, message: issue.message });
+            }
+
+            messages.push(toSerializableIssue(issue));
+        });
+
+        const entry = Object.assign({ filename, messages }, countIssues(messages));
+
+        if (Array.isArray(fixesApplied)) {
+            entry.fixesApplied = fixesApplied.length;
+        }
+
+        files.push(entry);
+    },
+
+    finalize() {
+        const { files, internalIssues } = getState(this);
+        const summary = { fileCount: files.length, errorCount: 0, warningCount: 0, fixableCount: 0 };
+
+        files.forEach(file => {
+            summary.errorCount += file.errorCount;
+            summary.warningCount += file.warningCount;
+            summary.fixableCount += file.messages.filter(m => m.fixable).length;
+
+            if (typeof file.fixesApplied === "number") {
+                summary.fixesApplied = (summary.fixesApplied || 0) + file.fixesApplied;
+            }
+        });
+
+        this.output.write(JSON.stringify({ files, internalIssues, summary }, null, 2) + "\n");
+        resetReporterState(this);
+    }
+
+};
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview The object responsible for reporting lint issues as JUnit XML.
+ * Every linted file is a testsuite and every issue a failing testcase.
+ * Files without issues have a single passing testcase.
+ */
+
+"use strict";
+
+const { escapeXML, countIssues, getReporterState, resetReporterState } = require("../utils/reporter-utils");
+
+
+function getSuites(reporter) {
+    return getReporterState(reporter, () => []);
+}
+
+
+module.exports = {
+
+    output: process.stdout,
+
+    reportsCleanFiles: true,
+
+    reportFatal(message) {
+        process.stderr.write(`[Fatal error] ${message}\n`);
+    },
+
+    // Keep the output valid XML
+    reportInternal(message) {
+        process.stderr.write(`[Warning] ${message}\n`);
+    },
+
+    report(filename, sourceCode, lintErrors) {
+        const issues = lintErrors.filter(issue => {
+            issue.internal && this.reportInternal(issue.message);
+            return !issue.internal;
+        });
+
+        getSuites(this).push({ filename, issues });
+    },
+
+    finalize() {
+        const suites = getSuites(this);
+        const total = countIssues([].concat(...suites.map(s => s.issues)));
+        const failures = total.errorCount + total.warningCount;
+
+        // Every suite without failures has a single passing testcase
+        const tests = failures + suites.filter(s => s.issues.length === 0).length;
+
+        let xml = "<?xml version=\"1.0\" encoding=\"utf-8\"?>\n";
+        xml += `<testsuites name="Solium" tests="${tests}" failures="${failures}" errors="0">\n`;
+
+        suites.forEach(({ filename, issues }) => {
+            const name = escapeXML(filename);
+
+            if (issues.length === 0) {
+                xml += `  <testsuite name="${name}" tests="1" failures="0" errors="0">\n`;
+                xml += `    <testcase classname="${name}" name="solium" time="0" />\n`;
+                xml += "  </testsuite>\n";
+
+                return;
+            }
+
+            xml += `  <testsuite name="${name}" tests="${issues.length}" failures="${issues.length}" errors="0">\n`;
+
+            issues.forEach(issue => {
+                const { line, column, type, message, ruleName } = issue;
+
+                xml += `    <testcase classname="${name}" name="${escapeXML(ruleName)}" time="0">\n`;
+                xml += `      <failure type="${type}" message="${escapeXML(message)}">` +
+                    escapeXML(`${filename}:${line}:${column}: ${type}: ${message} [${ruleName}]`) + "</failure>\n";
+                xml += "    </testcase>\n";
+            });
+
+            xml += "  </testsuite>\n";
+        });
+
+        xml += "</testsuites>\n";
+        this.output.write(xml);
+        resetReporterState(this);
+    }
+
+};
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview The object responsible for streaming lint issues as newline-delimited JSON, one object per issue
+ */
+
+"use strict";
+
+const { toSerializableIssue } = require("../utils/reporter-utils");
+
+
+function writeLine(output, obj) {
+    output.write(JSON.stringify(obj) + "\n");
+}
+
+
+module.exports = {
+
+    output: process.stdout,
+
+    reportFatal(message) {
+        process.stderr.write(`[Fatal error] ${message}\n`);
+    },
+
+    reportInternal(message) {
+        writeLine(this.output, { internal: true, type: "warning", message });
+    },
+
+    report(filename, sourceCode, lintErrors) {
+        lintErrors.forEach(issue => {
+            if (issue.internal) {
+                return writeLine(this.output, { internal: true, type: issue.type, message: issue.message });
+            }
+
+            writeLine(this.output, Object.assign({ filename }, toSerializableIssue(issue)));
+        });
+    }
+
+};
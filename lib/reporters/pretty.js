@@ -6,10 +6,9 @@
 "use strict";
 
 const path = require("path"),
-    sort = require("lodash/sortBy"), Table = require("text-table");
-require("colors");
-
-let counts = {};
+    sort = require("lodash/sortBy"), Table = require("text-table"),
+    colors = require("colors"),
+    { getReporterState, resetReporterState } = require("../utils/reporter-utils");
 
 
 function color(type) {
@@ -20,12 +19,23 @@ function colorInternalIssue(type) {
     return type === "warning" ? "blue" : "red";
 }
 
+// Color codes are only meant for terminals, not for files
+function write(output, text) {
+    output.write(output.filePath ? colors.strip(text) : text);
+}
+
+function getCounts(reporter) {
+    return getReporterState(reporter, () => ({}));
+}
+
 
 module.exports = {
 
+    output: process.stdout,
+
     // Convenience method when only a message needs to be passed as part of an internal issue
     reportInternal(message) {
-        process.stdout.write((`[Warning] ${message}\n`)[colorInternalIssue("warning")]);
+        write(this.output, (`[Warning] ${message}\n`)[colorInternalIssue("warning")]);
     },
 
     reportFatal(message) {
@@ -33,6 +43,8 @@ module.exports = {
     },
 
     report(filename, sourceCode, lintErrors, fixesApplied) {
+        const counts = getCounts(this);
+
         // Remove internal issue, so only rule errors reach the next loop
         lintErrors.forEach((issue, index) => {
             if (!issue.internal) {
@@ -40,14 +52,13 @@ module.exports = {
             }
 
             const {message, type} = issue;
-            process.stdout.write(`${message[colorInternalIssue(type)]}\n`);
+            write(this.output, `${message[colorInternalIssue(type)]}\n`);
 
             delete lintErrors[index];
         });
 
         // Print the file name
-        process.stdout.write(
-            (`\n${filename.replace(path.join(process.cwd(), "/"), "")}\n`).underline);
+        write(this.output, (`\n${filename.replace(path.join(process.cwd(), "/"), "")}\n`).underline);
 
         const errorEntries = [];
 
@@ -66,50 +77,62 @@ module.exports = {
             counts[error.type] += 1;
         });
 
-        // Generate & print the aligned table of errors
-        process.stdout.write(Table(errorEntries) + "\n");
+        // Generate & print the aligned table of errors (a file may only have been reported for the fixes applied to it)
+        errorEntries.length && write(this.output, Table(errorEntries) + "\n");
 
         if (Array.isArray(fixesApplied)) {
             counts.fixes = (counts.fixes || 0) + fixesApplied.length;
+            counts.fixesPerRule = counts.fixesPerRule || {};
+
+            fixesApplied.forEach(({ ruleName }) => {
+                counts.fixesPerRule[ruleName] = (counts.fixesPerRule[ruleName] || 0) + 1;
+            });
         }
     },
 
 
     finalize() {
+        const counts = getCounts(this);
 
-        process.stdout.write("\n");
+        write(this.output, "\n");
 
         if (typeof counts.fixes !== "undefined") {
             if (counts.fixes === 1) {
-                process.stdout.write(("\u2714").green + " 1 fix was");
+                write(this.output, ("\u2714").green + " 1 fix was");
             } else {
-                process.stdout.write(
+                write(this.output,
                     (counts.fixes === 0 ? "No" : ((("\u2714 ").green) + counts.fixes)) + " fixes were");
             }
 
-            process.stdout.write(" applied.\n");
+            write(this.output, " applied.\n");
+
+            // List the number of fixes applied by each rule
+            sort(Object.keys(counts.fixesPerRule || {})).forEach(ruleName => {
+                write(this.output, `  ${counts.fixesPerRule[ruleName]}  ${ruleName.grey}\n`);
+            });
         }
 
         delete counts.fixes;
+        delete counts.fixesPerRule;
         const errorTypes = sort(Object.keys(counts));
 
         if (errorTypes.length === 0) {
-            process.stdout.write(("No issues found.\n\n").green);
+            write(this.output, ("No issues found.\n\n").green);
         } else {
 
-            process.stdout.write(("\u2716 ").red);
+            write(this.output, ("\u2716 ").red);
 
             errorTypes.forEach((type, i) => {
                 const sep = (i === 0) ? "" : ", ";
                 const plural = (counts[type] !== 1) ? "s" : "";
 
-                process.stdout.write((sep + (counts[type] + " " + type + plural)).red);
+                write(this.output, (sep + (counts[type] + " " + type + plural)).red);
             });
 
-            process.stdout.write((" found.\n\n").red);
+            write(this.output, (" found.\n\n").red);
         }
 
-        counts = {};
+        resetReporterState(this);
 
     }
 
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview The object responsible for reporting lint issues as a SARIF 2.1.0 log
+ * See https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ */
+
+"use strict";
+
+const path = require("path"),
+    ruleLoader = require("../utils/rule-loader"),
+    { getReporterState, resetReporterState } = require("../utils/reporter-utils"),
+    soliumVersion = require("../../package.json").version;
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json",
+    SARIF_VERSION = "2.1.0";
+
+
+function getState(reporter) {
+    return getReporterState(reporter, () => ({ rules: [], ruleIndices: {}, results: [], notifications: [] }));
+}
+
+// SARIF URIs must use forward slashes. Paths inside the current directory are made relative to it.
+function toArtifactUri(filename) {
+    const relativePath = path.isAbsolute(filename) ? path.relative(process.cwd(), filename) : filename;
+    return encodeURI(relativePath.split(path.sep).join("/"));
+}
+
+// Severity "off" has no equivalent in SARIF levels other than "none"
+function toLevel(type) {
+    return ({ error: "error", warning: "warning" })[type] || "none";
+}
+
+/**
+ * Register the rule with the given name in tool.driver.rules (if not already registered).
+ * @param {Object} state The reporter's state
+ * @param {String} ruleName Name of the rule
+ * @returns {(Integer|undefined)} index Index of the rule in tool.driver.rules, undefined if no such rule exists
+ */
+function getRuleIndex(state, ruleName) {
+    const { rules, ruleIndices } = state;
+
+    if (ruleIndices.hasOwnProperty(ruleName)) {
+        return ruleIndices[ruleName];
+    }
+
+    let meta;
+
+    try {
+        meta = ruleLoader.load([ruleName])[ruleName].meta;
+    } catch (e) {
+        // Issues like syntax errors aren't reported by any rule
+        return ruleIndices[ruleName] = undefined;
+    }
+
+    rules.push({
+        id: ruleName,
+        shortDescription: { text: meta.docs.description },
+        defaultConfiguration: { level: toLevel(meta.docs.type) },
+        properties: { recommended: meta.docs.recommended }
+    });
+
+    return ruleIndices[ruleName] = rules.length - 1;
+}
+
+/**
+ * Convert the fix packet(s) supplied with an issue into a SARIF fix object.
+ * @param {(Object|Array)} fix Fixer packet or array of packets
+ * @param {String} uri URI of the file to which the fix applies
+ * @returns {Object} sarifFix SARIF fix object
+ */
+function toSarifFix(fix, uri) {
+    const replacements = [].concat(fix).map(packet => {
+        return {
+            deletedRegion: { charOffset: packet.range[0], charLength: packet.range[1] - packet.range[0] },
+            insertedContent: { text: packet.text }
+        };
+    });
+
+    return { artifactChanges: [{ artifactLocation: { uri }, replacements }] };
+}
+
+
+module.exports = {
+
+    output: process.stdout,
+
+    reportFatal(message) {
+        process.stderr.write(`[Fatal error] ${message}\n`);
+    },
+
+    reportInternal(message) {
+        getState(this).notifications.push({ level: "warning", message: { text: message } });
+    },
+
+    report(filename, sourceCode, lintErrors) {
+        const state = getState(this), uri = toArtifactUri(filename);
+
+        lintErrors.forEach(issue => {
+            if (issue.internal) {
+                return state.notifications.push({ level: toLevel(issue.type), message: { text: issue.message } });
+            }
+
+            const result = {};
+
+            if (issue.ruleName) {
+                const ruleIndex = getRuleIndex(state, issue.ruleName);
+
+                result.ruleId = issue.ruleName;
+                (ruleIndex !== undefined) && (result.ruleIndex = ruleIndex);
+            }
+
+            Object.assign(result, {
+                level: toLevel(issue.type),
+                message: { text: issue.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri },
+                        // SARIF columns start from 1, Solium's from 0
+                        region: { startLine: issue.line, startColumn: issue.column + 1 }
+                    }
+                }]
+            });
+
+            if (issue.fix) {
+                result.fixes = [toSarifFix(issue.fix, uri)];
+            }
+
+            state.results.push(result);
+        });
+    },
+
+    finalize() {
+        const { rules, results, notifications } = getState(this);
+        const log = {
+            $schema: SARIF_SCHEMA,
+            version: SARIF_VERSION,
+            runs: [{
+                tool: {
+                    driver: {
+                        name: "Solium",
+                        version: soliumVersion,
+                        informationUri: "https://github.com/duaraghav8/Solium",
+                        rules
+                    }
+                },
+                invocations: [{ executionSuccessful: true, toolExecutionNotifications: notifications }],
+                results
+            }]
+        };
+
+        this.output.write(JSON.stringify(log, null, 2) + "\n");
+        resetReporterState(this);
+    }
+
+};
@@ -9,10 +9,10 @@ let fs = require("fs"),
     Ajv = require("ajv"),
     path = require("path"),
     util = require("util"),
+    minimatch = require("minimatch"),
     jsUtils = require("./utils/js-utils"),
     ruleLoader = require("./utils/rule-loader"),
     soliumRules = require("../config/solium").rules,	//list of all rules available inside solium
-    rules = {},
     plugins = {'solium-plugin-security': require('solium-plugin-security')}
 
 let RULES_DIR = path.join(__dirname, ruleLoader.constants.SOLIUM_CORE_RULES_DIRNAME),
@@ -28,15 +28,190 @@ let isValidSeverityString = SchemaValidator.compile(severityValueSchemas [0]),
     isValidSeverityArray = SchemaValidator.compile(severityValueSchemas [2]),
     isAValidPlugin = require("../config/schemas/plugin").validationFunc;
 
-module.exports = {
+
+/**
+ * Determine whether a file name matches any of the glob patterns of an "overrides" block.
+ * Patterns without a slash are matched against the file's base name.
+ * @param {String} filename Name of the file being linted
+ * @param {(String|Array)} patterns Glob pattern(s) to match against
+ * @returns {Boolean} isMatch True if at least 1 pattern matches the file name
+ */
+function matchesAnyPattern(filename, patterns) {
+    filename = filename.replace(/\\/g, "/").replace(/^\.\//, "");
+
+    return [].concat(patterns).some(function(pattern) {
+        return minimatch(filename, pattern, { matchBase: true, dot: true });
+    });
+}
+
+/**
+ * Resolve the rule configurations described by a configuration object without loading any rule definitions.
+ * Configs are returned as layers in the order they must be applied: plugin defaults first, then the
+ * ruleset specified in "extends", then the "rules" attribute, the layers of the soliumrc files in the cascade (if any),
+ * the "overrides" blocks that match the file name supplied in config's "options" (if any), the rules supplied
+ * via commandline (if any) and finally the inline rule configs (if any).
+ * @param {Object} config The configuration object (read from soliumrc).
+ * @param {Object} additionalConfigs (optional) Object of the form { cascade, commandlineRules, inlineRules }, all optional.
+ * cascade lists the configurations of the soliumrc files merged into config (see configCascade.mergeConfigFiles()),
+ * commandlineRules are the rule configs supplied via commandline & inlineRules the ones supplied by configuration
+ * comments inside the file being linted. They aren't part of config since users can't write them in a soliumrc file.
+ * @returns {Array} layers List of objects of the form { source: String, rules: Object }
+ */
+function resolveRuleConfigLayers(config, additionalConfigs) {
+    let layers = [], { cascade = [], commandlineRules, inlineRules } = additionalConfigs || {};
+
+    // If plugins are passed, ensure all of them are installed in the same scope as Solium.
+    // If not, provide appropriate error messages, instructions & doc links.
+    if (config.plugins && config.plugins.length) {
+        // eslint-disable-next-line no-inner-declarations
+        function validatePlugin(pName) {
+            // User must only provide the plugin name, not the solium plugin prefix string
+            let plugin, pNameWithoutPrefix = pName;
+            pName = ruleLoader.constants.SOLIUM_PLUGIN_PREFIX + pName;
+
+            try {
+                plugin = plugins[pName] || require(pName);
+            } catch (e) {
+                if (e.code === "MODULE_NOT_FOUND") {
+                    // Plugin is not installed in Solium's scope
+                    throw new Error(
+                        "Oops! The Plugin \"" + pName + "\" was not found." +
+							"\n\nPlease make sure that it is installed globally by running \"npm install -g " + pName + "\""
+                    );
+                }
+
+                // Some other error
+                throw new Error(
+                    "Oops! An error occured while trying to load the plugin \"" +
+						pName + "\"." + e.message +
+						"\n\nPlease see http://solium.readthedocs.io/en/latest/user-guide.html#plugins for plugin usage."
+                );
+            }
+
+            // If plugin was loaded successfully, validate it using schema.
+            if (!isAValidPlugin(plugin)) {
+                throw new Error(
+                    "\"" + pName + "\" is not a valid plugin." +
+						"\nPlease see http://solium.readthedocs.io/en/latest/developer-guide.html#developing-a-plugin" + 
+						" for plugin development. AJV Message:\n" +	util.inspect(isAValidPlugin.errors)
+                );
+            }
+
+            // Finally, load plugin's default rule configuration as a layer
+            layers.push({
+                source: `plugin:${pNameWithoutPrefix}`,
+                rules: ruleLoader.resolvePluginConfig(pNameWithoutPrefix, plugin)
+            });
+        }
+
+        config.plugins.forEach(validatePlugin);
+    }
+
+    if (config.extends) {
+        try {
+            layers.push({ source: `extends:${config.extends}`, rules: ruleLoader.resolveUpstream(config.extends) });
+        } catch (e) {
+            throw new Error(
+                `An error occured while trying to resolve dependancy "${config.extends}": ${e.message}`
+            );
+        }
+    }
+
+    // If both extends & rules attributes exist, the rules imported from "rules" attr will override any rules
+    // imported from "extends" in case of a name clash.
+    if (config.rules && Object.keys(config.rules).length) {
+        layers.push({ source: "rules", rules: config.rules });
+    }
+
+    // The layers of every cascaded soliumrc file are named after the file, like "contracts/.soliumrc.json:rules".
+    // Like in a single config, the overrides blocks of all files are applied after their rules.
+    cascade.forEach(function(fileConfig) {
+        let { plugins, rules } = fileConfig, fileLayers;
+
+        try {
+            fileLayers = resolveRuleConfigLayers({ plugins, "extends": fileConfig.extends, rules });
+        } catch (e) {
+            throw new Error(`An error occured while resolving ${fileConfig.file}: ${e.message}`);
+        }
+
+        fileLayers.forEach(function(layer) {
+            layers.push({ source: `${fileConfig.file}:${layer.source}`, rules: layer.rules });
+        });
+    });
+
+    // Override blocks are applied in the order they're declared in, so a later block wins over an earlier one.
+    function addMatchingOverrides(overrides, sourcePrefix) {
+        if (!(overrides && config.options && config.options.filename)) {
+            return;
+        }
+
+        overrides.forEach(function(override, index) {
+            if (matchesAnyPattern(config.options.filename, override.files)) {
+                layers.push({ source: `${sourcePrefix}overrides[${index}]`, rules: override.rules });
+            }
+        });
+    }
+
+    addMatchingOverrides(config.overrides, "");
+
+    cascade.forEach(function(fileConfig) {
+        addMatchingOverrides(fileConfig.overrides, `${fileConfig.file}:`);
+    });
+
+    // Rules supplied via commandline are applied on top of the configuration file, including its overrides.
+    if (commandlineRules && Object.keys(commandlineRules).length) {
+        layers.push({ source: "commandline", rules: commandlineRules });
+    }
+
+    // Configuration comments apply to a single file, so they win over any configuration file.
+    if (inlineRules && Object.keys(inlineRules).length) {
+        layers.push({ source: "inline", rules: inlineRules });
+    }
+
+    return layers;
+}
+
+/**
+ * Get severity value for a rule from its given configuration description.
+ * @param {Integer|String|Array} ruleConfig configuration for the rule (picked up from soliumrc)
+ * @returns {Integer} severity Either 0 (rule turned off), 1 (warning) or 2 (error).
+ */
+function getRuleSeverity(ruleConfig) {
+    if (isValidSeverityInt(ruleConfig)) {
+        return ruleConfig;
+    }
+
+    if (isValidSeverityString(ruleConfig)) {
+        return ({
+            "off": 0, "warning": 1, "error": 2
+        }) [ruleConfig];
+    }
+
+    if (isValidSeverityArray(ruleConfig)) {
+        return getRuleSeverity(ruleConfig [0]);
+    }
+
+    throw new Error("Invalid configuration value for rule.");
+}
+
+
+/**
+ * Registry of the rule definitions loaded for linting.
+ * Every linter owns a registry, so rules loaded by one linter don't interfere with those of another.
+ */
+class RuleRegistry {
+
+    constructor() {
+        this.rules = {};
+    }
 
     /**
 	 * Reset state so previous lint's configuration doesn't interfere with the next one
 	 * @returns {void}
 	 */
-    reset: function() {
-        rules = {};	//clear rule cache before populating them
-    },
+    reset() {
+        this.rules = {};	//clear rule cache before populating them
+    }
 
     /**
 	 * load the user-specified rules from the rules/ directory and custom rules from specified file
@@ -45,8 +220,8 @@ module.exports = {
 	 * @param {String} customRulesFilePath The file from where definitions of user-defined rules are loaded
 	 * @returns {Object} userRules Definitions of all user-requested rules. Throws error if a rule in userRules is not amongst available rules
 	 */
-    loadUsingDeprecatedConfigFormat: function(userRules, customRulesFilePath, noReset) {
-        let ruleFiles, idCounter = 1;
+    loadUsingDeprecatedConfigFormat(userRules, customRulesFilePath, noReset) {
+        let ruleFiles, idCounter = 1, rules;
 
         if (!jsUtils.isStrictlyObject(userRules)) {
             throw new Error("Invalid rules object");
@@ -59,6 +234,7 @@ module.exports = {
         }
 
         !noReset && this.reset();
+        rules = this.rules;
 
         ruleFiles.forEach(function(filename) {
             let ruleName = filename.slice(0, -JS_EXT.length),
@@ -101,78 +277,25 @@ module.exports = {
         });
 
         return userRules;
-    },
+    }
 
     /**
 	 * Load Solium rules as described in the configuration object provided.
 	 * @param {Object} config The configuration object (read from soliumrc) that describes what rules the user wishes to apply.
 	 * @param {Boolean} noReset Determines whether to re-initilize internal variables or not. If this param has a false-equivalent value, data is reset.
+	 * @param {Object} additionalConfigs (optional) Rule configs applied along with config's own, see resolveRuleConfigLayers()
 	 * @returns {Object} userRules Definitions of all user-requested rules. Throws error if a rule in userRules is not amongst available rules
 	 */
-    load: function(config, noReset) {
-        let ruleDescriptions = {}, ruleConfigs = {}, getRuleSeverity = this.getRuleSeverity;
+    load(config, noReset, additionalConfigs) {
+        let ruleDescriptions = {}, ruleConfigs = {}, rules;
 
         !noReset && this.reset();
+        rules = this.rules;
 
-        // If plugins are passed, ensure all of them are installed in the same scope as Solium.
-        // If not, provide appropriate error messages, instructions & doc links.
-        if (config.plugins && config.plugins.length) {
-            // eslint-disable-next-line no-inner-declarations
-            function validatePlugin(pName) {
-                // User must only provide the plugin name, not the solium plugin prefix string
-                let plugin, pNameWithoutPrefix = pName;
-                pName = ruleLoader.constants.SOLIUM_PLUGIN_PREFIX + pName;
-
-                try {
-                    plugin = plugins[pName] || require(pName);
-                } catch (e) {
-                    if (e.code === "MODULE_NOT_FOUND") {
-                        // Plugin is not installed in Solium's scope
-                        throw new Error(
-                            "Oops! The Plugin \"" + pName + "\" was not found." +
-							"\n\nPlease make sure that it is installed globally by running \"npm install -g " + pName + "\""
-                        );
-                    }
-
-                    // Some other error
-                    throw new Error(
-                        "Oops! An error occured while trying to load the plugin \"" +
-						pName + "\"." + e.message +
-						"\n\nPlease see http://solium.readthedocs.io/en/latest/user-guide.html#plugins for plugin usage."
-                    );
-                }
-
-                // If plugin was loaded successfully, validate it using schema.
-                if (!isAValidPlugin(plugin)) {
-                    throw new Error(
-                        "\"" + pName + "\" is not a valid plugin." +
-						"\nPlease see http://solium.readthedocs.io/en/latest/developer-guide.html#developing-a-plugin" + 
-						" for plugin development. AJV Message:\n" +	util.inspect(isAValidPlugin.errors)
-                    );
-                }
-
-                // Finally, load plugin's default rule configuration into ruleConfigs
-                Object.assign(ruleConfigs, ruleLoader.resolvePluginConfig(pNameWithoutPrefix, plugin));
-            }
-
-            config.plugins.forEach(validatePlugin);
-        }
-
-        if (config.extends) {
-            try {
-                Object.assign(ruleConfigs, ruleLoader.resolveUpstream(config.extends));
-            } catch (e) {
-                throw new Error(
-                    `An error occured while trying to resolve dependancy "${config.extends}": ${e.message}`
-                );
-            }
-        }
-
-        // If both extends & rules attributes exist, the rules imported from "rules" attr will override any rules
-        // imported from "extends" in case of a name clash.
-        if (config.rules && Object.keys(config.rules).length) {
-            Object.assign(ruleConfigs, config.rules);
-        }
+        // Later layers override rules configured by the earlier ones in case of a name clash.
+        resolveRuleConfigLayers(config, additionalConfigs).forEach(function(layer) {
+            Object.assign(ruleConfigs, layer.rules);
+        });
 
         // Remove all rules that are disabled.
         Object.keys(ruleConfigs).forEach(function(name) {
@@ -209,41 +332,32 @@ module.exports = {
         });
 
         return ruleDescriptions;
-    },
+    }
 
     /**
 	 * context object Constructor to set read-only properties and provide additional functionality to the rules using it
 	 * @returns {Object} rule Rule object containing function to execute rule, exported by the rule's file
 	 */
-    get: function(name) {
+    get(name) {
         if (name && typeof name === "string") {
-            return rules [name];
+            return this.rules [name];
         } else {
             throw new Error(name + " is an invalid argument");
         }
-    },
-
-    /**
-	 * Get severity value for a rule from its given configuration description.
-	 * @param {Integer|String|Array} ruleConfig configuration for the rule (picked up from soliumrc)
-	 * @returns {Integer} severity Either 0 (rule turned off), 1 (warning) or 2 (error).
-	 */
-    getRuleSeverity: function getRuleSeverity(ruleConfig) {
-        if (isValidSeverityInt(ruleConfig)) {
-            return ruleConfig;
-        }
+    }
 
-        if (isValidSeverityString(ruleConfig)) {
-            return ({
-                "off": 0, "warning": 1, "error": 2
-            }) [ruleConfig];
-        }
+}
 
-        if (isValidSeverityArray(ruleConfig)) {
-            return getRuleSeverity(ruleConfig [0]);
-        }
 
-        throw new Error("Invalid configuration value for rule.");
-    }
+// Registry used by the functions exported by this module, kept for backward compatibility
+let defaultRegistry = new RuleRegistry();
 
-};
\ No newline at end of file
+module.exports = {
+    RuleRegistry,
+    reset: defaultRegistry.reset.bind(defaultRegistry),
+    loadUsingDeprecatedConfigFormat: defaultRegistry.loadUsingDeprecatedConfigFormat.bind(defaultRegistry),
+    load: defaultRegistry.load.bind(defaultRegistry),
+    get: defaultRegistry.get.bind(defaultRegistry),
+    resolveRuleConfigLayers,
+    getRuleSeverity
+};
@@ -17,7 +17,9 @@ module.exports = {
 
         schema: [],
 
-        fixable: "whitespace"
+        fixable: "whitespace",
+
+        type: "layout"
 
     },
 
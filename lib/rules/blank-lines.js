@@ -37,6 +37,8 @@ module.exports = {
 
         fixable: "whitespace",
 
+        type: "layout",
+
         schema: []
 
     },
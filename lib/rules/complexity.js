@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Ensure that the cyclomatic complexity of functions doesn't exceed the specified threshold
+ */
+
+"use strict";
+
+module.exports = {
+
+    meta: {
+
+        docs: {
+            recommended: false,
+            type: "warning",
+            description: "Ensure that the cyclomatic complexity of functions doesn't exceed the specified threshold"
+        },
+
+        schema: [{
+            type: "integer", minimum: 1
+        }]
+
+    },
+
+    create(context) {
+        const maxComplexity = context.options ? context.options [0] : 10;
+        const sourceCode = context.getSourceCode();
+
+        // Complexity of the function being traversed, null outside functions
+        let complexity = null;
+
+        function inspectFunction(emitted) {
+            const { node } = emitted;
+
+            if (!emitted.exit) {
+                complexity = 1;
+                return;
+            }
+
+            if (complexity > maxComplexity) {
+                context.report({
+                    node,
+                    message: `${sourceCode.describeFunction(node)} has a cyclomatic complexity of ${complexity}. ` +
+                        `Maximum allowed is ${maxComplexity}.`
+                });
+            }
+
+            complexity = null;
+        }
+
+        // Every decision point adds a path through the function
+        function inspectDecisionPoint(emitted) {
+            const { node } = emitted;
+
+            if (emitted.exit || complexity === null) {
+                return;
+            }
+
+            if (
+                sourceCode.isIfStatement(node) || sourceCode.isLoopStatement(node) ||
+                node.type === "ConditionalExpression" || ["&&", "||"].includes(node.operator)
+            ) {
+                complexity++;
+            }
+        }
+
+        return {
+            FunctionDeclaration: inspectFunction,
+            ConstructorDeclaration: inspectFunction,
+            ModifierDeclaration: inspectFunction,
+            IfStatement: inspectDecisionPoint,
+            ForStatement: inspectDecisionPoint,
+            WhileStatement: inspectDecisionPoint,
+            DoWhileStatement: inspectDecisionPoint,
+            ConditionalExpression: inspectDecisionPoint,
+            BinaryExpression: inspectDecisionPoint
+        };
+    }
+
+};
@@ -22,7 +22,9 @@ module.exports = {
 
         schema: [],
 
-        fixable: "code"
+        fixable: "code",
+
+        type: "problem"
 
     },
 
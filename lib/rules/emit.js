@@ -77,7 +77,8 @@ module.exports = {
             description: "Use emit statement to trigger a solidity event"
         },
         schema: [],
-        fixable: "code"
+        fixable: "code",
+        type: "problem"
     },
 
     create
@@ -29,6 +29,29 @@ module.exports = {
 
     create(context) {
 
+        const PLACEHOLDER_MESSAGE = "\"<error message>\"";
+
+        /**
+         * Create the suggestion to insert a placeholder error message as the last argument of a call.
+         * @param {Object} node The CallExpression node
+         * @returns {Array} suggest The suggestions to report along with the issue
+         */
+        function suggestPlaceholderMessage(node) {
+            const callArgs = node.arguments;
+
+            return [{
+                desc: "Add a placeholder error message.",
+                fix(fixer) {
+                    if (callArgs.length) {
+                        return fixer.insertTextAfter(callArgs [callArgs.length - 1], `, ${PLACEHOLDER_MESSAGE}`);
+                    }
+
+                    // The last character of a call expression is always its closing parenthesis
+                    return fixer.insertTextAt(node.end - 1, PLACEHOLDER_MESSAGE);
+                }
+            }];
+        }
+
         function inspectCallExpression(emitted) {
             const { node } = emitted;
 
@@ -42,15 +65,17 @@ module.exports = {
             if (options.revert && name === "revert" && callArgs.length < 1) {
                 return context.report({
                     node,
-                    message: "Provide an error message for revert()."
+                    message: "Provide an error message for revert().",
+                    suggest: suggestPlaceholderMessage(node)
                 });
             }
 
             if (options.require && name === "require" && callArgs.length < 2) {
-                context.report({
-                    node,
-                    message: "Provide an error message for require()."
-                });
+                const issue = { node, message: "Provide an error message for require()." };
+
+                // Without the condition, inserting just a message would make the call even more wrong
+                callArgs.length && (issue.suggest = suggestPlaceholderMessage(node));
+                context.report(issue);
             }
         }
 
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Ensure that top-level declarations and contract members are ordered as per the Solidity style guide
+ */
+
+"use strict";
+
+const DEFAULT_TOP_LEVEL_ORDER = ["pragma", "import", "interface", "library", "contract"];
+
+const DEFAULT_MEMBER_ORDER = [
+    "type", "stateVariable", "event", "modifier", "constructor", "fallback", "external", "public", "internal", "private"
+];
+
+const VISIBILITIES = ["external", "public", "internal", "private"];
+
+const DESCRIPTIONS = {
+    pragma: "Pragma directives",
+    import: "Import statements",
+    interface: "Interfaces",
+    library: "Libraries",
+    contract: "Contracts",
+    type: "Type declarations",
+    stateVariable: "State variables",
+    event: "Events",
+    modifier: "Modifiers",
+    constructor: "The constructor",
+    fallback: "The fallback function",
+    external: "External functions",
+    public: "Public functions",
+    internal: "Internal functions",
+    private: "Private functions"
+};
+
+const TOP_LEVEL_CATEGORIES = {
+    PragmaStatement: "pragma",
+    ExperimentalPragmaStatement: "pragma",
+    ImportStatement: "import",
+    InterfaceStatement: "interface",
+    LibraryStatement: "library",
+    ContractStatement: "contract"
+};
+
+const MEMBER_CATEGORIES = {
+    StructDeclaration: "type",
+    EnumDeclaration: "type",
+    StateVariableDeclaration: "stateVariable",
+    EventDeclaration: "event",
+    ModifierDeclaration: "modifier",
+    ConstructorDeclaration: "constructor"
+};
+
+
+/**
+ * Determine the category of a contract member, which decides its position in the contract.
+ * @param {Object} containerNode The contract, library or interface node
+ * @param {Object} node The member node
+ * @returns {String|null} category The category, null if the member doesn't belong to any
+ */
+function getMemberCategory(containerNode, node) {
+    if (node.type !== "FunctionDeclaration") {
+        return MEMBER_CATEGORIES [node.type] || null;
+    }
+
+    // Account for old-style constructors (function with same name as contract)
+    if (node.name === containerNode.name) {
+        return "constructor";
+    }
+
+    if (node.name === null) {
+        return "fallback";
+    }
+
+    // A function without a visibility modifier is public
+    const visibility = (node.modifiers || []).find(m => VISIBILITIES.includes(m.name));
+    return visibility ? visibility.name : "public";
+}
+
+function createOrderSchema(categories) {
+    return {
+        type: "array",
+        items: { type: "string", enum: categories },
+        minItems: 1,
+        uniqueItems: true
+    };
+}
+
+
+module.exports = {
+
+    meta: {
+
+        docs: {
+            recommended: false,
+            type: "warning",
+            description: "Ensure that top-level declarations and contract members are ordered as per the Solidity style guide"
+        },
+
+        schema: [{
+            type: "object",
+            properties: {
+                topLevel: createOrderSchema(DEFAULT_TOP_LEVEL_ORDER),
+                contractMembers: createOrderSchema(DEFAULT_MEMBER_ORDER)
+            },
+            additionalProperties: false
+        }],
+
+        fixable: "code",
+
+        type: "layout"
+
+    },
+
+    create(context) {
+
+        const options = (context.options && context.options [0]) || {};
+        const topLevelOrder = options.topLevel || DEFAULT_TOP_LEVEL_ORDER,
+            memberOrder = options.contractMembers || DEFAULT_MEMBER_ORDER;
+
+        const sourceCode = context.getSourceCode(), code = sourceCode.getText();
+
+        /**
+         * Create the fix that rearranges the nodes as per the order. Nodes that don't belong to any category
+         * in the order keep their positions, the rest are moved into the positions occupied by their kind.
+         * @param {Array} nodes The nodes to rearrange
+         * @param {Array} ranks Position of each node's category in the order, -1 if it isn't in the order
+         * @param {Integer} lowerBound The index before which no node's comments can begin
+         * @returns {Function} fix
+         */
+        function createReorderFix(nodes, ranks, lowerBound) {
+            const ranges = sourceCode.getRangesWithComments(nodes, lowerBound);
+            const rankedIndices = nodes.map((node, i) => i).filter(i => ranks [i] > -1);
+
+            // Stable sort keeps the nodes of a category in the order they're written in
+            const sortedIndices = rankedIndices.slice().sort((a, b) => (ranks [a] - ranks [b]) || (a - b));
+            const textOf = i => code.slice(ranges [i] [0], ranges [i] [1]);
+
+            return function(fixer) {
+                const start = ranges [0] [0], end = ranges [ranges.length - 1] [1];
+                let text = "", cursor = start;
+
+                nodes.forEach((node, i) => {
+                    const rankedPosition = rankedIndices.indexOf(i);
+
+                    text += code.slice(cursor, ranges [i] [0]);
+                    text += textOf((rankedPosition > -1) ? sortedIndices [rankedPosition] : i);
+                    cursor = ranges [i] [1];
+                });
+
+                return fixer.replaceTextRange([start, end], text);
+            };
+        }
+
+        /**
+         * Report the nodes that appear after nodes of a category which should follow theirs.
+         * @param {Array} nodes The nodes to inspect, in the order they appear in code
+         * @param {Function} getCategory Function that returns a node's category
+         * @param {Array} order The order of categories
+         * @param {Integer} lowerBound The index before which no node's comments can begin
+         */
+        function inspectOrder(nodes, getCategory, order, lowerBound) {
+            const categories = nodes.map(getCategory), ranks = categories.map(c => order.indexOf(c));
+            let maxRank = -1, fix = null;
+
+            nodes.forEach((node, i) => {
+                if (ranks [i] < 0) {
+                    return;
+                }
+
+                if (ranks [i] >= maxRank) {
+                    maxRank = ranks [i];
+                    return;
+                }
+
+                fix = fix || createReorderFix(nodes, ranks, lowerBound);
+
+                context.report({
+                    node,
+                    fix,
+                    message: `${DESCRIPTIONS [categories [i]]} must be placed before ${DESCRIPTIONS [order [maxRank]].toLowerCase()}.`
+                });
+            });
+        }
+
+        function inspectProgram(emitted) {
+            if (emitted.exit) {
+                return;
+            }
+
+            inspectOrder(emitted.node.body, node => TOP_LEVEL_CATEGORIES [node.type] || null, topLevelOrder, 0);
+        }
+
+        function inspectContractMembers(emitted) {
+            const { node } = emitted;
+
+            if (emitted.exit || node.body.length === 0) {
+                return;
+            }
+
+            // Comments before the opening brace of the contract don't belong to its members
+            const headerEnd = node.is.length ? node.is [node.is.length - 1].end : node.start,
+                openingBrace = code.indexOf("{", headerEnd);
+
+            inspectOrder(node.body, member => getMemberCategory(node, member), memberOrder, openingBrace + 1);
+        }
+
+        return {
+            Program: inspectProgram,
+            ContractStatement: inspectContractMembers,
+            LibraryStatement: inspectContractMembers,
+            InterfaceStatement: inspectContractMembers
+        };
+
+    }
+
+};
@@ -6,11 +6,17 @@
 "use strict";
 
 
-const functionOrder = ["constructor", "fallback", "external", "public", "internal", "private"],
-    errorMessage = `Functions should be in order: ${functionOrder.join(", ")}`;
+const DEFAULT_ORDER = ["constructor", "fallback", "external", "public", "internal", "private"],
+    ORDER_ITEMS = ["constructor", "receive", "fallback", "modifier", "external", "public", "internal", "private"],
+    MUTABILITIES = ["non-view", "view", "pure"],
+    VISIBILITIES = ["external", "public", "internal", "private"];
 
 
-function findFuncPosInOrder(contractNode, funcNode) {
+function findFuncPosInOrder(contractNode, funcNode, functionOrder) {
+    if (funcNode.type === "ModifierDeclaration") {
+        return functionOrder.indexOf("modifier");
+    }
+
     // Account for both ways of defining a contract constructor
     // 1. The old way (function with same name as contract)
     // 2. New way ("constructor() {...}")
@@ -22,6 +28,11 @@ function findFuncPosInOrder(contractNode, funcNode) {
         return functionOrder.indexOf("fallback");
     }
 
+    // receive() is only slotted separately if it is part of the order, otherwise it is ordered by its visibility.
+    if (funcNode.name === "receive" && functionOrder.includes("receive")) {
+        return functionOrder.indexOf("receive");
+    }
+
     // Default visibility of a function is public.
     if (funcNode.modifiers === null) {
         return functionOrder.indexOf("public");
@@ -31,10 +42,8 @@ function findFuncPosInOrder(contractNode, funcNode) {
     const modifNames = funcNode.modifiers.map(m => { return m.name; });
 
     for (let mName of modifNames) {
-        const i = functionOrder.indexOf(mName);
-
-        if (i > -1) {
-            return i;
+        if (VISIBILITIES.includes(mName)) {
+            return functionOrder.indexOf(mName);
         }
     }
 
@@ -43,9 +52,15 @@ function findFuncPosInOrder(contractNode, funcNode) {
     return functionOrder.indexOf("public");
 }
 
-function isFunctionVisibility(contractNode, funcNode, typeDescriptor) {
-    const funcPosInOrder = findFuncPosInOrder(contractNode, funcNode);
-    return typeDescriptor === functionOrder[funcPosInOrder];
+function getStateMutability(funcNode) {
+    const modifNames = (funcNode.modifiers || []).map(m => m.name);
+
+    if (modifNames.includes("pure")) {
+        return "pure";
+    }
+
+    // "constant" is the deprecated equivalent of "view"
+    return (modifNames.includes("view") || modifNames.includes("constant")) ? "view" : "non-view";
 }
 
 
@@ -60,41 +75,112 @@ module.exports = {
             description: "Ensure that functions in a contract are ordered according to their visibility"
         },
 
-        schema: []
+        schema: [{
+            type: "object",
+            properties: {
+                order: {
+                    type: "array",
+                    items: { type: "string", enum: ORDER_ITEMS },
+                    minItems: 1,
+                    uniqueItems: true
+                },
+                mutabilityOrder: {
+                    type: "array",
+                    items: { type: "string", enum: MUTABILITIES },
+                    minItems: 1,
+                    uniqueItems: true
+                }
+            },
+            additionalProperties: false
+        }],
+
+        fixable: "code",
+
+        type: "layout"
 
     },
 
     create(context) {
+        const options = (context.options && context.options [0]) || {};
+        const functionOrder = options.order || DEFAULT_ORDER, { mutabilityOrder } = options;
+        const sourceCode = context.getSourceCode(), code = sourceCode.getText();
+
+        let errorMessage = `Functions should be in order: ${functionOrder.join(", ")}`;
+
+        if (mutabilityOrder) {
+            errorMessage += ` (${mutabilityOrder.join(", ")} within each visibility)`;
+        }
+
+        /**
+         * Determine the position of a contract member in the order. Functions of a visibility are further ordered
+         * by their state mutability, so the position is of the form (index in order) + (fraction for mutability).
+         * Returns -1 if the member isn't part of the order.
+         */
+        function findPosition(contractNode, member) {
+            if (!["FunctionDeclaration", "ConstructorDeclaration", "ModifierDeclaration"].includes(member.type)) {
+                return -1;
+            }
+
+            const pos = findFuncPosInOrder(contractNode, member, functionOrder);
+
+            if (pos < 0 || !mutabilityOrder || !VISIBILITIES.includes(functionOrder [pos])) {
+                return pos;
+            }
+
+            // Mutabilities not part of the sub-order are treated like the last one in it
+            const mutabilityPos = mutabilityOrder.indexOf(getStateMutability(member));
+            return pos + (mutabilityPos < 0 ? mutabilityOrder.length - 1 : mutabilityPos) / mutabilityOrder.length;
+        }
+
         /**
-         * Set cursor to point to first visibility in order of vis. array.
-         * For each function Fi inside contract, if Fi's vis is same as that pointed by cursor, ignore func.
-         * If not, check the pos in the order of Fi's vis. If ahead, simply move cursor forward to Fi's vis.'s
-         * position in array. If behind, report func.
+         * Create the fix that moves the functions into the positions occupied by functions, as per the order.
+         * Other members of the contract don't move, and functions with the same position keep their relative order.
+         */
+        function createReorderFix(contractNode, positions) {
+            const members = contractNode.body, headerEnd = contractNode.is.length ?
+                contractNode.is [contractNode.is.length - 1].end : contractNode.start;
+            const ranges = sourceCode.getRangesWithComments(members, code.indexOf("{", headerEnd) + 1);
+            const orderedIndices = members.map((member, i) => i).filter(i => positions [i] > -1);
+            const sortedIndices = orderedIndices.slice().sort((a, b) => (positions [a] - positions [b]) || (a - b));
+
+            return function(fixer) {
+                const start = ranges [0] [0], end = ranges [ranges.length - 1] [1];
+                let text = "", cursor = start;
+
+                members.forEach((member, i) => {
+                    const orderedPosition = orderedIndices.indexOf(i),
+                        [mStart, mEnd] = ranges [(orderedPosition > -1) ? sortedIndices [orderedPosition] : i];
+
+                    text += code.slice(cursor, ranges [i] [0]) + code.slice(mStart, mEnd);
+                    cursor = ranges [i] [1];
+                });
+
+                return fixer.replaceTextRange([start, end], text);
+            };
+        }
+
+        /**
+         * Set cursor to point to first position in order.
+         * For each function Fi inside contract, if Fi's position is same as that pointed by cursor, ignore func.
+         * If not, check Fi's position in the order. If ahead, simply move cursor forward to Fi's position.
+         * If behind, report func.
          */
         function inspectFunctionsOfContract(emitted) {
             if (emitted.exit) {
                 return;
             }
 
-            const {node} = emitted, {body} = node;
-            let cursor = 0;
-
-            // Filter out non-function nodes
-            body.filter(child => {
-                return ["FunctionDeclaration", "ConstructorDeclaration"].includes(child.type);
-            }).forEach(funcNode => {
-                if (isFunctionVisibility(node, funcNode, functionOrder[cursor])) {
-                    return;
-                }
-
-                const funcPosInOrder = findFuncPosInOrder(node, funcNode);
+            const {node} = emitted, positions = node.body.map(member => findPosition(node, member));
+            let cursor = 0, fix = null;
 
-                if (funcPosInOrder > cursor) {
-                    cursor = funcPosInOrder;
+            node.body.forEach((funcNode, i) => {
+                if (positions [i] < 0 || positions [i] >= cursor) {
+                    cursor = Math.max(cursor, positions [i]);
                     return;
                 }
 
-                context.report({ node: funcNode, message: errorMessage });
+                fix = fix || createReorderFix(node, positions);
+                context.report({ node: funcNode, fix, message: errorMessage });
             });
         }
 
@@ -21,6 +21,8 @@ module.exports = {
 
         fixable: "code",
 
+        type: "suggestion",
+
         schema: []
 
     },
@@ -13,7 +13,8 @@ module.exports = {
             type: "string",
             enum: ["unix", "windows"]
         }],
-        fixable: "whitespace"
+        fixable: "whitespace",
+        type: "layout"
     },
 
     create(context) {
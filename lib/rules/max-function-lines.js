@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Ensure that functions don't exceed the specified number of lines
+ */
+
+"use strict";
+
+module.exports = {
+
+    meta: {
+
+        docs: {
+            recommended: false,
+            type: "warning",
+            description: "Ensure that functions don't exceed the specified number of lines"
+        },
+
+        schema: [{
+            type: "integer", minimum: 1
+        }]
+
+    },
+
+    create(context) {
+        const maxLines = context.options ? context.options [0] : 50;
+        const sourceCode = context.getSourceCode();
+
+        function inspectFunction(emitted) {
+            const { node } = emitted;
+
+            // Functions without body (abstract) consist only of their signature
+            if (emitted.exit || !node.body) {
+                return;
+            }
+
+            const lineCount = sourceCode.getEndingLine(node) - sourceCode.getLine(node) + 1;
+
+            if (lineCount > maxLines) {
+                context.report({
+                    node,
+                    message: `${sourceCode.describeFunction(node)} has ${lineCount} lines. Maximum allowed is ${maxLines}.`
+                });
+            }
+        }
+
+        return {
+            FunctionDeclaration: inspectFunction,
+            ConstructorDeclaration: inspectFunction,
+            ModifierDeclaration: inspectFunction
+        };
+    }
+
+};
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Ensure that blocks of if statements and loops aren't nested beyond the specified depth
+ */
+
+"use strict";
+
+module.exports = {
+
+    meta: {
+
+        docs: {
+            recommended: false,
+            type: "warning",
+            description: "Ensure that blocks of if statements and loops aren't nested beyond the specified depth"
+        },
+
+        schema: [{
+            type: "integer", minimum: 1
+        }]
+
+    },
+
+    create(context) {
+        const maxDepth = context.options ? context.options [0] : 4;
+        const sourceCode = context.getSourceCode();
+
+        // Nodes whose blocks increased the depth. A node's parent is only available upon entering it,
+        // so this is needed to know whether to decrease the depth upon leaving the node.
+        const nestingNodes = new WeakSet();
+        let depth = 0;
+
+        function inspectNestingStatement(emitted) {
+            const { node } = emitted;
+
+            if (emitted.exit) {
+                nestingNodes.has(node) && depth--;
+                return;
+            }
+
+            // "else if" continues the chain of its parent if statement instead of nesting inside it
+            const parent = sourceCode.getParent(node);
+
+            if (sourceCode.isIfStatement(node) && sourceCode.isIfStatement(parent) && parent.alternate === node) {
+                return;
+            }
+
+            nestingNodes.add(node);
+            depth++;
+
+            if (depth > maxDepth) {
+                context.report({
+                    node,
+                    message: `Blocks are nested too deeply (${depth}). Maximum allowed is ${maxDepth}.`
+                });
+            }
+        }
+
+        return {
+            IfStatement: inspectNestingStatement,
+            ForStatement: inspectNestingStatement,
+            WhileStatement: inspectNestingStatement,
+            DoWhileStatement: inspectNestingStatement
+        };
+    }
+
+};
@@ -0,0 +1,450 @@
+/**
+ * @fileoverview Ensure that names of declarations follow the configured naming conventions
+ */
+
+"use strict";
+
+const FORMATS = {
+    camelCase: /^[a-z][a-zA-Z0-9]*$/,
+    PascalCase: /^[A-Z][a-zA-Z0-9]*$/,
+    UPPER_CASE: /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*$/,
+    snake_case: /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/
+};
+
+const VISIBILITIES = ["public", "external", "internal", "private"];
+
+const SELECTORS = [
+    "contract", "library", "interface", "struct", "enum", "event", "modifier",
+    "function", "function.public", "function.external", "function.internal", "function.private",
+    "stateVariable", "stateVariable.public", "stateVariable.internal", "stateVariable.private", "stateVariable.constant",
+    "parameter", "local"
+];
+
+// Conventions applied when the rule isn't passed any options. They correspond to the Solidity style guide.
+const DEFAULT_CONVENTIONS = {
+    "contract": { format: "PascalCase" },
+    "library": { format: "PascalCase" },
+    "interface": { format: "PascalCase" },
+    "struct": { format: "PascalCase" },
+    "enum": { format: "PascalCase" },
+    "event": { format: "PascalCase" },
+    "modifier": { format: "camelCase" },
+    "function": { format: "camelCase" },
+    "stateVariable": { format: "camelCase" },
+    "stateVariable.constant": { format: "UPPER_CASE" },
+    "parameter": { format: "camelCase" },
+    "local": { format: "camelCase" }
+};
+
+const conventionSchema = {
+    type: "object",
+    properties: {
+        format: { type: "string", enum: Object.keys(FORMATS) },
+        prefix: { type: "string", minLength: 1 },
+        suffix: { type: "string", minLength: 1 },
+        regex: { type: "string", minLength: 1, format: "regex" }
+    },
+    additionalProperties: false
+};
+
+
+/**
+ * Determine the visibility of a function or state variable declaration, falling back to the one Solidity assumes.
+ * @param {Object} node The FunctionDeclaration or StateVariableDeclaration node
+ * @returns {String} visibility
+ */
+function getVisibility(node) {
+    if (node.type === "StateVariableDeclaration") {
+        return node.visibility || "internal";
+    }
+
+    const visibilityModifier = (node.modifiers || []).find(m => VISIBILITIES.includes(m.name));
+    return visibilityModifier ? visibilityModifier.name : "public";
+}
+
+/**
+ * Determine whether the parameters of a function or modifier are invisible outside the contract,
+ * ie, they aren't part of its ABI and can't be passed by name from other contracts.
+ * @param {Object} node The FunctionDeclaration, ModifierDeclaration or ConstructorDeclaration node
+ * @returns {Boolean}
+ */
+function hasPrivateSignature(node) {
+    if (node.type === "ModifierDeclaration") {
+        return true;
+    }
+
+    return node.type === "FunctionDeclaration" && ["internal", "private"].includes(getVisibility(node));
+}
+
+/**
+ * Split a name into its words, regardless of the notation it is written in.
+ * @param {String} name The name to split
+ * @returns {Array} words The words in lowercase
+ */
+function splitIntoWords(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+        .split("_")
+        .filter(word => word.length > 0)
+        .map(word => word.toLowerCase());
+}
+
+/**
+ * Determine whether a name is present as a whole word in the given code.
+ * @param {String} code The code to search
+ * @param {String} name The name to look for
+ * @returns {Boolean}
+ */
+function containsWord(code, name) {
+    return new RegExp(`(^|[^\\w$])${name.replace(/\$/g, "\\$")}([^\\w$]|$)`).test(code);
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+const FORMATTERS = {
+    camelCase: words => words [0] + words.slice(1).map(capitalize).join(""),
+    PascalCase: words => words.map(capitalize).join(""),
+    UPPER_CASE: words => words.join("_").toUpperCase(),
+    snake_case: words => words.join("_")
+};
+
+
+module.exports = {
+
+    meta: {
+
+        docs: {
+            recommended: false,
+            type: "warning",
+            description: "Ensure that names of declarations follow the configured naming conventions"
+        },
+
+        schema: [{
+            type: "object",
+            properties: SELECTORS.reduce((properties, selector) => {
+                properties [selector] = conventionSchema;
+                return properties;
+            }, {}),
+            additionalProperties: false
+        }],
+
+        fixable: "code",
+
+        type: "suggestion"
+
+    },
+
+    create(context) {
+
+        const conventions = Object.assign({}, DEFAULT_CONVENTIONS, context.options && context.options [0]);
+        const sourceCode = context.getSourceCode();
+
+        // Stack of the functions, modifiers & constructors being traversed. Parameters & local variables
+        // are only visible inside these, so they can be safely renamed once all references to them are known.
+        const scopes = [];
+
+        /**
+         * Determine the first convention the name violates.
+         * @param {String} name The name to check
+         * @param {Object} convention The convention to check against
+         * @returns {String|null} violation Description of the violation, null if the name follows the convention
+         */
+        function findViolation(name, convention) {
+            const { format, prefix, suffix, regex } = convention;
+            let core = name;
+
+            if (prefix) {
+                if (!core.startsWith(prefix)) {
+                    return `should begin with '${prefix}'`;
+                }
+                core = core.slice(prefix.length);
+            }
+
+            if (suffix) {
+                if (!core.endsWith(suffix)) {
+                    return `should end with '${suffix}'`;
+                }
+                core = core.slice(0, core.length - suffix.length);
+            }
+
+            // Like mixedcase, formats tolerate a leading & trailing underscore unless a prefix or suffix is configured.
+            if (format) {
+                prefix || (core = core.replace(/^_/, ""));
+                suffix || (core = core.replace(/_$/, ""));
+
+                if (!FORMATS [format].test(core)) {
+                    return `doesn't follow the ${format} format`;
+                }
+            }
+
+            if (regex && !new RegExp(regex).test(name)) {
+                return `doesn't match the pattern /${regex}/`;
+            }
+
+            return null;
+        }
+
+        /**
+         * Rewrite the name so it follows the convention.
+         * @param {String} name The name to rewrite
+         * @param {Object} convention The convention to follow
+         * @returns {String|null} newName The new name, null if one following the convention couldn't be derived
+         */
+        function deriveName(name, convention) {
+            const { format, prefix = "", suffix = "" } = convention;
+            let core = name, words;
+
+            // Preserve the underscores tolerated around the name
+            const leading = (!prefix && /^_/.test(core)) ? "_" : "",
+                trailing = (!suffix && /._$/.test(core)) ? "_" : "";
+
+            prefix && core.startsWith(prefix) && (core = core.slice(prefix.length));
+            suffix && core.endsWith(suffix) && (core = core.slice(0, core.length - suffix.length));
+
+            words = splitIntoWords(core);
+
+            if (words.length === 0) {
+                return null;
+            }
+
+            core = format ? FORMATTERS [format](words) : core;
+
+            const newName = prefix + leading + core + trailing + suffix;
+            return (findViolation(newName, convention) === null) ? newName : null;
+        }
+
+        function check(node, name, description, convention, fix) {
+            if (!name || !convention) {
+                return;
+            }
+
+            const violation = findViolation(name, convention);
+
+            if (violation !== null) {
+                const issue = { node, message: `${description} name '${name}' ${violation}.` };
+
+                fix && (issue.fix = fix);
+                context.report(issue);
+            }
+        }
+
+        function createInspector(selector, description) {
+            return function inspect(emitted) {
+                const { node } = emitted;
+
+                if (!emitted.exit) {
+                    check(node, node.name, description, conventions [selector]);
+                }
+            };
+        }
+
+        function enterScope(node) {
+            scopes.push({ node, declarations: [], references: [], containsAssembly: false });
+        }
+
+        /**
+         * Create the fix renaming a parameter or local variable along with all its references in the scope.
+         * Renaming is only done when it is guaranteed not to affect any code outside the scope.
+         * @param {Object} scope The scope the declaration belongs to
+         * @param {Object} declaration The declaration to rename
+         * @param {String} newName The name to rename to
+         * @returns {Function|null} fix
+         */
+        function createRenameFix(scope, declaration, newName) {
+            const { name, nameRange } = declaration, code = sourceCode.getText();
+            const scopeNode = scope.node;
+
+            if (
+                !nameRange || scope.containsAssembly ||
+                containsWord(code, newName) ||
+                containsWord(code.slice(0, scopeNode.start) + " " + code.slice(scopeNode.end), name) ||
+                scope.declarations.filter(d => d.name === name).length > 1
+            ) {
+                return null;
+            }
+
+            const ranges = [nameRange];
+
+            scope.references.forEach(ref => {
+                ref.name === name && ref.start !== nameRange [0] && ranges.push([ref.start, ref.end]);
+            });
+
+            return function(fixer) {
+                return ranges.map(range => fixer.replaceTextRange(range, newName));
+            };
+        }
+
+        function exitScope() {
+            const scope = scopes.pop();
+
+            scope.declarations.forEach(declaration => {
+                const { node, name, selector, description } = declaration, convention = conventions [selector];
+
+                if (!convention || findViolation(name, convention) === null) {
+                    return;
+                }
+
+                const newName = (declaration.fixable !== false) && deriveName(name, convention);
+                check(node, name, description, convention, newName && createRenameFix(scope, declaration, newName));
+            });
+        }
+
+        // Determine where the name is in the code of a declaration like "uint amount", null if it can't be found
+        function getTrailingNameRange(node, name) {
+            const text = sourceCode.getText(node);
+
+            if (text.endsWith(name) && /\s/.test(text.charAt(text.length - name.length - 1))) {
+                return [node.end - name.length, node.end];
+            }
+
+            return null;
+        }
+
+        function inspectFunctionDeclaration(emitted) {
+            const { node } = emitted;
+
+            if (emitted.exit) {
+                return exitScope();
+            }
+
+            enterScope(node);
+
+            // Skip fallback functions & old-style constructors
+            if (!node.name || (node.parent.type !== "InterfaceStatement" && node.parent.name === node.name)) {
+                return;
+            }
+
+            const visibility = getVisibility(node), specificSelector = `function.${visibility}`;
+            const description = `${capitalize(visibility)} function`;
+
+            check(node, node.name, description, conventions [specificSelector] || conventions.function);
+        }
+
+        function inspectModifierDeclaration(emitted) {
+            const { node } = emitted;
+
+            if (emitted.exit) {
+                return exitScope();
+            }
+
+            enterScope(node);
+            check(node, node.name, "Modifier", conventions.modifier);
+        }
+
+        function inspectConstructorDeclaration(emitted) {
+            emitted.exit ? exitScope() : enterScope(emitted.node);
+        }
+
+        function inspectStateVariableDeclaration(emitted) {
+            const { node } = emitted;
+
+            if (emitted.exit) {
+                return;
+            }
+
+            if (node.is_constant && conventions ["stateVariable.constant"]) {
+                return check(node, node.name, "Constant", conventions ["stateVariable.constant"]);
+            }
+
+            const visibility = getVisibility(node);
+
+            check(
+                node, node.name, `${capitalize(visibility)} state variable`,
+                conventions [`stateVariable.${visibility}`] || conventions.stateVariable
+            );
+        }
+
+        function inspectInformalParameter(emitted) {
+            const { node } = emitted, scope = scopes [scopes.length - 1];
+
+            if (emitted.exit || !node.id) {
+                return;
+            }
+
+            // Renaming event parameters changes the contract's ABI, so they're never fixed
+            if (node.parent.type === "EventDeclaration") {
+                return check(node, node.id, "Parameter", conventions.parameter);
+            }
+
+            // So does renaming parameters of constructors & public functions. They're still recorded as declarations
+            // of the scope so that local variables sharing their names aren't renamed either.
+            scope && scope.declarations.push({
+                node, name: node.id, selector: "parameter", description: "Parameter",
+                nameRange: getTrailingNameRange(node, node.id), fixable: hasPrivateSignature(scope.node)
+            });
+        }
+
+        function inspectDeclarativeExpression(emitted) {
+            const { node } = emitted, scope = scopes [scopes.length - 1];
+
+            if (emitted.exit || !scope) {
+                return;
+            }
+
+            scope.declarations.push({
+                node, name: node.name, selector: "local", description: "Local variable",
+                nameRange: getTrailingNameRange(node, node.name)
+            });
+        }
+
+        function inspectVariableDeclarator(emitted) {
+            const { node } = emitted, scope = scopes [scopes.length - 1];
+
+            if (emitted.exit || !scope) {
+                return;
+            }
+
+            scope.declarations.push({
+                node, name: node.id.name, selector: "local", description: "Local variable",
+                nameRange: [node.id.start, node.id.end]
+            });
+        }
+
+        function inspectIdentifier(emitted) {
+            const { node } = emitted, { parent } = node, scope = scopes [scopes.length - 1];
+
+            if (emitted.exit || !scope) {
+                return;
+            }
+
+            // Members (x.name) & named arguments (f({name: 1})) don't refer to variables in the scope
+            if (
+                (parent.type === "MemberExpression" && parent.property === node && !parent.computed) ||
+                (parent.type === "NameValueAssignment" && parent.name === node)
+            ) {
+                return;
+            }
+
+            scope.references.push(node);
+        }
+
+        function inspectInlineAssemblyStatement(emitted) {
+            const scope = scopes [scopes.length - 1];
+
+            // Identifiers used inside assembly blocks aren't part of the AST, so references can't be determined
+            !emitted.exit && scope && (scope.containsAssembly = true);
+        }
+
+        return {
+            ContractStatement: createInspector("contract", "Contract"),
+            LibraryStatement: createInspector("library", "Library"),
+            InterfaceStatement: createInspector("interface", "Interface"),
+            StructDeclaration: createInspector("struct", "Struct"),
+            EnumDeclaration: createInspector("enum", "Enum"),
+            EventDeclaration: createInspector("event", "Event"),
+            ModifierDeclaration: inspectModifierDeclaration,
+            FunctionDeclaration: inspectFunctionDeclaration,
+            ConstructorDeclaration: inspectConstructorDeclaration,
+            StateVariableDeclaration: inspectStateVariableDeclaration,
+            InformalParameter: inspectInformalParameter,
+            DeclarativeExpression: inspectDeclarativeExpression,
+            VariableDeclarator: inspectVariableDeclarator,
+            Identifier: inspectIdentifier,
+            InlineAssemblyStatement: inspectInlineAssemblyStatement
+        };
+
+    }
+
+};
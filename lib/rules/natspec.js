@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Ensure that contracts, events and public & external functions are documented using NatSpec
+ */
+
+"use strict";
+
+const VISIBILITIES = ["external", "public", "internal", "private"];
+
+
+/**
+ * Determine whether a comment is a NatSpec comment, ie, either "/// ..." or "/** ... *\/".
+ * @param {Object} comment The comment token
+ * @returns {Boolean}
+ */
+function isDocComment(comment) {
+    return /^\/\/\/(?!\/)/.test(comment.text) || /^\/\*\*(?!\/)/.test(comment.text);
+}
+
+/**
+ * Get the documentation text of a NatSpec comment, without the comment syntax.
+ * @param {Object} comment The comment token
+ * @returns {Array} lines Lines of the documentation
+ */
+function getDocLines(comment) {
+    if (comment.type === "Line") {
+        return [comment.text.replace(/^\/\/\/\s?/, "")];
+    }
+
+    return comment.text
+        .replace(/^\/\*\*/, "")
+        .replace(/\*\/$/, "")
+        .split(/\r?\n/)
+        .map(line => line.replace(/^\s*\*?\s?/, ""));
+}
+
+/**
+ * Parse the tags out of documentation. Text before the first tag is treated as @notice, like the Solidity compiler does.
+ * @param {Array} lines Lines of the documentation
+ * @returns {Array} tags List of tags of the form { name, content }
+ */
+function parseTags(lines) {
+    const tags = [];
+
+    lines.forEach(line => {
+        const match = /^\s*@(\w+)\s*(.*)$/.exec(line);
+
+        if (match) {
+            return tags.push({ name: match [1], content: match [2].trim() });
+        }
+
+        if (line.trim().length === 0) {
+            return;
+        }
+
+        // Untagged lines continue the previous tag
+        tags.length ? (tags [tags.length - 1].content += ` ${line.trim()}`) : tags.push({ name: "notice", content: line.trim() });
+    });
+
+    return tags;
+}
+
+function getVisibility(funcNode) {
+    const visibility = (funcNode.modifiers || []).find(m => VISIBILITIES.includes(m.name));
+    return visibility ? visibility.name : "public";
+}
+
+
+module.exports = {
+
+    meta: {
+
+        docs: {
+            recommended: false,
+            type: "warning",
+            description: "Ensure that contracts, events and public & external functions are documented using NatSpec"
+        },
+
+        schema: []
+
+    },
+
+    create(context) {
+
+        const sourceCode = context.getSourceCode(), code = sourceCode.getText(), comments = sourceCode.getComments();
+
+        /**
+         * Find the NatSpec comments documenting a node, ie, the ones preceding it with nothing but whitespace
+         * and regular comments (like solium directives) in between.
+         * @param {Object} node The node to find documentation of
+         * @returns {Array} docComments The NatSpec comments in the order they appear
+         */
+        function getDocComments(node) {
+            const docComments = [];
+            let cursor = node.start;
+
+            for (let i = comments.length - 1; i >= 0; i--) {
+                const comment = comments [i];
+
+                if (comment.end > cursor) {
+                    continue;
+                }
+
+                if (code.slice(comment.end, cursor).trim().length > 0) {
+                    break;
+                }
+
+                isDocComment(comment) && docComments.unshift(comment);
+                cursor = comment.start;
+            }
+
+            return docComments;
+        }
+
+        /**
+         * Check the documentation of a node.
+         * @param {Object} node The node to check
+         * @param {String} description Description of the node for the messages, eg- "Event 'Transfer'"
+         * @param {Array} params (optional) Names of the node's parameters, which must be documented with @param
+         * @param {Boolean} hasReturnValues (optional) Whether the node's return values must be documented with @return
+         */
+        function inspectDocumentation(node, description, params, hasReturnValues) {
+            const docComments = getDocComments(node);
+
+            if (docComments.length === 0) {
+                return context.report({ node, message: `${description} has no NatSpec documentation.` });
+            }
+
+            const tags = parseTags([].concat(...docComments.map(getDocLines)));
+            const tagsNamed = name => tags.filter(tag => tag.name === name);
+
+            if (tagsNamed("notice").length === 0 && tagsNamed("dev").length === 0) {
+                context.report({ node, message: `${description} should be documented with @notice or @dev.` });
+            }
+
+            if (params) {
+                const documentedParams = tagsNamed("param").map(tag => tag.content.split(/\s+/) [0]);
+
+                params.forEach(name => {
+                    !documentedParams.includes(name) && context.report({
+                        node, message: `${description} should document parameter '${name}' with @param.`
+                    });
+                });
+
+                // Documentation of parameters that were renamed or removed is stale
+                documentedParams.forEach(name => {
+                    !params.includes(name) && context.report({
+                        node, message: `${description} documents '${name}' with @param, but has no such parameter.`
+                    });
+                });
+            }
+
+            if (hasReturnValues && tagsNamed("return").length === 0) {
+                context.report({ node, message: `${description} should document its return values with @return.` });
+            }
+        }
+
+        function getParamNames(params) {
+            return (params || []).map(param => param.id).filter(Boolean);
+        }
+
+        function createContractInspector(kind) {
+            return function inspectContract(emitted) {
+                const { node } = emitted;
+
+                !emitted.exit && inspectDocumentation(node, `${kind} '${node.name}'`);
+            };
+        }
+
+        function inspectEventDeclaration(emitted) {
+            const { node } = emitted;
+
+            !emitted.exit && inspectDocumentation(node, `Event '${node.name}'`, getParamNames(node.params));
+        }
+
+        function inspectFunctionDeclaration(emitted) {
+            const { node } = emitted, { parent } = node;
+
+            // Fallback functions & old-style constructors aren't part of the contract's documented interface
+            if (emitted.exit || node.name === null || node.name === parent.name) {
+                return;
+            }
+
+            if (!["public", "external"].includes(getVisibility(node))) {
+                return;
+            }
+
+            const returnParams = node.returnParams ? node.returnParams.params : [];
+
+            inspectDocumentation(
+                node, `Function '${node.name}'`, getParamNames(node.params), returnParams && returnParams.length > 0
+            );
+        }
+
+        return {
+            ContractStatement: createContractInspector("Contract"),
+            LibraryStatement: createContractInspector("Library"),
+            InterfaceStatement: createContractInspector("Interface"),
+            EventDeclaration: inspectEventDeclaration,
+            FunctionDeclaration: inspectFunctionDeclaration
+        };
+
+    }
+
+};
@@ -39,7 +39,8 @@ module.exports = {
             description: "Use view over deprecated constant in function declarations"
         },
         schema: [],
-        fixable: "code"
+        fixable: "code",
+        type: "problem"
     },
 
     create
@@ -19,7 +19,9 @@ module.exports = {
 
         schema: [],
 
-        fixable: "code"
+        fixable: "code",
+
+        type: "suggestion"
 
     },
 
@@ -35,6 +35,8 @@ module.exports = {
 
         fixable: "code",
 
+        type: "layout",
+
         schema: [{
             type: "string",
             enum: ["double", "single"]
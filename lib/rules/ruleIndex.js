@@ -5,19 +5,25 @@ module.exports = {
   'blank-lines': require('./blank-lines'),
   'camelcase': require('./camelcase'),
   'comma-whitespace': require('./comma-whitespace'),
+  'complexity': require('./complexity'),
   'conditionals-whitespace': require('./conditionals-whitespace'),
   'deprecated-suicide': require('./deprecated-suicide'),
   'double-quotes': require('./double-quotes'),
   'emit': require('./emit'),
   'error-reason': require('./error-reason'),
+  'file-layout': require('./file-layout'),
   'function-order': require('./function-order'),
   'function-whitespace': require('./function-whitespace'),
   'imports-on-top': require('./imports-on-top'),
   'indentation': require('./indentation'),
   'lbrace': require('./lbrace'),
   'linebreak-style': require('./linebreak-style'),
+  'max-function-lines': require('./max-function-lines'),
   'max-len': require('./max-len'),
+  'max-nesting-depth': require('./max-nesting-depth'),
   'mixedcase': require('./mixedcase'),
+  'naming-convention': require('./naming-convention'),
+  'natspec': require('./natspec'),
   'no-constant': require('./no-constant'),
   'no-empty-blocks': require('./no-empty-blocks'),
   'no-experimental': require('./no-experimental'),
@@ -122,12 +122,13 @@ exports.getParent = function(node) {
 /**
  * Retrieve the line number on which the code for provided node STARTS
  * @param {Object} node The AST Node to retrieve the line number of
+ * @param {String} sourceCode (optional) The source code containing the node. Defaults to the code supplied to init().
  * @returns {Integer} lineNumber Line number of code of the specified node. (LINES BEGIN FROM 1)
  */
-exports.getLine = function(node) {
+exports.getLine = function(node, sourceCode = sourceCodeText) {
     throwIfInvalidNode(node, "getLine");
 
-    let newLineCharsBefore = sourceCodeText
+    let newLineCharsBefore = sourceCode
         .slice(0, node.start)
         .match(/\n/g);
 
@@ -139,14 +140,15 @@ exports.getLine = function(node) {
 /**
  * Retrieve the column number of the first character of the given node
  * @param {Object} node The AST Node to retrieve the column number of
+ * @param {String} sourceCode (optional) The source code containing the node. Defaults to the code supplied to init().
  * @returns {Integer} columnNumber Column number of code of the specified node (COLUMNS BEGIN FROM 0)
  */
-exports.getColumn = function(node) {
+exports.getColumn = function(node, sourceCode = sourceCodeText) {
     throwIfInvalidNode(node, "getColumn");
 
-    //start looking from sourceCodeText [node.start] and stop upon encountering the first linebreak character
+    //start looking from sourceCode [node.start] and stop upon encountering the first linebreak character
     for (let i = node.start; i >= 0; i--) {
-        if (sourceCodeText [i] === "\n") {
+        if (sourceCode [i] === "\n") {
             return node.start - i - 1;
         }
     }
@@ -157,12 +159,13 @@ exports.getColumn = function(node) {
 /**
  * Retrieve the line number on which the code for provided node ENDS
  * @param {Object} node The AST Node to retrieve the line number of
+ * @param {String} sourceCode (optional) The source code containing the node. Defaults to the code supplied to init().
  * @returns {Integer} lineNumber Line number of code ending of the specified node. (LINES BEGIN FROM 1)
  */
-exports.getEndingLine = function(node) {
+exports.getEndingLine = function(node, sourceCode = sourceCodeText) {
     throwIfInvalidNode(node, "getEndingLine");
 
-    let newLineCharsBefore = sourceCodeText
+    let newLineCharsBefore = sourceCode
         .slice(0, node.end)
         .match(/\n/g);
 
@@ -174,14 +177,15 @@ exports.getEndingLine = function(node) {
 /**
  * Retrieve the column number of the last character that is part of the given node
  * @param {Object} node The AST Node to retrieve the ending column number of
+ * @param {String} sourceCode (optional) The source code containing the node. Defaults to the code supplied to init().
  * @returns {Integer} columnNumber Column number of last char of the specified node (COLUMNS BEGIN FROM 0)
  */
-exports.getEndingColumn = function(node) {
+exports.getEndingColumn = function(node, sourceCode = sourceCodeText) {
     throwIfInvalidNode(node, "getEndingColumn");
 
     //start looking from 1 character before node.start and stop upon encountering the first linebreak character
     for (let i = node.end - 1; i >= 0; i--) {
-        if (sourceCodeText [i] === "\n") {
+        if (sourceCode [i] === "\n") {
             return node.end - i - 2;
         }
     }
@@ -203,3 +207,22 @@ exports.isAChildOf = (potentialChild, potentialParent) => {
     // then they're considered to be the same node and DON'T have parent-child relationship.
     return potentialChild.start > potentialParent.start && potentialChild.end < potentialParent.end;
 };
+
+/**
+ * Describe a function, constructor or modifier for use in messages, eg- "Function 'transfer'" or "Fallback function"
+ * @param {Object} node The FunctionDeclaration, ConstructorDeclaration or ModifierDeclaration node
+ * @returns {String} description Description of the node, beginning with a capital letter
+ */
+exports.describeFunction = function(node) {
+    throwIfInvalidNode(node, "describeFunction");
+
+    if (node.type === "ModifierDeclaration") {
+        return `Modifier '${node.name}'`;
+    }
+
+    if (node.type === "ConstructorDeclaration") {
+        return "Constructor";
+    }
+
+    return node.name ? `Function '${node.name}'` : "Fallback function";
+};
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Record the lint issues present in a codebase in a baseline file and suppress them in later runs.
+ * Issues are fingerprinted using their rule and the source code around them rather than their line numbers,
+ * so a baselined issue stays suppressed when unrelated edits shift it up or down its file.
+ */
+
+"use strict";
+
+let fs = require("fs"),
+    path = require("path"),
+    crypto = require("crypto");
+
+let BASELINE_VERSION = 1, DEFAULT_BASELINE_FILENAME = ".solium-baseline.json";
+
+// Number of lines above & below an issue's line that make up its fingerprint
+let CONTEXT_LINES = 1;
+
+
+/**
+ * Get the path of a file the way it is recorded in baselines, ie, relative to CWD and with forward slashes.
+ * @param {String} fileName Path to the linted file
+ * @returns {String} baselinePath The path to use in the baseline
+ */
+function toBaselinePath(fileName) {
+    return path.relative(process.cwd(), path.resolve(fileName)).split(path.sep).join("/");
+}
+
+/**
+ * Compute the fingerprint of a lint issue from its rule and the (whitespace-trimmed) source code lines surrounding it.
+ * @param {Object} issue Lint issue as returned by Solium.lint()
+ * @param {Array} sourceLines Lines of the linted source code
+ * @returns {String} fingerprint Fingerprint of the form <rule name>:<hash>
+ */
+function getFingerprint(issue, sourceLines) {
+    let start = Math.max(issue.line - 1 - CONTEXT_LINES, 0),
+        context = sourceLines.slice(start, issue.line + CONTEXT_LINES).map(line => line.trim()).join("\n");
+
+    let hash = crypto.createHash("sha1").update(`${issue.ruleName}\n${context}`).digest("hex");
+    return `${issue.ruleName}:${hash}`;
+}
+
+/**
+ * Compute the fingerprints of a file's issues. Internal issues are never baselined.
+ * @param {String} sourceCode The linted source code
+ * @param {Array} issues Lint issues found in the source code
+ * @returns {Array} fingerprints Fingerprint of every issue (null for internal issues), in the same order as issues
+ */
+function getFingerprints(sourceCode, issues) {
+    let sourceLines = sourceCode.split(/\r?\n/);
+
+    return issues.map(function(issue) {
+        return issue.internal ? null : getFingerprint(issue, sourceLines);
+    });
+}
+
+/**
+ * Create an empty baseline.
+ * @returns {Object} baseline The baseline object
+ */
+function create() {
+    return { version: BASELINE_VERSION, issues: {} };
+}
+
+/**
+ * Record the issues found in a file in the baseline.
+ * @param {Object} baseline The baseline object to add the issues to
+ * @param {String} fileName Path to the linted file
+ * @param {String} sourceCode The linted source code
+ * @param {Array} issues Lint issues found in the source code
+ */
+function addIssues(baseline, fileName, sourceCode, issues) {
+    let filePath = toBaselinePath(fileName);
+
+    getFingerprints(sourceCode, issues).forEach(function(fingerprint) {
+        if (!fingerprint) {
+            return;
+        }
+
+        let fileIssues = baseline.issues [filePath] || (baseline.issues [filePath] = {});
+        fileIssues [fingerprint] = (fileIssues [fingerprint] || 0) + 1;
+    });
+}
+
+/**
+ * Remove the issues recorded in the baseline from a file's issues.
+ * If the baseline records N occurrences of a fingerprint, only the first N issues having it are removed.
+ * @param {Object} baseline The baseline object
+ * @param {String} fileName Path to the linted file
+ * @param {String} sourceCode The linted source code
+ * @param {Array} issues Lint issues found in the source code
+ * @returns {Array} newIssues The issues not present in the baseline
+ */
+function filterIssues(baseline, fileName, sourceCode, issues) {
+    let remaining = Object.assign({}, baseline.issues [toBaselinePath(fileName)]),
+        fingerprints = getFingerprints(sourceCode, issues);
+
+    return issues.filter(function(issue, index) {
+        let fingerprint = fingerprints [index];
+
+        if (!fingerprint || !remaining [fingerprint]) {
+            return true;
+        }
+
+        remaining [fingerprint]--;
+        return false;
+    });
+}
+
+/**
+ * Read a baseline from the file at the given path.
+ * @param {String} filePath Path to the baseline file
+ * @returns {Object} baseline The baseline object
+ */
+function load(filePath) {
+    let baseline;
+
+    try {
+        baseline = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        throw new Error(`Unable to read baseline ${filePath}: ${e.message}`);
+    }
+
+    if (!baseline || baseline.version !== BASELINE_VERSION || typeof baseline.issues !== "object" || !baseline.issues) {
+        throw new Error(`${filePath} is not a valid baseline (expected version ${BASELINE_VERSION}).`);
+    }
+
+    return baseline;
+}
+
+/**
+ * Write a baseline to the file at the given path. File names and fingerprints are sorted to keep diffs minimal.
+ * @param {Object} baseline The baseline object
+ * @param {String} filePath Path to the baseline file
+ */
+function write(baseline, filePath) {
+    let issues = {};
+
+    Object.keys(baseline.issues).sort().forEach(function(fileName) {
+        let fileIssues = baseline.issues [fileName];
+
+        issues [fileName] = {};
+        Object.keys(fileIssues).sort().forEach(function(fingerprint) {
+            issues [fileName] [fingerprint] = fileIssues [fingerprint];
+        });
+    });
+
+    fs.writeFileSync(filePath, JSON.stringify({ version: baseline.version, issues }, null, 2) + "\n");
+}
+
+
+module.exports = {
+    DEFAULT_BASELINE_FILENAME,
+    create,
+    addIssues,
+    filterIssues,
+    load,
+    write
+};
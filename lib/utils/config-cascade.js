@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Discover soliumrc files in a directory's ancestry and merge them into a single configuration.
+ */
+
+"use strict";
+
+let fs = require("fs"),
+    path = require("path"),
+    util = require("util"),
+    rules = require("../rules"),
+    fsUtils = require("./fs-utils"),
+    configInspector = require("./config-inspector");
+
+let SOLIUMRC_FILENAME = ".soliumrc.json";
+
+
+/**
+ * Read & validate the soliumrc file at the given path.
+ * @param {String} filePath Absolute path to the soliumrc file
+ * @returns {Object} config The configuration object exported by the file
+ */
+function loadConfigFile(filePath) {
+    let config;
+
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        throw new Error(`An invalid ${SOLIUMRC_FILENAME} was provided at ${filePath}. ${e.message}`);
+    }
+
+    if (!configInspector.isValid(config)) {
+        throw new Error(`${filePath} does not contain a valid configuration. AJV message:\n` +
+            util.inspect(configInspector.isValid.errors));
+    }
+
+    return config;
+}
+
+/**
+ * Walk up from the given directory and collect every soliumrc file found on the way.
+ * The walk stops at the filesystem root or at the first config that has "root" set to true.
+ * @param {String} directory The directory to start looking from
+ * @returns {Array} configFiles List of { filePath, config } objects, nearest first
+ */
+function findConfigFiles(directory) {
+    let configFiles = [], current = path.resolve(directory);
+
+    while (true) {      // eslint-disable-line no-constant-condition
+        let candidate = path.join(current, SOLIUMRC_FILENAME);
+
+        if (fsUtils.isFile(candidate)) {
+            let config = loadConfigFile(candidate);
+
+            configFiles.push({ filePath: candidate, config });
+
+            if (config.root === true) {
+                break;
+            }
+        }
+
+        let parent = path.dirname(current);
+
+        if (parent === current) {
+            break;
+        }
+
+        current = parent;
+    }
+
+    return configFiles;
+}
+
+/**
+ * Make the glob patterns of a config's "overrides" blocks relative to the given base directory instead of
+ * the directory containing the config file. Patterns without a slash match files in any sub-directory.
+ * @param {Object} config The configuration object
+ * @param {String} configDirectory Directory that contains the config file
+ * @param {String} baseDirectory Directory that file names will be relative to when matched against the patterns
+ * @returns {Object} config The configuration object with rebased "overrides" (same object if there's nothing to rebase)
+ */
+function rebaseOverrides(config, configDirectory, baseDirectory) {
+    let relativeDir = path.relative(baseDirectory, configDirectory).split(path.sep).join("/");
+
+    if (!(config.overrides && relativeDir)) {
+        return config;
+    }
+
+    let overrides = config.overrides.map(function(override) {
+        let files = [].concat(override.files).map(function(pattern) {
+            return pattern.includes("/") ? path.posix.join(relativeDir, pattern) : `${relativeDir}/**/${pattern}`;
+        });
+
+        return Object.assign({}, override, { files });
+    });
+
+    return Object.assign({}, config, { overrides });
+}
+
+/**
+ * Merge the configurations of a list of soliumrc files into a single configuration.
+ * The configuration of every file is kept apart in the "cascade" (farthest file first), so the rule configs of
+ * a nearer file override those of a farther one and every rule config can be traced back to its file.
+ * The "overrides" blocks of all files are applied after their rules, farthest file's blocks first.
+ * @param {Array} configFiles List of { filePath, config } objects, nearest first (as returned by findConfigFiles())
+ * @param {String} baseDirectory (optional) Directory the glob patterns of "overrides" & the paths of the files are made
+ * relative to. Defaults to CWD.
+ * @returns {Object} mergedConfig Object of the form { config, cascade }. config is the configuration object to pass to
+ * Solium and cascade (only present if multiple files were merged) is to be passed along with it, see rules.resolveRuleConfigLayers().
+ */
+function mergeConfigFiles(configFiles, baseDirectory) {
+    baseDirectory = baseDirectory || process.cwd();
+
+    // A single config needs no merging. This also keeps deprecated config formats working as before.
+    if (configFiles.length === 1) {
+        let { filePath, config } = configFiles [0];
+        return { config: rebaseOverrides(config, path.dirname(filePath), baseDirectory) };
+    }
+
+    let cascade = configFiles.slice().reverse().map(function({ filePath, config }) {
+        if (configInspector.isFormatDeprecated(config)) {
+            throw new Error(`${filePath} uses a deprecated configuration format which cannot be merged with other soliumrc files.`);
+        }
+
+        let rebasedConfig = rebaseOverrides(config, path.dirname(filePath), baseDirectory),
+            fileConfig = { file: path.relative(baseDirectory, filePath).split(path.sep).join("/") };
+
+        ["plugins", "extends", "rules", "overrides"].forEach(function(key) {
+            rebasedConfig [key] && (fileConfig [key] = rebasedConfig [key]);
+        });
+
+        return fileConfig;
+    });
+
+    // All the rules are in the cascade, so the configuration object itself is empty
+    let config = { rules: {} };
+
+    // Resolve the merged config once so that missing plugins & rulesets are reported right away
+    rules.resolveRuleConfigLayers(config, { cascade });
+
+    return { config, cascade };
+}
+
+/**
+ * Get the effective configuration for the files inside a directory.
+ * @param {String} directory The directory to resolve configuration for
+ * @param {Map} cache (optional) Map of directory => config, used to avoid resolving the same directory twice
+ * @param {String} baseDirectory (optional) Directory the glob patterns of "overrides" are made relative to. Defaults to CWD.
+ * @returns {(Object|null)} mergedConfig The merged configuration (see mergeConfigFiles()), null if no soliumrc file was found
+ */
+function resolveConfigForDirectory(directory, cache, baseDirectory) {
+    directory = path.resolve(directory);
+
+    if (cache && cache.has(directory)) {
+        return cache.get(directory);
+    }
+
+    let configFiles = findConfigFiles(directory),
+        mergedConfig = configFiles.length ? mergeConfigFiles(configFiles, baseDirectory) : null;
+
+    cache && cache.set(directory, mergedConfig);
+    return mergedConfig;
+}
+
+
+module.exports = {
+    SOLIUMRC_FILENAME,
+    findConfigFiles,
+    mergeConfigFiles,
+    rebaseOverrides,
+    resolveConfigForDirectory
+};
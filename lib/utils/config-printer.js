@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Describe the rule configuration a file is effectively linted with, along with where every rule's
+ * configuration comes from, so users can find out why a rule is (or isn't) applied to a file.
+ */
+
+"use strict";
+
+let { resolveRuleConfigLayers, getRuleSeverity } = require("../rules"),
+    configInspector = require("./config-inspector");
+
+let SEVERITY_NAMES = ["off", "warning", "error"];
+
+// Configuration comments can only be resolved by parsing the file, so they're left out
+let INLINE_CONFIG_NOTE = "Configuration comments (/* solium ... */) inside the file are not included.";
+
+
+/**
+ * Resolve the configuration of every rule mentioned by a configuration, ie, by the plugins it uses, the ruleset it
+ * extends, its "rules", its "overrides" blocks matching the file name in its options & the rules supplied via commandline.
+ * @param {Object} userConfig The configuration to lint the file with
+ * @param {Object} additionalConfigs (optional) Rule configs applied along with userConfig's, see rules.resolveRuleConfigLayers()
+ * @returns {Object} description Object of the form { filename, extends, plugins, configFiles, rules, note }, where rules
+ * maps every rule name to an object of the form { severity, options, source }. source is the name of the layer that
+ * set the rule's configuration (like "plugin:security", "extends:solium:all", "rules", "overrides[0]" or "commandline").
+ * If the configuration was merged from multiple soliumrc files, configFiles lists them in the order they're applied
+ * as { file, extends, plugins } objects and the sources of their layers are prefixed with the file's path, for eg-
+ * "contracts/.soliumrc.json:extends:solium:all". options is only present if the rule was passed any.
+ */
+function describeEffectiveConfig(userConfig, additionalConfigs) {
+    if (configInspector.isFormatDeprecated(userConfig)) {
+        throw new Error("Printing the configuration is not supported for the deprecated soliumrc format.");
+    }
+
+    let rules = {};
+
+    resolveRuleConfigLayers(userConfig, additionalConfigs).forEach(function(layer) {
+        Object.keys(layer.rules).forEach(function(name) {
+            let ruleConfig = layer.rules [name],
+                description = { severity: SEVERITY_NAMES [getRuleSeverity(ruleConfig)] };
+
+            if (Array.isArray(ruleConfig) && ruleConfig.length > 1) {
+                description.options = ruleConfig.slice(1);
+            }
+
+            description.source = layer.source;
+
+            rules [name] = description;
+        });
+    });
+
+    // Sort rules by name so the output is easy to scan
+    let sortedRules = {};
+
+    Object.keys(rules).sort().forEach(function(name) {
+        sortedRules [name] = rules [name];
+    });
+
+    let description = {
+        filename: (userConfig.options && userConfig.options.filename) || null,
+        extends: userConfig.extends || null,
+        plugins: userConfig.plugins || []
+    };
+
+    if (additionalConfigs && additionalConfigs.cascade) {
+        description.configFiles = additionalConfigs.cascade.map(function(fileConfig) {
+            return { file: fileConfig.file, extends: fileConfig.extends || null, plugins: fileConfig.plugins || [] };
+        });
+    }
+
+    return Object.assign(description, { rules: sortedRules, note: INLINE_CONFIG_NOTE });
+}
+
+
+module.exports = {
+    describeEffectiveConfig
+};
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Utility functions to describe changes made to source code as unified diffs.
+ */
+
+"use strict";
+
+let path = require("path"),
+    { structuredPatch } = require("diff");
+
+// Number of unchanged lines to show around every change
+let CONTEXT_LINES = 3;
+
+
+/**
+ * Get the label of a file used in the diff headers, ie, its path relative to CWD with forward slashes.
+ * Names that aren't file paths (like "[stdin]") are used as-is.
+ * @param {String} fileName Name of the file
+ * @returns {String} label The label
+ */
+function toDiffLabel(fileName) {
+    if (/^\[.*\]$/.test(fileName)) {
+        return fileName;
+    }
+
+    return path.relative(process.cwd(), path.resolve(fileName)).split(path.sep).join("/");
+}
+
+/**
+ * Create a unified diff (as understood by git apply & patch -p1) describing the changes made to a file's code.
+ * @param {String} fileName Name of the file, used to label the original & changed code
+ * @param {String} originalCode The original code
+ * @param {String} changedCode The changed code
+ * @returns {String} diff The unified diff, empty string if the code wasn't changed
+ */
+function createUnifiedDiff(fileName, originalCode, changedCode) {
+    let label = toDiffLabel(fileName),
+        patch = structuredPatch(label, label, originalCode, changedCode, "", "", { context: CONTEXT_LINES });
+
+    if (!patch.hunks.length) {
+        return "";
+    }
+
+    let lines = [`--- a/${label}`, `+++ b/${label}`];
+
+    patch.hunks.forEach(function(hunk) {
+        lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+        lines.push(...hunk.lines);
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+
+module.exports = {
+    createUnifiedDiff
+};
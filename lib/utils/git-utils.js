@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Utility functions to find the Solidity files (and the lines inside them) changed in a git repository.
+ */
+
+"use strict";
+
+let path = require("path"),
+    { execFileSync } = require("child_process");
+
+let SOLIDITY_PATHSPEC = "*.sol";
+
+
+/**
+ * Run a git command and return its output.
+ * @param {Array} args Arguments to supply to git
+ * @param {String} cwd Directory to run git in
+ * @returns {String} output The command's stdout
+ */
+function runGit(args, cwd) {
+    try {
+        return execFileSync("git", args, { cwd, encoding: "utf8", maxBuffer: 64 * 1024 * 1024, stdio: "pipe" });
+    } catch (e) {
+        let reason = (e.stderr && e.stderr.toString().trim()) || e.message;
+        throw new Error(`git ${args.join(" ")} failed: ${reason}`);
+    }
+}
+
+/**
+ * Parse the output of "git diff --unified=0" (with the default "a/" & "b/" prefixes) and collect the line ranges added or modified in every file.
+ * Deleted files are ignored.
+ * @param {String} diff The diff output
+ * @returns {Object} changedLines Object mapping the file paths (as printed by git) to lists of [start, end] line ranges
+ */
+function parseDiff(diff) {
+    let changedLines = {}, currentFile = null;
+
+    diff.split("\n").forEach(function(line) {
+        if (line.startsWith("+++ ")) {
+            let target = line.slice(4).replace(/\t$/, "");
+
+            currentFile = (target === "/dev/null") ? null : target.replace(/^b\//, "");
+            currentFile && (changedLines [currentFile] = changedLines [currentFile] || []);
+
+            return;
+        }
+
+        let hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+
+        if (!(hunk && currentFile)) {
+            return;
+        }
+
+        let start = parseInt(hunk [1], 10), count = (hunk [2] === undefined) ? 1 : parseInt(hunk [2], 10);
+
+        // A count of 0 means lines were only removed at this point
+        count > 0 && changedLines [currentFile].push([start, start + count - 1]);
+    });
+
+    return changedLines;
+}
+
+/**
+ * Find the Solidity files changed in the git repository containing the given directory.
+ * @param {Object} options Object of the form { ref, staged, cwd }. Changes are computed against ref (HEAD by default).
+ * If staged is true, only changes added to the index are considered. Otherwise, changes in the working tree
+ * and untracked files are considered too.
+ * @returns {Map} changes Map of absolute file paths to lists of [start, end] ranges of lines changed in them.
+ * Files not tracked by git are mapped to null since all their lines are new.
+ */
+function getChanges(options) {
+    // The prefixes are explicit since parseDiff() relies on them, regardless of diff.noprefix & diff.mnemonicPrefix
+    let cwd = options.cwd || process.cwd(),
+        args = ["-c", "core.quotepath=off", "diff", "--unified=0", "--no-color", "--no-ext-diff", "--relative",
+            "--diff-filter=ACMR", "--src-prefix=a/", "--dst-prefix=b/"];
+
+    // A ref beginning with "-" would be parsed by git as an option
+    if (options.ref && options.ref.startsWith("-")) {
+        throw new Error(`"${options.ref}" is not a valid git ref.`);
+    }
+
+    options.staged && args.push("--cached");
+    options.ref && args.push(options.ref);
+    args.push("--", SOLIDITY_PATHSPEC);
+
+    let changedLines = parseDiff(runGit(args, cwd)), changes = new Map();
+
+    Object.keys(changedLines).forEach(function(file) {
+        changes.set(path.resolve(cwd, file), changedLines [file]);
+    });
+
+    if (!options.staged) {
+        runGit(["-c", "core.quotepath=off", "ls-files", "--others", "--exclude-standard", "--", SOLIDITY_PATHSPEC], cwd)
+            .split("\n")
+            .filter(Boolean)
+            .forEach(function(file) {
+                changes.set(path.resolve(cwd, file), null);
+            });
+    }
+
+    return changes;
+}
+
+/**
+ * Determine whether a line falls within any of the given ranges.
+ * @param {Integer} line The line number
+ * @param {Array} ranges List of [start, end] line ranges (both inclusive)
+ * @returns {Boolean} isChanged True if line is inside a range, false otherwise.
+ */
+function isLineInRanges(line, ranges) {
+    return ranges.some(function(range) {
+        return line >= range [0] && line <= range [1];
+    });
+}
+
+
+module.exports = {
+    parseDiff,
+    getChanges,
+    isLineInRanges
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Persist the results of linting files so that files which haven't changed since they were last
+ * linted (with the same configuration & version of Solium) don't need to be linted again.
+ */
+
+"use strict";
+
+let fs = require("fs"),
+    path = require("path"),
+    crypto = require("crypto"),
+    ruleLoader = require("./rule-loader"),
+    { resolveRuleConfigLayers } = require("../rules"),
+    soliumVersion = require("../../package.json").version;
+
+let CACHE_VERSION = 2, DEFAULT_CACHE_FILENAME = ".soliumcache";
+
+
+/**
+ * Get the path of a file the way it is recorded in the cache, ie, relative to CWD and with forward slashes.
+ * @param {String} fileName Path to the linted file
+ * @returns {String} cachePath The path to use in the cache
+ */
+function toCachePath(fileName) {
+    return path.relative(process.cwd(), path.resolve(fileName)).split(path.sep).join("/");
+}
+
+/**
+ * Get the version of an installed npm package.
+ * @param {String} name Name of the package
+ * @returns {String} version The package's version, null if it couldn't be determined
+ */
+function getPackageVersion(name) {
+    try {
+        return require(`${name}/package.json`).version;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Describe everything about a configuration that affects the result of linting with it: the rule configs
+ * it resolves to (after applying plugins, "extends" & "overrides") and the versions of the packages supplying them.
+ * @param {Object} userConfig The configuration to lint with
+ * @param {Object} additionalConfigs (optional) Rule configs applied along with userConfig's, see rules.resolveRuleConfigLayers()
+ * @returns {Object} description Object that can be hashed to identify the configuration
+ */
+function describeConfig(userConfig, additionalConfigs) {
+    let rules = {}, { SOLIUM_PLUGIN_PREFIX, SOLIUM_SHARABLE_CONFIG_PREFIX } = ruleLoader.constants;
+
+    resolveRuleConfigLayers(userConfig, additionalConfigs).forEach(function(layer) {
+        Object.assign(rules, layer.rules);
+    });
+
+    // Every soliumrc file merged into the configuration can use plugins & sharable configs of its own
+    let packages = [];
+
+    [userConfig].concat((additionalConfigs && additionalConfigs.cascade) || []).forEach(function(config) {
+        (config.plugins || []).forEach(name => packages.push(SOLIUM_PLUGIN_PREFIX + name));
+
+        if (config.extends && !config.extends.startsWith("solium:")) {
+            packages.push(SOLIUM_SHARABLE_CONFIG_PREFIX + config.extends);
+        }
+    });
+
+    return {
+        rules,
+        customRulesFilename: userConfig ["custom-rules-filename"] || null,
+        autofix: Boolean(userConfig.options && userConfig.options.autofix),
+        maxFixPasses: (userConfig.options && userConfig.options.maxFixPasses) || null,
+        fixRules: (userConfig.options && userConfig.options.fixRules) || null,
+        fixTypes: (userConfig.options && userConfig.options.fixTypes) || null,
+        reportUnusedDisableDirectives: Boolean(userConfig.options && userConfig.options.reportUnusedDisableDirectives),
+        packages: packages.map(name => [name, getPackageVersion(name)])
+    };
+}
+
+/**
+ * Create an empty cache.
+ * @returns {Object} cache The cache object
+ */
+function create() {
+    return { version: CACHE_VERSION, files: {} };
+}
+
+/**
+ * Compute the key identifying a lint result: a hash of the source code, the resolved configuration and Solium's version.
+ * @param {String} sourceCode The source code to lint
+ * @param {Object} userConfig The configuration to lint with
+ * @param {Object} additionalConfigs (optional) Rule configs applied along with userConfig's (see describeConfig())
+ * @returns {String} key The key, null if the configuration can't be resolved (its result must not be cached then).
+ */
+function getKey(sourceCode, userConfig, additionalConfigs) {
+    let config;
+
+    try {
+        config = describeConfig(userConfig, additionalConfigs);
+    } catch (e) {
+        return null;
+    }
+
+    return crypto.createHash("sha1")
+        .update(JSON.stringify({ soliumVersion, config }))
+        .update("\n")
+        .update(sourceCode)
+        .digest("hex");
+}
+
+/**
+ * Retrieve the result of linting a file from the cache.
+ * @param {Object} cache The cache object
+ * @param {String} fileName Path to the file
+ * @param {String} key Key of the file's current source code & configuration (see getKey())
+ * @param {Boolean} returnInternalIssues Whether the result must contain internal issues
+ * @returns {Object} result The cached result (as returned by lintSource()), null if there is none.
+ */
+function getResult(cache, fileName, key, returnInternalIssues) {
+    let entry = cache.files [toCachePath(fileName)];
+
+    if (!key || !entry || entry.key !== key || (returnInternalIssues && !entry.internalIssues)) {
+        return null;
+    }
+
+    if (!returnInternalIssues && entry.result.lintErrors) {
+        return Object.assign({}, entry.result, { lintErrors: entry.result.lintErrors.filter(issue => !issue.internal) });
+    }
+
+    return entry.result;
+}
+
+/**
+ * Store the result of linting a file in the cache.
+ * Results that modified the file (fixes were applied) or aborted the lint are not stored. The AST nodes of issues
+ * aren't stored either, since they can be as large as the whole contract and no reporter needs them.
+ * @param {Object} cache The cache object
+ * @param {String} fileName Path to the file
+ * @param {String} key Key of the file's source code & configuration (see getKey())
+ * @param {Object} result Result of linting the file, as returned by lintSource()
+ * @param {Boolean} internalIssues Whether internal issues were returned as part of the result
+ */
+function setResult(cache, fileName, key, result, internalIssues) {
+    let filePath = toCachePath(fileName);
+
+    if (!key || (result.fixesApplied && result.fixesApplied.length) ||
+        (result.error && result.error.name !== "SyntaxError")) {
+        delete cache.files [filePath];
+        return;
+    }
+
+    result = Object.assign({}, result);
+    delete result.fixedSourceCode;
+
+    if (result.lintErrors) {
+        result.lintErrors = result.lintErrors.map(issue => {
+            issue = Object.assign({}, issue);
+            delete issue.node;
+            return issue;
+        });
+    }
+
+    cache.files [filePath] = { key, internalIssues: Boolean(internalIssues), result };
+}
+
+/**
+ * Read a cache from the file at the given path.
+ * Since a cache can always be rebuilt, an empty cache is returned if the file doesn't exist or is invalid.
+ * @param {String} filePath Path to the cache file
+ * @returns {Object} cache The cache object
+ */
+function load(filePath) {
+    let cache;
+
+    try {
+        cache = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        return create();
+    }
+
+    if (!cache || cache.version !== CACHE_VERSION || typeof cache.files !== "object" || !cache.files) {
+        return create();
+    }
+
+    return cache;
+}
+
+/**
+ * Write a cache to the file at the given path. Entries of files that no longer exist are dropped.
+ * @param {Object} cache The cache object
+ * @param {String} filePath Path to the cache file
+ */
+function write(cache, filePath) {
+    Object.keys(cache.files).forEach(function(fileName) {
+        fs.existsSync(path.resolve(fileName)) || delete cache.files [fileName];
+    });
+
+    fs.writeFileSync(filePath, JSON.stringify(cache));
+}
+
+
+module.exports = {
+    DEFAULT_CACHE_FILENAME,
+    create,
+    getKey,
+    getResult,
+    setResult,
+    load,
+    write
+};
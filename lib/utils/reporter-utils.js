@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Utility functions shared by the reporters
+ */
+
+"use strict";
+
+const fs = require("fs"),
+    path = require("path");
+
+const reporterStates = new WeakMap();
+
+
+/**
+ * Create a directory along with any of its missing parents.
+ * Done by hand since mkdirSync() only supports the "recursive" option on newer versions of Node.js.
+ * @param {String} dir Absolute path of the directory
+ */
+function createDirectory(dir) {
+    if (fs.existsSync(dir)) {
+        return;
+    }
+
+    createDirectory(path.dirname(dir));
+    fs.mkdirSync(dir);
+}
+
+
+module.exports = {
+
+    /**
+     * Convert a lint issue returned by Solium into a plain object that can be safely serialized.
+     * The AST node & the fix packets are dropped, only the availability of a fix is retained.
+     * @param {Object} issue Lint issue as returned by Solium.lint()
+     * @returns {Object} serializable The plain object describing the issue
+     */
+    toSerializableIssue(issue) {
+        const { ruleName, type, message, line, column } = issue;
+        return { ruleName, type, message, line, column, fixable: Boolean(issue.fix) };
+    },
+
+    /**
+     * Escape a string so it can be used as XML text or attribute value.
+     * @param {String} str The string to escape
+     * @returns {String} escaped The escaped string
+     */
+    escapeXML(str) {
+        const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" };
+
+        // Control characters other than tab, CR & LF aren't allowed in XML at all
+        return String(str)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")     // eslint-disable-line no-control-regex
+            .replace(/[&<>"']/g, c => entities[c]);
+    },
+
+    /**
+     * Count the number of errors & warnings in a list of lint issues.
+     * @param {Array} issues List of lint issues
+     * @returns {Object} counts Object of the form { errorCount, warningCount }
+     */
+    countIssues(issues) {
+        return issues.reduce((counts, issue) => {
+            counts[issue.type === "error" ? "errorCount" : "warningCount"] += 1;
+            return counts;
+        }, { errorCount: 0, warningCount: 0 });
+    },
+
+    /**
+     * Get the state a reporter accumulates during a run, creating it if it doesn't exist yet.
+     * State is kept per reporter object so that multiple instances of a reporter can be used in a single run.
+     * @param {Object} reporter The reporter object
+     * @param {Function} createState Function that returns the reporter's initial state
+     * @returns {Object} state The reporter's state
+     */
+    getReporterState(reporter, createState) {
+        if (!reporterStates.has(reporter)) {
+            reporterStates.set(reporter, createState());
+        }
+
+        return reporterStates.get(reporter);
+    },
+
+    /**
+     * Discard the state of a reporter, so the next call to getReporterState() creates it afresh.
+     * @param {Object} reporter The reporter object
+     */
+    resetReporterState(reporter) {
+        reporterStates.delete(reporter);
+    },
+
+    /**
+     * Create an output that reporters can write to in place of process.stdout.
+     * Everything written is buffered and only written to the file when end() is called, overwriting it.
+     * @param {String} filePath Path of the file to write to. Missing parent directories are created.
+     * @returns {Object} output Object exposing write(), end(), filePath and isTTY
+     */
+    createFileOutput(filePath) {
+        let chunks = [];
+
+        return {
+            filePath,
+            isTTY: false,
+
+            write(chunk) {
+                chunks.push(String(chunk));
+                return true;
+            },
+
+            end() {
+                createDirectory(path.dirname(path.resolve(filePath)));
+                fs.writeFileSync(filePath, chunks.join(""));
+                chunks = [];
+            }
+        };
+    },
+
+    /**
+     * Combine multiple reporters into a single one that supplies every report to all of them.
+     * Fatal errors are only reported by the first reporter writing to the terminal (or the first reporter if all
+     * of them write to files), so they're printed once. Files without issues or fixes are only reported to the
+     * reporters whose "reportsCleanFiles" attribute is true.
+     * @param {Array} reporters List of reporter objects, each having an "output" attribute
+     * @returns {Object} reporter The combined reporter
+     */
+    combineReporters(reporters) {
+        const fatalReporter = reporters.find(r => !r.output.filePath) || reporters [0];
+
+        return {
+            reportsCleanFiles: reporters.some(r => r.reportsCleanFiles),
+
+            reportFatal(message) {
+                fatalReporter.reportFatal(message);
+            },
+
+            reportInternal(message) {
+                reporters.forEach(r => r.reportInternal(message));
+            },
+
+            report(filename, sourceCode, lintErrors, fixesApplied) {
+                const isClean = !lintErrors.length && !(fixesApplied && fixesApplied.length);
+
+                // Some reporters remove entries from the list they receive, so each gets its own copy
+                reporters.forEach(r => {
+                    (!isClean || r.reportsCleanFiles) &&
+                        r.report(filename, sourceCode, lintErrors.slice(), fixesApplied && fixesApplied.slice());
+                });
+            },
+
+            finalize() {
+                reporters.forEach(r => {
+                    r.finalize && r.finalize();
+                    r.output.filePath && r.output.end();
+                });
+            }
+        };
+    }
+
+};
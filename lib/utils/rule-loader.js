@@ -16,7 +16,8 @@ let constants = {
     SOLIUM_RULESET_RECOMMENDED: "solium:all",
     SOLIUM_CORE_RULES_DIRNAME: "rules",
     SOLIUM_PLUGIN_PREFIX: "solium-plugin-",
-    SOLIUM_SHARABLE_CONFIG_PREFIX: "solium-config-"
+    SOLIUM_SHARABLE_CONFIG_PREFIX: "solium-config-",
+    SOLIUM_REPORTER_PREFIX: "solium-reporter-"
 };
 
 constants.SOLIUM_CORE_RULES_DIRPATH = "../" + constants.SOLIUM_CORE_RULES_DIRNAME;
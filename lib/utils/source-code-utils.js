@@ -9,10 +9,6 @@ const { EOL } = require("os"), astUtils = require("./ast-utils");
 const INHERITABLE_METHODS = [
     "isASTNode",
     "getParent",
-    "getColumn",
-    "getEndingColumn",
-    "getLine",
-    "getEndingLine",
     "isAChildOf",
     "isBlockStatement",
     "isBreakStatement",
@@ -21,15 +17,26 @@ const INHERITABLE_METHODS = [
     "isUpdate",
     "isMember",
     "isIfStatement",
-    "isLoopStatement"
+    "isLoopStatement",
+    "describeFunction"
+];
+
+// Methods that locate a node in the source code. The object supplies its own code to them.
+const POSITION_METHODS = [
+    "getColumn",
+    "getEndingColumn",
+    "getLine",
+    "getEndingLine"
 ];
 
 /**
  * SourceCode object constructor - provides the source code text along with functions to operate on the code easily
  * @param {String} sourceCodeText source code being linted
+ * @param {Array} comments (optional) Comment tokens found in the source code, as supplied by the parser
  */
-function SourceCode(sourceCodeText) {
+function SourceCode(sourceCodeText, comments) {
     this.text = sourceCodeText;
+    this.comments = comments || [];
 }
 
 SourceCode.prototype = {
@@ -119,6 +126,45 @@ SourceCode.prototype = {
         throw new Error("Invalid argument for one or both nodes");
     },
 
+    /**
+	 * Get all comments in the source code, in the order they appear
+	 * @returns {Array} comments List of comment tokens of the form { text, type, start, end }, where type is "Line" or "Block"
+	 */
+    getComments: function() {
+        return this.comments.slice();
+    },
+
+    /**
+	 * Get the portion of code belonging to each of the given sibling nodes, ie, the node along with its leading comments
+	 * & the comments following it on the same line. Moving these portions moves nodes without separating them from their comments.
+	 * @param {Array} nodes The sibling nodes, in the order they appear in code
+	 * @param {Integer} lowerBound (optional) Index before which no portion can begin, eg- the index after a contract's opening brace
+	 * @returns {Array} ranges The [start, end] range of each node's portion
+	 */
+    getRangesWithComments: function(nodes, lowerBound) {
+        let text = this.text, comments = this.comments;
+
+        lowerBound = lowerBound || 0;
+
+        return nodes.map(function(node, i) {
+            let nextStart = (i < nodes.length - 1) ? nodes [i + 1].start : text.length,
+                start = node.start, end = node.end;
+
+            comments.forEach(function(comment) {
+                if (comment.start >= lowerBound && comment.end <= node.start && start === node.start) {
+                    start = comment.start;
+                }
+
+                if (comment.start >= node.end && comment.end <= nextStart && !text.slice(end, comment.start).includes("\n")) {
+                    end = comment.end;
+                }
+            });
+
+            lowerBound = end;
+            return [start, end];
+        });
+    },
+
     /**
 	 * Get the complete text on line lineNumber (excluding the EOL)
 	 * @param {Integer} lineNumber Line number whose text to get
@@ -147,5 +193,11 @@ INHERITABLE_METHODS.forEach(function(methodName) {
     SourceCode.prototype [methodName] = astUtils [methodName];
 });
 
+POSITION_METHODS.forEach(function(methodName) {
+    SourceCode.prototype [methodName] = function(node) {
+        return astUtils [methodName](node, this.text);
+    };
+});
+
 
 module.exports = SourceCode;
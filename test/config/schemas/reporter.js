@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Tests for reporter Schema
+ */
+
+"use strict";
+
+const reporterSchema = require("../../../config/schemas/reporter.js"),
+    isAValidReporter = reporterSchema.validationFunc;
+
+const noop = function() {};
+
+
+describe("Checking Reporter Schema", () => {
+
+    it("should expose a set of functions", done => {
+        reporterSchema.should.be.type("object");
+        reporterSchema.should.be.size(2);
+
+        reporterSchema.should.have.ownProperty("Schema");
+        reporterSchema.Schema.should.be.type("object");
+
+        reporterSchema.should.have.ownProperty("validationFunc");
+        reporterSchema.validationFunc.should.be.type("function");
+
+        done();
+    });
+
+    it("should accept valid reporter objects", done => {
+        isAValidReporter({ report: noop, reportFatal: noop, reportInternal: noop }).should.equal(true);
+        isAValidReporter({ report: noop, reportFatal: noop, reportInternal: noop, finalize: noop }).should.equal(true);
+        isAValidReporter({ report: noop, reportFatal: noop, reportInternal: noop, reportsCleanFiles: true })
+            .should.equal(true);
+
+        // Reporters are free to expose other attributes
+        isAValidReporter({ report: noop, reportFatal: noop, reportInternal: noop, name: "foo" }).should.equal(true);
+
+        // All core reporters must be valid
+        ["checkstyle", "gcc", "json", "junit", "ndjson", "pretty", "sarif"].forEach(name => {
+            isAValidReporter(require(`../../../lib/reporters/${name}`)).should.equal(true);
+        });
+
+        done();
+    });
+
+    it("should reject invalid reporter objects", done => {
+        isAValidReporter().should.equal(false);
+        isAValidReporter(null).should.equal(false);
+        isAValidReporter(noop).should.equal(false);
+        isAValidReporter("pretty").should.equal(false);
+        isAValidReporter([]).should.equal(false);
+        isAValidReporter({}).should.equal(false);
+        isAValidReporter({ report: noop }).should.equal(false);
+        isAValidReporter({ report: noop, reportFatal: noop }).should.equal(false);
+        isAValidReporter({ report: noop, reportFatal: noop, reportInternal: "hello" }).should.equal(false);
+        isAValidReporter({ report: noop, reportFatal: noop, reportInternal: noop, finalize: 100 }).should.equal(false);
+        isAValidReporter({ report: noop, reportFatal: noop, reportInternal: noop, reportsCleanFiles: "yes" })
+            .should.equal(false);
+
+        done();
+    });
+
+});
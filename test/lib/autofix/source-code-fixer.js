@@ -14,6 +14,8 @@ describe("Test the source-code-fixer API", function() {
         scf.should.be.type("object");
         scf.should.have.ownProperty("applyFixes");
         scf.applyFixes.should.be.type("function");
+        scf.should.have.ownProperty("applyFixesRepeatedly");
+        scf.applyFixesRepeatedly.should.be.type("function");
         done();
     });
 
@@ -185,6 +187,46 @@ describe("Test the source-code-fixer API", function() {
         done();
     });
 
+    it("should only apply fixes accepted by the function passed to applyFixes()", function(done) {
+        let msgs = [
+            {
+                ruleName: "a",
+                message: "def",
+                type: "error",
+                line: 1,
+                column: 4,
+                node: {type: "Literal", start: 1, end: 9},
+                fix: {range: [0, 3], text: "xyz"}
+            },
+            {
+                ruleName: "b",
+                message: "def",
+                type: "error",
+                line: 1,
+                column: 4,
+                node: {type: "Literal", start: 1, end: 9},
+                fix: {range: [3, 8], text: "***"}
+            }
+        ];
+
+        let sourceCode = "abcd123@@@***&^###;;{}[]";
+        let result = scf.applyFixes(sourceCode, msgs, msg => msg.ruleName === "b");
+
+        result.fixesApplied.should.have.size(1);
+        result.fixesApplied [0].ruleName.should.equal("b");
+        result.remainingErrorMessages.should.have.size(1);
+        result.remainingErrorMessages [0].ruleName.should.equal("a");
+        result.fixedSourceCode.should.equal("abc***@@***&^###;;{}[]");
+
+        result = scf.applyFixes(sourceCode, msgs, () => false);
+
+        result.fixesApplied.should.have.size(0);
+        result.remainingErrorMessages.should.have.size(2);
+        result.fixedSourceCode.should.equal(sourceCode);
+
+        done();
+    });
+
     it("in case of overlapping fixes, the one that occurs before (row-wise then col-wise) should be applied", function(done) {
         let msgs = [
             {
@@ -240,4 +282,90 @@ describe("Test the source-code-fixer API", function() {
         done();
     });
 
-});
\ No newline at end of file
+    describe("applyFixesRepeatedly()", function() {
+
+        // Create a lint function that reports an error (with a fix) for every rule whose search string is found in code
+        function createLint(rules) {
+            return function(code) {
+                let errors = [];
+
+                Object.keys(rules).forEach(function(ruleName) {
+                    let [search, replacement] = rules [ruleName], start = code.indexOf(search);
+
+                    start > -1 && errors.push({
+                        ruleName, type: "error", message: `Replace ${search}`, line: 1, column: start,
+                        fix: { range: [start, start + search.length], text: replacement }
+                    });
+                });
+
+                return errors.sort((a, b) => a.column - b.column);
+            };
+        }
+
+        it("should keep fixing until no more fixes can be applied", function(done) {
+            // Fix of rule "b" is only possible after the fix of "a" has been applied
+            let lint = createLint({ a: ["abc", "abd"], b: ["bd", "BD"] }),
+                result = scf.applyFixesRepeatedly("abc;abc", lint, 10);
+
+            result.should.have.size(5);
+            result.fixedSourceCode.should.equal("aBD;aBD");
+            result.passes.should.equal(3);
+            result.fixesApplied.map(msg => msg.ruleName).should.eql(["a", "b", "a", "b"]);
+            result.remainingErrorMessages.should.have.size(0);
+            result.oscillatingRules.should.eql([]);
+
+            // Fixes of overlapping ranges are applied in separate passes
+            lint = createLint({ a: ["xyz", "XYZ"], b: ["yz", "__"] });
+            result = scf.applyFixesRepeatedly("xyz", lint, 10);
+
+            result.fixedSourceCode.should.equal("XYZ");
+            result.passes.should.equal(1);
+
+            result = scf.applyFixesRepeatedly("nothing to fix", lint, 10);
+
+            result.fixedSourceCode.should.equal("nothing to fix");
+            result.passes.should.equal(0);
+            result.fixesApplied.should.have.size(0);
+
+            done();
+        });
+
+        it("should stop fixing after the maximum number of passes", function(done) {
+            let lint = createLint({ a: ["abc", "abd"], b: ["bd", "BD"] }),
+                result = scf.applyFixesRepeatedly("abc", lint, 1);
+
+            result.fixedSourceCode.should.equal("abd");
+            result.passes.should.equal(1);
+            result.fixesApplied.map(msg => msg.ruleName).should.eql(["a"]);
+
+            // Remaining errors are those found in the fixed code
+            result.remainingErrorMessages.should.have.size(1);
+            result.remainingErrorMessages [0].ruleName.should.equal("b");
+            result.remainingErrorMessages [0].column.should.equal(1);
+
+            done();
+        });
+
+        it("should stop fixing when fixes of rules undo each other", function(done) {
+            let lint = createLint({ up: ["x", "X"], down: ["X", "x"], once: ["q", "Q"] }),
+                result = scf.applyFixesRepeatedly("x q", lint, 10);
+
+            result.oscillatingRules.should.eql(["down", "up"]);
+            result.fixedSourceCode.should.equal("X Q");
+            result.passes.should.equal(1);
+            result.fixesApplied.map(msg => msg.ruleName).should.eql(["up", "once"]);
+            result.remainingErrorMessages.map(msg => msg.ruleName).should.eql(["down"]);
+
+            result = scf.applyFixesRepeatedly("x", createLint({ up: ["x", "X"], down: ["X", "x"] }), 10);
+
+            result.oscillatingRules.should.eql(["down", "up"]);
+            result.fixedSourceCode.should.equal("x");
+            result.passes.should.equal(0);
+            result.fixesApplied.should.have.size(0);
+
+            done();
+        });
+
+    });
+
+});
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Tests for lib/cli-utils/lint-source.js
+ */
+
+"use strict";
+
+const { lintSource } = require("../../../lib/cli-utils/lint-source");
+
+
+describe("Test lint-source", () => {
+
+    const sourceCode = "contract Foo {\n\tfunction bar() {}\n}\n";
+
+    function getConfig(options) {
+        return { rules: { indentation: "error" }, options: Object.assign({ returnInternalIssues: false }, options) };
+    }
+
+    it("lintSource() should return the issues found in source code", done => {
+        const result = lintSource(sourceCode, getConfig());
+
+        result.should.have.size(1);
+        result.lintErrors.should.be.instanceof(Array);
+        result.lintErrors.should.have.size(1);
+        result.lintErrors [0].ruleName.should.equal("indentation");
+
+        done();
+    });
+
+    it("lintSource() should return the fixes applied if autofix is enabled", done => {
+        const config = { rules: { quotes: "error" }, options: { autofix: true } },
+            result = lintSource("contract Foo {\n    string s = 'hi';\n}\n", config);
+
+        result.should.have.size(3);
+        result.lintErrors.should.have.size(0);
+        result.fixesApplied.should.have.size(1);
+        result.fixedSourceCode.should.equal("contract Foo {\n    string s = \"hi\";\n}\n");
+
+        done();
+    });
+
+    it("lintSource() should apply the additional rule configs passed to it", done => {
+        let result = lintSource(sourceCode, getConfig(), { commandlineRules: { indentation: "off" } });
+        result.lintErrors.should.have.size(0);
+
+        result = lintSource(sourceCode, getConfig(), { commandlineRules: { "pragma-on-top": "warning" } });
+        result.lintErrors.map(issue => issue.ruleName).sort().should.eql(["indentation", "pragma-on-top"]);
+
+        done();
+    });
+
+    it("lintSource() should return errors instead of throwing them", done => {
+        let result = lintSource("contract {", getConfig());
+
+        result.should.have.size(1);
+        result.error.name.should.equal("SyntaxError");
+        result.error.location.start.line.should.equal(1);
+
+        result = lintSource(sourceCode, { rules: { "non-existent-rule": "error" }, options: {} });
+        result.error.name.should.equal("Error");
+        result.error.message.should.be.type("string");
+        result.error.stack.should.be.type("string");
+
+        done();
+    });
+
+});
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Tests for lib/cli-utils/lint-worker.js
+ */
+
+"use strict";
+
+const path = require("path"),
+    { lintSource } = require("../../../lib/cli-utils/lint-source");
+
+const WORKER_PATH = path.join(__dirname, "../../../lib/cli-utils/lint-worker.js");
+
+// worker_threads isn't available in every supported version of Node.js
+let workerThreads = null;
+
+try {
+    workerThreads = require("worker_threads");
+} catch (e) {
+    // The tests below are skipped
+}
+
+
+(workerThreads ? describe : describe.skip)("Test lint-worker", () => {
+
+    it("should lint source code received from the main thread", done => {
+        const sourceCode = "contract Foo {\n\tfunction bar() {}\n}\n",
+            userConfig = { rules: { indentation: "error" }, options: { returnInternalIssues: false } },
+            additionalConfigs = { commandlineRules: { "pragma-on-top": "warning" } },
+            worker = new workerThreads.Worker(WORKER_PATH);
+
+        worker.on("message", ({ id, result }) => {
+            id.should.equal(7);
+            result.lintErrors.should.have.size(2);
+            result.should.eql(lintSource(sourceCode, userConfig, additionalConfigs));
+
+            worker.terminate().then(() => done());
+        });
+
+        worker.on("error", done);
+        worker.postMessage({ id: 7, sourceCode, userConfig, additionalConfigs });
+    });
+
+});
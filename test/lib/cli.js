@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Tests for lib/cli.js
+ */
+
+"use strict";
+
+let fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    { spawnSync } = require("child_process");
+
+let SOLIUM_PATH = path.join(__dirname, "../../bin/solium.js");
+
+
+/**
+ * Run the CLI in the given directory.
+ * @param {String} cwd Directory to run the CLI in
+ * @param {Array} args Commandline arguments
+ * @param {Object} options (optional) Additional options to pass to spawnSync()
+ * @returns {Object} result Object of the form { status, stdout, stderr }
+ */
+function runSolium(cwd, args, options) {
+    return spawnSync(
+        process.execPath, [SOLIUM_PATH, "--no-soliumignore"].concat(args), Object.assign({ cwd, encoding: "utf8" }, options)
+    );
+}
+
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(function(file) {
+        let filePath = path.join(dir, file);
+        fs.lstatSync(filePath).isDirectory() ? removeDir(filePath) : fs.unlinkSync(filePath);
+    });
+    fs.rmdirSync(dir);
+}
+
+/**
+ * Write a file, creating its parent directories if they don't exist.
+ * @param {String} filePath Path to the file
+ * @param {String} contents Contents of the file
+ */
+function writeFile(filePath, contents) {
+    let missingDirs = [];
+
+    for (let dir = path.dirname(filePath); !fs.existsSync(dir); dir = path.dirname(dir)) {
+        missingDirs.unshift(dir);
+    }
+
+    missingDirs.forEach(dir => fs.mkdirSync(dir));
+    fs.writeFileSync(filePath, contents);
+}
+
+// Source of a reporter that prints the name of the reporter followed by the number of issues in every file
+function createReporterSource(name) {
+    return `module.exports = {
+    reportFatal(message) { process.stderr.write(message); },
+    reportInternal() {},
+    report(filename, sourceCode, lintErrors) { this.output.write("${name}:" + lintErrors.length + "\\n"); }
+};
+`;
+}
+
+
+describe("Test CLI", function() {
+
+    // Every test spawns the CLI a few times
+    this.timeout(20000);
+
+    let tmpDir;
+
+    // The empty block is reported on the line after the string literal that quotes fixes
+    let sourceCode = [
+            "pragma solidity ^0.4.0;",
+            "",
+            "contract Foo {",
+            "    function bar() {",
+            "        string memory s = 'hello';",
+            "        if (s) {}",
+            "    }",
+            "}",
+            ""
+        ].join("\n"),
+        fixedSourceCode = sourceCode.replace("'hello'", "\"hello\"");
+
+    beforeEach(function(done) {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "solium-cli-"));
+
+        fs.writeFileSync(path.join(tmpDir, ".soliumrc.json"), JSON.stringify({
+            rules: { "quotes": "error", "no-empty-blocks": "error" }
+        }));
+
+        done();
+    });
+
+    afterEach(function(done) {
+        removeDir(tmpDir);
+        done();
+    });
+
+    it("should match the baseline against the fixed source code when using --fix with --baseline", function(done) {
+        let filePath = path.join(tmpDir, "Foo.sol");
+
+        // Record the issue that remains after fixing
+        fs.writeFileSync(filePath, fixedSourceCode);
+        runSolium(tmpDir, ["-f", "Foo.sol", "--write-baseline"]).status.should.equal(0);
+
+        fs.writeFileSync(filePath, sourceCode);
+
+        let result = runSolium(tmpDir, ["-f", "Foo.sol", "--fix", "--baseline", "-R", "json"]);
+
+        result.status.should.equal(0);
+        JSON.parse(result.stdout).files [0].messages.should.eql([]);
+        fs.readFileSync(filePath, "utf8").should.equal(fixedSourceCode);
+
+        done();
+    });
+
+    it("should record the issues of the fixed source code when using --fix with --write-baseline", function(done) {
+        let filePath = path.join(tmpDir, "Foo.sol");
+
+        fs.writeFileSync(filePath, sourceCode);
+        runSolium(tmpDir, ["-f", "Foo.sol", "--fix", "--write-baseline"]).status.should.equal(0);
+        fs.readFileSync(filePath, "utf8").should.equal(fixedSourceCode);
+
+        let result = runSolium(tmpDir, ["-f", "Foo.sol", "--baseline", "-R", "json"]);
+
+        result.status.should.equal(0);
+        JSON.parse(result.stdout).summary.errorCount.should.equal(0);
+
+        done();
+    });
+
+    it("should warn about fixes that undo each other in every file linted with --fix", function(done) {
+        let contract = "pragma solidity ^0.4.0;\n\ncontract Foo {\n    constructor() public {}\n    function() payable {}\n}\n";
+
+        // file-layout wants the constructor first, function-order the fallback function
+        fs.writeFileSync(path.join(tmpDir, ".soliumrc.json"), JSON.stringify({
+            rules: {
+                "file-layout": "error",
+                "function-order": ["error", { order: ["fallback", "constructor", "external", "public"] }]
+            }
+        }));
+
+        fs.writeFileSync(path.join(tmpDir, "A.sol"), contract);
+        fs.writeFileSync(path.join(tmpDir, "B.sol"), contract);
+
+        let result = runSolium(tmpDir, ["-d", ".", "--fix", "-R", "json"]), report = JSON.parse(result.stdout);
+
+        report.files.map(file => path.basename(file.filename)).sort().should.eql(["A.sol", "B.sol"]);
+        report.files.forEach(function(file) {
+            file.messages.filter(m => m.type === "warning").map(m => [m.ruleName, m.message]).should.eql([
+                ["file-layout", "Stopped applying the fixes of this rule since they undo the fixes of \"function-order\"."],
+                ["function-order", "Stopped applying the fixes of this rule since they undo the fixes of \"file-layout\"."]
+            ]);
+        });
+
+        fs.readFileSync(path.join(tmpDir, "B.sol"), "utf8").should.equal(contract);
+
+        done();
+    });
+
+    it("should apply --rule after the overrides blocks but reject commandline rules in soliumrc files", function(done) {
+        fs.writeFileSync(path.join(tmpDir, "Foo.sol"), sourceCode);
+        fs.writeFileSync(path.join(tmpDir, ".soliumrc.json"), JSON.stringify({
+            rules: { "quotes": "error" },
+            overrides: [{ files: "Foo.sol", rules: { "quotes": "off", "no-empty-blocks": "error" } }]
+        }));
+
+        let result = runSolium(tmpDir, ["-f", "Foo.sol", "--rule", "quotes: \"warning\"", "-R", "json"]);
+
+        JSON.parse(result.stdout).files [0].messages.map(m => [m.ruleName, m.type]).should.eql([
+            ["quotes", "warning"], ["no-empty-blocks", "error"]
+        ]);
+
+        // Rules supplied via commandline aren't part of the soliumrc format
+        fs.writeFileSync(path.join(tmpDir, ".soliumrc.json"), JSON.stringify({
+            rules: {}, options: { commandlineRules: { "quotes": "error" } }
+        }));
+
+        result = runSolium(tmpDir, ["-f", "Foo.sol"]);
+        result.status.should.equal(3);
+        result.stderr.should.match(/does not contain a valid configuration/);
+
+        done();
+    });
+
+    it("should merge the soliumrc files of a file's ancestry but reject a cascade written in one", function(done) {
+        writeFile(path.join(tmpDir, "sub", "Foo.sol"), sourceCode);
+        writeFile(path.join(tmpDir, "sub", ".soliumrc.json"), JSON.stringify({ rules: { "quotes": "warning" } }));
+
+        let result = runSolium(tmpDir, ["-f", "sub/Foo.sol", "-R", "json"]);
+
+        JSON.parse(result.stdout).files [0].messages.map(m => [m.ruleName, m.type]).should.eql([
+            ["quotes", "warning"], ["no-empty-blocks", "error"]
+        ]);
+
+        let description = JSON.parse(runSolium(tmpDir, ["--print-config", "sub/Foo.sol"]).stdout);
+
+        description.configFiles.map(configFile => configFile.file).should.eql([".soliumrc.json", "sub/.soliumrc.json"]);
+        description.rules.quotes.source.should.equal("sub/.soliumrc.json:rules");
+
+        fs.writeFileSync(path.join(tmpDir, "sub", ".soliumrc.json"), JSON.stringify({
+            cascade: [{ file: ".soliumrc.json", rules: { "quotes": "off" } }]
+        }));
+
+        result = runSolium(tmpDir, ["-f", "sub/Foo.sol"]);
+        result.status.should.equal(3);
+        result.stderr.should.match(/does not contain a valid configuration/);
+
+        done();
+    });
+
+    it("should keep the diff of --fix-dry-run out of the output of machine-readable reporters", function(done) {
+        let filePath = path.join(tmpDir, "Foo.sol"), diffPath = path.join(tmpDir, "fixes.diff");
+
+        fs.writeFileSync(filePath, sourceCode);
+
+        let result = runSolium(tmpDir, ["-f", "Foo.sol", "--fix-dry-run", "-R", "json"]);
+
+        result.status.should.equal(5);
+        result.stdout.should.equal("");
+        result.stderr.should.match(/--diff-file/);
+
+        result = runSolium(tmpDir, ["-f", "Foo.sol", "--fix-dry-run", "--diff-file", "fixes.diff", "-R", "json"]);
+
+        let report = JSON.parse(result.stdout);
+
+        report.files [0].fixesApplied.should.equal(1);
+        report.files [0].messages.map(m => m.ruleName).should.eql(["no-empty-blocks"]);
+        fs.readFileSync(diffPath, "utf8").should.match(/^- {8}string memory s = 'hello';$/m);
+        fs.readFileSync(filePath, "utf8").should.equal(sourceCode);
+
+        // The diff can be printed on stdout if the report is written to a file
+        result = runSolium(tmpDir, ["-f", "Foo.sol", "--fix-dry-run", "-R", "json:report.json"]);
+
+        result.stdout.should.match(/^\+ {8}string memory s = "hello";$/m);
+        JSON.parse(fs.readFileSync(path.join(tmpDir, "report.json"), "utf8")).files.should.have.length(1);
+
+        runSolium(tmpDir, ["-f", "Foo.sol", "--diff-file", "fixes.diff"]).status.should.equal(5);
+
+        done();
+    });
+
+    describe("--reporter", function() {
+
+        beforeEach(function(done) {
+            fs.writeFileSync(path.join(tmpDir, "Foo.sol"), sourceCode);
+            done();
+        });
+
+        it("should load reporters from files & installed packages", function(done) {
+            let env = Object.assign({}, process.env, { NODE_PATH: path.join(tmpDir, "node_modules") });
+
+            writeFile(path.join(tmpDir, "tools", "local.js"), createReporterSource("local"));
+            writeFile(path.join(tmpDir, "node_modules", "solium-reporter-foo", "index.js"), createReporterSource("foo"));
+            writeFile(
+                path.join(tmpDir, "node_modules", "@acme", "solium-reporter-bar", "index.js"), createReporterSource("bar")
+            );
+
+            let run = reporter => runSolium(tmpDir, ["-f", "Foo.sol", "-R", reporter], { env }).stdout;
+
+            // Paths are resolved relative to the current directory
+            run("./tools/local.js").should.equal("local:2\n");
+            run(path.join(tmpDir, "tools", "local.js")).should.equal("local:2\n");
+
+            // The "solium-reporter-" prefix is added to package names that don't have it, unless they're scoped
+            run("foo").should.equal("foo:2\n");
+            run("solium-reporter-foo").should.equal("foo:2\n");
+            run("@acme/solium-reporter-bar").should.equal("bar:2\n");
+
+            done();
+        });
+
+        it("should exit with an error if a reporter can't be loaded", function(done) {
+            let env = Object.assign({}, process.env, { NODE_PATH: path.join(tmpDir, "node_modules") });
+
+            writeFile(path.join(tmpDir, "tools", "broken.js"), "require(\"solium-nonexistent-dependency\");\n");
+            writeFile(path.join(tmpDir, "node_modules", "solium-reporter-invalid", "index.js"), "module.exports = {};\n");
+
+            let run = reporter => runSolium(tmpDir, ["-f", "Foo.sol", "-R", reporter], { env }), result;
+
+            result = run("nonexistent");
+            result.status.should.equal(5);
+            result.stderr.should.match(/Invalid reporter "nonexistent"\. Valid reporters are "checkstyle", /);
+            result.stderr.should.match(/npm install solium-reporter-nonexistent/);
+
+            result = run("./tools/nonexistent.js");
+            result.status.should.equal(5);
+            result.stderr.should.containEql(`No file was found at ${path.join(tmpDir, "tools", "nonexistent.js")}`);
+
+            // A missing dependency of the reporter isn't mistaken for a missing reporter
+            result = run("./tools/broken.js");
+            result.status.should.equal(5);
+            result.stderr.should.match(/An error occured while loading reporter "\.\/tools\/broken\.js": /);
+            result.stderr.should.match(/solium-nonexistent-dependency/);
+
+            result = run("invalid");
+            result.status.should.equal(5);
+            result.stderr.should.match(/"solium-reporter-invalid" is not a valid reporter\. AJV message:/);
+
+            done();
+        });
+
+        it("should write the output of reporters to the specified files", function(done) {
+            let result = runSolium(tmpDir, ["-f", "Foo.sol", "-R", "json:reports/out/solium.json", "-R", "gcc:"]);
+
+            // An empty file path means stdout
+            result.stdout.should.match(/^Foo\.sol:6:15: error: /m);
+            JSON.parse(fs.readFileSync(path.join(tmpDir, "reports", "out", "solium.json"), "utf8"))
+                .summary.errorCount.should.equal(2);
+
+            result = runSolium(tmpDir, ["-f", "Foo.sol", "-R", "json:out.json", "-R", "checkstyle:./out.json"]);
+            result.status.should.equal(5);
+            result.stderr.should.match(/Multiple reporters cannot write to the same file \.\/out\.json/);
+
+            done();
+        });
+
+        it("should not mistake the drive letter of a windows path for the separator of the output file", function(done) {
+            let result = runSolium(tmpDir, ["-f", "Foo.sol", "-R", "C:\\reporters\\foo.js:out.txt"]);
+
+            result.status.should.equal(5);
+            result.stderr.should.match(/Invalid reporter "C:\\reporters\\foo\.js"\./);
+
+            result = runSolium(tmpDir, ["-f", "Foo.sol", "-R", "c:/reporters/foo.js"]);
+
+            result.status.should.equal(5);
+            result.stderr.should.match(/Invalid reporter "c:\/reporters\/foo\.js"\./);
+
+            done();
+        });
+
+    });
+
+});
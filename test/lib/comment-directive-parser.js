@@ -31,10 +31,11 @@ describe("comment-directive-parser", () => {
         const invalidArgError = "First argument should be an array of comment tokens.";
 
         (myCdp instanceof CommentDirectiveParser).should.be.true();
-        myCdp.should.have.size(4);  // changes when properties are added/removed
+        myCdp.should.have.size(5);  // changes when properties are added/removed
+        myCdp.should.have.ownProperty("sourceCode");
         myCdp.should.have.ownProperty("lastLine");
         myCdp.should.have.ownProperty("commentTokens");
-        myCdp.should.have.ownProperty("lineConfigurations");
+        myCdp.should.have.ownProperty("directives");
         myCdp.should.have.ownProperty("ALL_RULES");
 
 
@@ -54,12 +55,17 @@ describe("comment-directive-parser", () => {
         const cdp = new CommentDirectiveParser(AST.comments, AST);
 
         cdp.isRuleEnabledOnLine.should.be.type("function");
-        cdp._constructLineConfigurations.should.be.type("function");
-        cdp._addRulesToLineConfig.should.be.type("function");
-        cdp._constructLineConfigurationFromComment.should.be.type("function");
+        cdp.getDirectives.should.be.type("function");
+        cdp.getUnusedDisableDirectives.should.be.type("function");
+        cdp.getConfigDirectives.should.be.type("function");
+        cdp._parseRuleConfigs.should.be.type("function");
+        cdp._toPublicDirective.should.be.type("function");
+        cdp._constructDirectives.should.be.type("function");
+        cdp._parseDirectiveFromComment.should.be.type("function");
+        cdp._findDisablingDirective.should.be.type("function");
         cdp._cleanCommentText.should.be.type("function");
+        cdp._splitReason.should.be.type("function");
         cdp._parseRuleNames.should.be.type("function");
-        cdp._toEndOfFile.should.be.type("function");
 
         done();
     });
@@ -146,14 +152,170 @@ describe("comment-directive-parser", () => {
         });
 
 
-        let counter = 7;
-        cdp.lastLine = 96;
+        const reasons = [
+            [" solium-disable", " solium-disable", null],
+            [" solium-disable foo, bar -- generated code ", " solium-disable foo, bar", "generated code"],
+            [" solium-disable-line -- audited in #42", " solium-disable-line", "audited in #42"],
+            [" solium-disable foo --", " solium-disable foo", null],
+            [" solium-disable foo --- see docs\n", " solium-disable foo", "see docs"],
+            [" solium-disable security/no-low-level-calls", " solium-disable security/no-low-level-calls", null]
+        ];
 
-        cdp._toEndOfFile(counter, currentLine => {
-            currentLine.should.equal(counter++);
+        reasons.forEach(([text, expectedText, expectedReason]) => {
+            cdp._splitReason(text).should.eql([expectedText, expectedReason]);
         });
 
         done();
     });
 
+    it("should disable rules from solium-disable till solium-enable", done => {
+        const code = `
+contract foo {
+    /* solium-disable foo, bar */
+    uint x;
+    // solium-enable foo
+    uint y;
+    /* solium-enable */
+    uint z;
+    // solium-disable
+    uint a;
+    // solium-enable bar
+    uint b;
+}
+`;
+        const AST = solidityParser.parse(code, { comment: true }), cdp = new CommentDirectiveParser(AST.comments, AST, code);
+        const enabledLines = rule => {
+            return Array.from({ length: 13 }, (_, i) => i + 1).filter(line => cdp.isRuleEnabledOnLine(rule, line));
+        };
+
+        enabledLines("foo").should.eql([1, 2, 3, 5, 6, 7, 8, 9]);
+        enabledLines("bar").should.eql([1, 2, 3, 7, 8, 9, 11, 12, 13]);
+        enabledLines("baz").should.eql([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+        done();
+    });
+
+    it("should record every directive along with its reason", done => {
+        const code = `
+contract foo {
+    /* solium-disable foo -- generated code */
+    uint x;   // solium-disable-line bar, baz -- audited
+    // solium-disable-next-line
+    uint y;
+    // solium-enable foo
+    // just a comment
+}
+`;
+        const AST = solidityParser.parse(code, { comment: true }), cdp = new CommentDirectiveParser(AST.comments, AST, code);
+
+        cdp.getDirectives().should.eql([
+            { type: "disable", rules: ["foo"], reason: "generated code", line: 3, column: 4 },
+            { type: "disable-line", rules: ["bar", "baz"], reason: "audited", line: 4, column: 14 },
+            { type: "disable-next-line", rules: "all", reason: null, line: 5, column: 4 },
+            { type: "enable", rules: ["foo"], reason: null, line: 7, column: 4 }
+        ]);
+
+        // Reasons don't become part of the rule names
+        cdp.isRuleEnabledOnLine("foo", 4).should.equal(false);
+        cdp.isRuleEnabledOnLine("baz", 4).should.equal(false);
+        cdp.isRuleEnabledOnLine("foo", 7).should.equal(true);
+
+        done();
+    });
+
+    it("should record which disabling directives were used", done => {
+        const code = `
+contract foo {
+    /* solium-disable foo */
+    uint x;   // solium-disable-line bar, baz
+    // solium-disable-next-line
+    uint y;
+    // solium-enable foo
+    uint z;   // solium-disable-line
+}
+`;
+        const AST = solidityParser.parse(code, { comment: true }), cdp = new CommentDirectiveParser(AST.comments, AST, code);
+        const unusedEntries = () => {
+            return cdp.getUnusedDisableDirectives().map(({ directive, ruleName }) => [directive.type, directive.line, ruleName]);
+        };
+
+        unusedEntries().should.eql([
+            ["disable", 3, "foo"],
+            ["disable-line", 4, "bar"],
+            ["disable-line", 4, "baz"],
+            ["disable-next-line", 5, null],
+            ["disable-line", 8, null]
+        ]);
+
+        // Line directives take precedence over solium-disable
+        cdp.isRuleEnabledOnLine("baz", 4).should.equal(false);
+        cdp.isRuleEnabledOnLine("foo", 6).should.equal(false);
+        cdp.isRuleEnabledOnLine("qux", 4).should.equal(true);
+        cdp.isRuleEnabledOnLine("qux", 6).should.equal(false);
+
+        unusedEntries().should.eql([
+            ["disable", 3, "foo"],
+            ["disable-line", 4, "bar"],
+            ["disable-line", 8, null]
+        ]);
+
+        cdp.isRuleEnabledOnLine("foo", 5).should.equal(false);
+        unusedEntries().should.eql([["disable-line", 4, "bar"], ["disable-line", 8, null]]);
+
+        cdp.getUnusedDisableDirectives() [0].directive.should.eql(
+            { type: "disable-line", rules: ["bar", "baz"], reason: null, line: 4, column: 14 }
+        );
+
+        done();
+    });
+
+    it("should parse configuration comments", done => {
+        const code = `
+/* solium quotes: ["error", "single"], indentation: off, "security/no-throw": 1 -- generated code */
+// solium quotes: "off"
+/* solium
+    max-len: ["warning", {"limit": [80, 120], "ignore": "a, b]"}],
+*/
+contract foo {
+    /* solium quotes: [error */
+    /* solium is great */
+    /* solium quotes: "off, indentation: off */
+    /* solium quotes: ["error", {"avoidEscape": true}]] */
+}
+`;
+        const AST = solidityParser.parse(code, { comment: true }), cdp = new CommentDirectiveParser(AST.comments, AST, code);
+        const configDirectives = cdp.getConfigDirectives();
+
+        // Line comments don't configure rules
+        configDirectives.should.have.size(6);
+
+        configDirectives [0].should.eql({
+            directive: {
+                type: "config", reason: "generated code", line: 2, column: 0,
+                rules: { quotes: ["error", "single"], indentation: "off", "security/no-throw": 1 }
+            },
+            error: null
+        });
+
+        configDirectives [1].directive.line.should.equal(4);
+        configDirectives [1].directive.rules.should.eql({ "max-len": ["warning", { limit: [80, 120], ignore: "a, b]" }] });
+
+        configDirectives [2].directive.rules.should.eql({});
+        configDirectives [2].error.should.equal("Unbalanced brackets or quotes in configuration: quotes: [error");
+        configDirectives [3].error.should.equal("Expected \"<rule name>: <config>\" but found \"is great\".");
+
+        // Unterminated strings & extra brackets don't let any entry go unnoticed
+        configDirectives [4].directive.rules.should.eql({});
+        configDirectives [4].error.should.equal(
+            "Unbalanced brackets or quotes in configuration: quotes: \"off, indentation: off");
+        configDirectives [5].error.should.equal(
+            "Unbalanced brackets or quotes in configuration: quotes: [\"error\", {\"avoidEscape\": true}]]");
+
+        // Configuration comments don't disable anything
+        cdp.isRuleEnabledOnLine("quotes", 9).should.equal(true);
+        cdp.getUnusedDisableDirectives().should.eql([]);
+
+        done();
+    });
+
 });
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Tests for lib/linter.js
+ */
+
+"use strict";
+
+const Linter = require("../../lib/linter"),
+    Solium = require("../../lib/solium"),
+    EventEmitter = require("events").EventEmitter;
+
+
+describe("Test Linter class", () => {
+
+    const quotesConfig = { rules: { quotes: "error" } },
+        indentationConfig = { rules: { indentation: "error" } };
+
+    it("should create linters that are instances of EventEmitter", done => {
+        const linter = new Linter();
+
+        linter.should.be.instanceof(EventEmitter);
+        Object.keys(linter).should.not.containEql("messages");
+
+        ["reset", "lint", "lintAndFix", "report", "reportInternal", "getSourceCode"].forEach(name => {
+            linter [name].should.be.type("function");
+        });
+
+        done();
+    });
+
+    it("should lint using the config supplied to the constructor when lint() isn't supplied one", done => {
+        const linter = new Linter({ config: quotesConfig }), code = "contract Foo {\n    string s = 'hello';\n}\n";
+
+        linter.lint(code).should.have.size(1);
+        linter.lint(code, indentationConfig).should.have.size(0);
+
+        linter.lintAndFix(code).fixedSourceCode.should.equal("contract Foo {\n    string s = \"hello\";\n}\n");
+
+        new Linter().lint.bind(new Linter(), code).should.throw(/A valid configuration object was not passed/);
+
+        done();
+    });
+
+    it("should keep the state of every linter separate", done => {
+        const quotesLinter = new Linter(), indentationLinter = new Linter(),
+            quotesCode = "contract Foo {\n    string s = 'hello';\n}\n",
+            indentationCode = "contract Bar {\n\tuint x;\n}\n";
+
+        // Start linting with one linter & lint using another linter from inside a rule of the first.
+        quotesLinter.on("Program", () => {
+            const errors = indentationLinter.lint(indentationCode, indentationConfig);
+
+            errors.should.have.size(1);
+            errors [0].ruleName.should.equal("indentation");
+            indentationLinter.getSourceCode().text.should.equal(indentationCode);
+        });
+
+        const errors = quotesLinter.lint(quotesCode, quotesConfig, true);
+
+        errors.should.have.size(1);
+        errors [0].ruleName.should.equal("quotes");
+        errors [0].line.should.equal(2);
+        quotesLinter.getSourceCode().text.should.equal(quotesCode);
+
+        // Messages reported to one linter must not appear in another
+        indentationLinter.reportInternal({ type: "warning", message: "hello world" });
+        quotesLinter.lint(quotesCode, quotesConfig).should.have.size(1);
+
+        // Linters must not affect the Solium object
+        Solium.reset();
+        Solium.getSourceCode().text.should.equal("");
+        quotesLinter.getSourceCode().text.should.equal(quotesCode);
+
+        // Every linter provides the comments of the code it linted
+        quotesLinter.lint("// hello\ncontract Foo {}", quotesConfig);
+        quotesLinter.getSourceCode().getComments().should.eql([{ text: "// hello", type: "Line", start: 0, end: 8 }]);
+        indentationLinter.getSourceCode().getComments().should.eql([]);
+        Solium.getSourceCode().getComments().should.eql([]);
+
+        done();
+    });
+
+    it("should respect comment directives of the code being linted by every linter", done => {
+        const linter = new Linter({ config: quotesConfig }), otherLinter = new Linter({ config: quotesConfig }),
+            code = "contract Foo {\n    // solium-disable-next-line\n    string s = 'hello';\n}\n",
+            otherCode = "contract Bar {\n    string s = 'hello';\n    string t = 'world';\n}\n";
+
+        linter.on("Program", () => {
+            otherLinter.lint(otherCode).should.have.size(2);
+        });
+
+        linter.lint(code, quotesConfig, true).should.have.size(0);
+
+        done();
+    });
+
+    it("should lint & fix the code repeatedly until no more fixes can be applied", done => {
+        const linter = new Linter(),
+            code = "pragma solidity ^0.4.0;\n\n\ncontract A {}\n\nimport 'x.sol';\n",
+            config = { rules: { quotes: "error", "imports-on-top": "error" } };
+
+        // The fix of quotes overlaps the fix of imports-on-top, so it can only be applied in the second pass
+        let result = linter.lintAndFix(code, config);
+
+        result.passes.should.equal(2);
+        result.fixedSourceCode.should.equal("pragma solidity ^0.4.0;\n\n\nimport \"x.sol\";\n\n\ncontract A {}\n\n\n");
+        result.fixesApplied.should.have.size(2);
+        result.fixesAppliedPerRule.should.eql({ "imports-on-top": 1, quotes: 1 });
+        result.errorMessages.should.have.size(0);
+
+        result = linter.lintAndFix(code, Object.assign({ options: { maxFixPasses: 1 } }, config));
+
+        result.passes.should.equal(1);
+        result.fixesAppliedPerRule.should.eql({ "imports-on-top": 1 });
+        result.errorMessages.should.have.size(1);
+        result.errorMessages [0].ruleName.should.equal("quotes");
+        result.errorMessages [0].line.should.equal(4);
+
+        linter.lintAndFix.bind(linter, code, Object.assign({ options: { maxFixPasses: 0 } }, config))
+            .should.throw(/A valid configuration object was not passed/);
+
+        done();
+    });
+
+    it("should only apply fixes of the rules & rule types specified in the config's options", done => {
+        const linter = new Linter(),
+            code = "pragma solidity ^0.4.0;\n\n\ncontract A {}\n\nimport 'x.sol';\n",
+            rules = { quotes: "error", "imports-on-top": "error" };
+
+        let result = linter.lintAndFix(code, { rules, options: { fixRules: ["quotes"] } });
+
+        result.fixesAppliedPerRule.should.eql({ quotes: 1 });
+        result.fixedSourceCode.should.equal("pragma solidity ^0.4.0;\n\n\ncontract A {}\n\nimport \"x.sol\";\n");
+        result.errorMessages.should.have.size(1);
+        result.errorMessages [0].ruleName.should.equal("imports-on-top");
+
+        // quotes supplies layout fixes, imports-on-top supplies suggestions
+        result = linter.lintAndFix(code, { rules, options: { fixTypes: ["suggestion"] } });
+
+        result.fixesAppliedPerRule.should.eql({ "imports-on-top": 1 });
+        result.errorMessages.should.have.size(1);
+        result.errorMessages [0].ruleName.should.equal("quotes");
+
+        result = linter.lintAndFix(code, { rules, options: { fixRules: ["quotes"], fixTypes: ["suggestion"] } });
+
+        result.fixesApplied.should.have.size(0);
+        result.fixedSourceCode.should.equal(code);
+        result.errorMessages.should.have.size(2);
+
+        linter.lintAndFix.bind(linter, code, { rules, options: { fixTypes: ["cosmetic"] } })
+            .should.throw(/A valid configuration object was not passed/);
+
+        done();
+    });
+
+    it("should select the fixes of core rules by their type", done => {
+        const linter = new Linter(),
+            code = "pragma solidity ^0.4.0;\n\n\ncontract A {\n    function f() {\n        suicide(msg.sender);\n    }\n}\n\nimport 'x.sol';\n",
+            rules = { quotes: "error", "imports-on-top": "error", "deprecated-suicide": "error" };
+
+        const fixesOfTypes = fixTypes => linter.lintAndFix(code, { rules, options: { fixTypes } }).fixesAppliedPerRule;
+
+        fixesOfTypes(["problem"]).should.eql({ "deprecated-suicide": 1 });
+        fixesOfTypes(["suggestion"]).should.eql({ "imports-on-top": 1 });
+        fixesOfTypes(["layout"]).should.eql({ quotes: 1 });
+        fixesOfTypes(["problem", "layout"]).should.eql({ "deprecated-suicide": 1, quotes: 1 });
+
+        done();
+    });
+
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests for lib/reporters/checkstyle.js
+ */
+
+"use strict";
+
+let checkstyle = require("../../../lib/reporters/checkstyle");
+
+
+/**
+ * Create an instance of the reporter whose output & internal issues are captured instead of being written out.
+ * @returns {Object} reporter The reporter. Its output is available as reporter.output.text and
+ * its internal issues as reporter.internalIssues.
+ */
+function createReporter() {
+    let output = {
+        text: "",
+        write(chunk) {
+            this.text += chunk;
+            return true;
+        }
+    };
+
+    let reporter = Object.create(checkstyle, { output: { value: output }, internalIssues: { value: [] } });
+
+    reporter.reportInternal = function(message) {
+        this.internalIssues.push(message);
+    };
+
+    return reporter;
+}
+
+
+describe("Test checkstyle reporter", function() {
+
+    let sourceCode = "contract Foo {\n  string s = 'x';\n}\n";
+
+    it("should ask to be told about files without issues", function(done) {
+        checkstyle.reportsCleanFiles.should.equal(true);
+        done();
+    });
+
+    it("should report every file as a file element & every issue as an error element", function(done) {
+        let reporter = createReporter();
+
+        reporter.report("contracts/Foo&Bar.sol", sourceCode, [
+            { type: "error", message: "Internal error", internal: true, line: -1, column: -1 },
+            {
+                ruleName: "quotes", type: "error", message: "'x': Use \"double\" quotes & <nothing> else.",
+                line: 2, column: 13
+            },
+            { ruleName: "indentation", type: "warning", message: "Only use indent of 4 spaces.", line: 2, column: 0 }
+        ]);
+        reporter.report("contracts/Clean.sol", sourceCode, []);
+        reporter.finalize();
+
+        // Columns start from 1
+        reporter.output.text.should.equal([
+            "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+            "<checkstyle version=\"4.3\">",
+            "  <file name=\"contracts/Foo&amp;Bar.sol\">",
+            "    <error line=\"2\" column=\"14\" severity=\"error\" " +
+                "message=\"&apos;x&apos;: Use &quot;double&quot; quotes &amp; &lt;nothing&gt; else.\" source=\"quotes\" />",
+            "    <error line=\"2\" column=\"1\" severity=\"warning\" " +
+                "message=\"Only use indent of 4 spaces.\" source=\"indentation\" />",
+            "  </file>",
+            "  <file name=\"contracts/Clean.sol\">",
+            "  </file>",
+            "</checkstyle>",
+            ""
+        ].join("\n"));
+
+        // Internal issues are kept out of the XML
+        reporter.internalIssues.should.eql(["Internal error"]);
+
+        done();
+    });
+
+});
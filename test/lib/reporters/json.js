@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Tests for lib/reporters/json.js
+ */
+
+"use strict";
+
+let json = require("../../../lib/reporters/json");
+
+
+/**
+ * Create an instance of the reporter whose output is captured instead of being written to stdout.
+ * @returns {Object} reporter The reporter, whose output is available as reporter.output.text
+ */
+function createReporter() {
+    let output = {
+        text: "",
+        write(chunk) {
+            this.text += chunk;
+            return true;
+        }
+    };
+
+    return Object.create(json, { output: { value: output } });
+}
+
+
+describe("Test json reporter", function() {
+
+    let sourceCode = "contract Foo {\n  string s = 'x';\n}\n";
+
+    it("should ask to be told about files without issues", function(done) {
+        json.reportsCleanFiles.should.equal(true);
+        done();
+    });
+
+    it("should report all files, their issues & summary counts as a single JSON document", function(done) {
+        let reporter = createReporter();
+
+        reporter.reportInternal("Rule \"double-quotes\" is deprecated.");
+        reporter.report("Foo.sol", sourceCode, [
+            { type: "warning", message: "Internal warning", internal: true, line: -1, column: -1 },
+            {
+                ruleName: "quotes", type: "error", message: "Use \"double\" quotes & <nothing> else.",
+                line: 2, column: 13, node: { type: "Literal" }, fix: { range: [28, 31], text: "\"x\"" }
+            },
+            { ruleName: "indentation", type: "warning", message: "Only use indent of 4 spaces.", line: 2, column: 0 }
+        ]);
+        reporter.report("Bar.sol", sourceCode, []);
+
+        // Nothing is written until the run ends
+        reporter.output.text.should.equal("");
+        reporter.finalize();
+
+        JSON.parse(reporter.output.text).should.eql({
+            files: [
+                {
+                    filename: "Foo.sol",
+                    messages: [
+                        {
+                            ruleName: "quotes", type: "error", message: "Use \"double\" quotes & <nothing> else.",
+                            line: 2, column: 13, fixable: true
+                        },
+                        {
+                            ruleName: "indentation", type: "warning", message: "Only use indent of 4 spaces.",
+                            line: 2, column: 0, fixable: false
+                        }
+                    ],
+                    errorCount: 1,
+                    warningCount: 1
+                },
+                { filename: "Bar.sol", messages: [], errorCount: 0, warningCount: 0 }
+            ],
+            internalIssues: [
+                { type: "warning", message: "Rule \"double-quotes\" is deprecated." },
+                { type: "warning", message: "Internal warning" }
+            ],
+            summary: { fileCount: 2, errorCount: 1, warningCount: 1, fixableCount: 1 }
+        });
+
+        done();
+    });
+
+    it("should include the number of fixes applied when autofixing", function(done) {
+        let reporter = createReporter();
+
+        reporter.report("Foo.sol", sourceCode, [], [{ ruleName: "quotes" }, { ruleName: "quotes" }]);
+        reporter.report("Bar.sol", sourceCode, [
+            { ruleName: "indentation", type: "error", message: "Only use indent of 4 spaces.", line: 2, column: 0 }
+        ], []);
+        reporter.finalize();
+
+        let report = JSON.parse(reporter.output.text);
+
+        report.files.map(file => file.fixesApplied).should.eql([2, 0]);
+        report.summary.should.eql({ fileCount: 2, errorCount: 1, warningCount: 0, fixableCount: 0, fixesApplied: 2 });
+
+        // State is reset once the report is written
+        reporter.output.text = "";
+        reporter.finalize();
+        JSON.parse(reporter.output.text).summary.fileCount.should.equal(0);
+
+        done();
+    });
+
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Tests for lib/reporters/junit.js
+ */
+
+"use strict";
+
+let junit = require("../../../lib/reporters/junit");
+
+
+/**
+ * Create an instance of the reporter whose output & internal issues are captured instead of being written out.
+ * @returns {Object} reporter The reporter. Its output is available as reporter.output.text and
+ * its internal issues as reporter.internalIssues.
+ */
+function createReporter() {
+    let output = {
+        text: "",
+        write(chunk) {
+            this.text += chunk;
+            return true;
+        }
+    };
+
+    let reporter = Object.create(junit, { output: { value: output }, internalIssues: { value: [] } });
+
+    reporter.reportInternal = function(message) {
+        this.internalIssues.push(message);
+    };
+
+    return reporter;
+}
+
+
+describe("Test junit reporter", function() {
+
+    let sourceCode = "contract Foo {\n  string s = 'x';\n}\n";
+
+    it("should ask to be told about files without issues", function(done) {
+        junit.reportsCleanFiles.should.equal(true);
+        done();
+    });
+
+    it("should report every file as a testsuite & every issue as a failing testcase", function(done) {
+        let reporter = createReporter();
+
+        reporter.report("contracts/Foo&Bar.sol", sourceCode, [
+            { type: "warning", message: "Internal warning", internal: true, line: -1, column: -1 },
+            {
+                ruleName: "quotes", type: "error", message: "'x': Use \"double\" quotes & <nothing> else.",
+                line: 2, column: 13
+            },
+            { ruleName: "indentation", type: "warning", message: "Only use indent of 4 spaces.", line: 2, column: 0 }
+        ]);
+        reporter.report("contracts/Clean.sol", sourceCode, []);
+        reporter.finalize();
+
+        reporter.output.text.should.equal([
+            "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+            "<testsuites name=\"Solium\" tests=\"3\" failures=\"2\" errors=\"0\">",
+            "  <testsuite name=\"contracts/Foo&amp;Bar.sol\" tests=\"2\" failures=\"2\" errors=\"0\">",
+            "    <testcase classname=\"contracts/Foo&amp;Bar.sol\" name=\"quotes\" time=\"0\">",
+            "      <failure type=\"error\" message=\"&apos;x&apos;: Use &quot;double&quot; quotes &amp; &lt;nothing&gt; else.\">" +
+                "contracts/Foo&amp;Bar.sol:2:13: error: &apos;x&apos;: Use &quot;double&quot; quotes &amp; &lt;nothing&gt; else. " +
+                "[quotes]</failure>",
+            "    </testcase>",
+            "    <testcase classname=\"contracts/Foo&amp;Bar.sol\" name=\"indentation\" time=\"0\">",
+            "      <failure type=\"warning\" message=\"Only use indent of 4 spaces.\">" +
+                "contracts/Foo&amp;Bar.sol:2:0: warning: Only use indent of 4 spaces. [indentation]</failure>",
+            "    </testcase>",
+            "  </testsuite>",
+            "  <testsuite name=\"contracts/Clean.sol\" tests=\"1\" failures=\"0\" errors=\"0\">",
+            "    <testcase classname=\"contracts/Clean.sol\" name=\"solium\" time=\"0\" />",
+            "  </testsuite>",
+            "</testsuites>",
+            ""
+        ].join("\n"));
+
+        // Internal issues are kept out of the XML
+        reporter.internalIssues.should.eql(["Internal warning"]);
+
+        done();
+    });
+
+    it("should report an empty list of testsuites if no files were linted", function(done) {
+        let reporter = createReporter();
+
+        reporter.finalize();
+        reporter.output.text.should.equal(
+            "<?xml version=\"1.0\" encoding=\"utf-8\"?>\n" +
+            "<testsuites name=\"Solium\" tests=\"0\" failures=\"0\" errors=\"0\">\n" +
+            "</testsuites>\n"
+        );
+
+        done();
+    });
+
+});
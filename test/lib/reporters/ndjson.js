@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for lib/reporters/ndjson.js
+ */
+
+"use strict";
+
+let ndjson = require("../../../lib/reporters/ndjson");
+
+
+/**
+ * Create an instance of the reporter whose output is captured instead of being written to stdout.
+ * @returns {Object} reporter The reporter, whose output is available as reporter.output.text
+ */
+function createReporter() {
+    let output = {
+        text: "",
+        write(chunk) {
+            this.text += chunk;
+            return true;
+        }
+    };
+
+    return Object.create(ndjson, { output: { value: output } });
+}
+
+
+describe("Test ndjson reporter", function() {
+
+    it("should write every issue as a JSON object on its own line as soon as it is reported", function(done) {
+        let reporter = createReporter();
+
+        reporter.reportInternal("Rule \"double-quotes\" is deprecated.");
+        reporter.report("Foo.sol", "contract Foo {\n  string s = 'x';\n}\n", [
+            { type: "error", message: "Internal error", internal: true, line: -1, column: -1 },
+            {
+                ruleName: "quotes", type: "error", message: "Use \"double\" quotes\nonly.",
+                line: 2, column: 13, node: { type: "Literal" }, fix: { range: [28, 31], text: "\"x\"" }
+            },
+            { ruleName: "indentation", type: "warning", message: "Only use indent of 4 spaces.", line: 2, column: 0 }
+        ]);
+
+        let lines = reporter.output.text.split("\n");
+
+        lines.should.have.size(5);
+        lines [4].should.equal("");
+
+        lines.slice(0, 4).map(line => JSON.parse(line)).should.eql([
+            { internal: true, type: "warning", message: "Rule \"double-quotes\" is deprecated." },
+            { internal: true, type: "error", message: "Internal error" },
+            {
+                filename: "Foo.sol", ruleName: "quotes", type: "error", message: "Use \"double\" quotes\nonly.",
+                line: 2, column: 13, fixable: true
+            },
+            {
+                filename: "Foo.sol", ruleName: "indentation", type: "warning", message: "Only use indent of 4 spaces.",
+                line: 2, column: 0, fixable: false
+            }
+        ]);
+
+        done();
+    });
+
+});
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Tests for lib/reporters/sarif.js
+ */
+
+"use strict";
+
+let path = require("path"),
+    sarif = require("../../../lib/reporters/sarif"),
+    version = require("../../../package.json").version;
+
+
+/**
+ * Create an instance of the reporter whose output is captured instead of being written to stdout.
+ * @returns {Object} reporter The reporter, whose output is available as reporter.output.text
+ */
+function createReporter() {
+    let output = {
+        text: "",
+        write(chunk) {
+            this.text += chunk;
+            return true;
+        }
+    };
+
+    return Object.create(sarif, { output: { value: output } });
+}
+
+
+describe("Test sarif reporter", function() {
+
+    let sourceCode = "contract Foo {\n  string s = 'x';\n  string t = 'y';\n}\n";
+
+    it("should report all issues as a SARIF log", function(done) {
+        let reporter = createReporter(), filename = path.join(process.cwd(), "contracts", "My Foo.sol");
+
+        reporter.reportInternal("Rule \"double-quotes\" is deprecated.");
+        reporter.report(filename, sourceCode, [
+            { type: "warning", message: "Stopped linting after 100 issues.", internal: true, line: -1, column: -1 },
+            { ruleName: "", type: "error", message: "Syntax error: unexpected token }", line: 4, column: 0 },
+            {
+                ruleName: "quotes", type: "error", message: "'x': String literal must be quoted with double quotes.",
+                line: 2, column: 13, fix: { range: [28, 31], text: "\"x\"" }
+            },
+            { ruleName: "indentation", type: "warning", message: "Only use indent of 4 spaces.", line: 3, column: 0 },
+            {
+                ruleName: "quotes", type: "error", message: "'y': String literal must be quoted with double quotes.",
+                line: 3, column: 13, fix: [{ range: [44, 45], text: "\"" }, { range: [46, 47], text: "\"" }]
+            }
+        ]);
+        reporter.finalize();
+
+        let log = JSON.parse(reporter.output.text), uri = "contracts/My%20Foo.sol";
+
+        log.$schema.should.equal("https://json.schemastore.org/sarif-2.1.0.json");
+        log.version.should.equal("2.1.0");
+        log.runs.should.have.size(1);
+
+        let run = log.runs [0];
+
+        run.tool.driver.name.should.equal("Solium");
+        run.tool.driver.version.should.equal(version);
+        run.tool.driver.rules.should.eql([
+            {
+                id: "quotes",
+                shortDescription: { text: "Ensure that all strings use only 1 style - either double quotes or single quotes." },
+                defaultConfiguration: { level: "error" },
+                properties: { recommended: true }
+            },
+            {
+                id: "indentation",
+                shortDescription: { text: "Ensure consistent indentation per level (4 spaces by default)" },
+                defaultConfiguration: { level: "warning" },
+                properties: { recommended: true }
+            }
+        ]);
+
+        // Internal issues aren't results
+        run.invocations.should.eql([{
+            executionSuccessful: true,
+            toolExecutionNotifications: [
+                { level: "warning", message: { text: "Rule \"double-quotes\" is deprecated." } },
+                { level: "warning", message: { text: "Stopped linting after 100 issues." } }
+            ]
+        }]);
+
+        function location(line, column) {
+            return [{ physicalLocation: { artifactLocation: { uri }, region: { startLine: line, startColumn: column } } }];
+        }
+
+        run.results.should.eql([
+            {
+                level: "error",
+                message: { text: "Syntax error: unexpected token }" },
+                locations: location(4, 1)
+            },
+            {
+                ruleId: "quotes",
+                ruleIndex: 0,
+                level: "error",
+                message: { text: "'x': String literal must be quoted with double quotes." },
+                locations: location(2, 14),
+                fixes: [{
+                    artifactChanges: [{
+                        artifactLocation: { uri },
+                        replacements: [{ deletedRegion: { charOffset: 28, charLength: 3 }, insertedContent: { text: "\"x\"" } }]
+                    }]
+                }]
+            },
+            {
+                ruleId: "indentation",
+                ruleIndex: 1,
+                level: "warning",
+                message: { text: "Only use indent of 4 spaces." },
+                locations: location(3, 1)
+            },
+            {
+                ruleId: "quotes",
+                ruleIndex: 0,
+                level: "error",
+                message: { text: "'y': String literal must be quoted with double quotes." },
+                locations: location(3, 14),
+                fixes: [{
+                    artifactChanges: [{
+                        artifactLocation: { uri },
+                        replacements: [
+                            { deletedRegion: { charOffset: 44, charLength: 1 }, insertedContent: { text: "\"" } },
+                            { deletedRegion: { charOffset: 46, charLength: 1 }, insertedContent: { text: "\"" } }
+                        ]
+                    }]
+                }]
+            }
+        ]);
+
+        done();
+    });
+
+    it("should map issues of unknown rules & severities to results without a rule index", function(done) {
+        let reporter = createReporter();
+
+        reporter.report("Foo.sol", sourceCode, [
+            { ruleName: "non-existent-rule", type: "off", message: "Hello", line: 1, column: 0 }
+        ]);
+        reporter.finalize();
+
+        let run = JSON.parse(reporter.output.text).runs [0];
+
+        run.tool.driver.rules.should.eql([]);
+        run.results.should.eql([{
+            ruleId: "non-existent-rule",
+            level: "none",
+            message: { text: "Hello" },
+            locations: [{
+                physicalLocation: { artifactLocation: { uri: "Foo.sol" }, region: { startLine: 1, startColumn: 1 } }
+            }]
+        }]);
+
+        done();
+    });
+
+    it("should start afresh after finalizing", function(done) {
+        let reporter = createReporter();
+
+        reporter.report("Foo.sol", sourceCode, [{ ruleName: "quotes", type: "error", message: "Hi", line: 2, column: 13 }]);
+        reporter.finalize();
+
+        reporter.output.text = "";
+        reporter.finalize();
+
+        let run = JSON.parse(reporter.output.text).runs [0];
+
+        run.tool.driver.rules.should.eql([]);
+        run.results.should.eql([]);
+        run.invocations [0].toolExecutionNotifications.should.eql([]);
+
+        done();
+    });
+
+});
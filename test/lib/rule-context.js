@@ -128,6 +128,22 @@ describe("Testing RuleContext object", function() {
             rcObject,
             {message: "hello", node: sampleNode, fix: "this is a fix!!"}
         ).should.throw();
+        rcObject.report.bind(
+            rcObject,
+            {message: "hello", node: sampleNode, suggest: []}
+        ).should.throw();
+        rcObject.report.bind(
+            rcObject,
+            {message: "hello", node: sampleNode, suggest: [{desc: "foo"}]}
+        ).should.throw();
+        rcObject.report.bind(
+            rcObject,
+            {message: "hello", node: sampleNode, suggest: [{desc: "", fix(fixer) { return null; }}]}
+        ).should.throw();
+        rcObject.report.bind(
+            rcObject,
+            {message: "hello", node: sampleNode, suggest: [{desc: "foo", fix: "this is a fix!!"}]}
+        ).should.throw();
 
         // A minimal valid object should not throw
         rcObject.report.bind(
@@ -145,7 +161,8 @@ describe("Testing RuleContext object", function() {
                     line: 7,
                     column: 56
                 },
-                fix(fixer) { return null; }
+                fix(fixer) { return null; },
+                suggest: [{ desc: "foo", fix(fixer) { return null; } }]
             }
         ).should.not.throw();
 
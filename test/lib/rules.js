@@ -13,7 +13,10 @@ describe("Checking exported rules object", function() {
 
     it("should be an object that exposes a set of functions", function(done) {
         rules.should.be.type("object");
-        rules.should.be.size(5);
+        rules.should.be.size(7);
+
+        rules.should.have.ownProperty("RuleRegistry");
+        rules.RuleRegistry.should.be.type("function");
 
         rules.should.have.ownProperty("loadUsingDeprecatedConfigFormat");
         rules.loadUsingDeprecatedConfigFormat.should.be.type("function");
@@ -30,6 +33,9 @@ describe("Checking exported rules object", function() {
         rules.should.have.ownProperty("getRuleSeverity");
         rules.getRuleSeverity.should.be.type("function");
 
+        rules.should.have.ownProperty("resolveRuleConfigLayers");
+        rules.resolveRuleConfigLayers.should.be.type("function");
+
         done();
     });
 
@@ -212,7 +218,115 @@ describe("Checking exported rules object", function() {
         // We extend ALL solium core rules and eliminate a few by setting their severity to 0.
         // The rest of the rules should all be available.
         // The below count will keep changing with every change in the number of core rules that exist in solium.
-        Object.keys(ruleDescriptions).length.should.equal(28);
+        Object.keys(ruleDescriptions).length.should.equal(31);
+
+        done();
+    });
+
+    it("should resolve rule configs in layers of plugins, extends & rules using resolveRuleConfigLayers()", done => {
+        const config = {
+            "extends": "solium:all",
+            "plugins": ["security"],
+            "rules": {
+                "quotes": ["error", "single"],
+                "security/no-throw": "off"
+            }
+        };
+
+        const layers = rules.resolveRuleConfigLayers(config);
+
+        layers.should.be.Array();
+        layers.should.have.length(3);
+        layers.map(l => l.source).should.eql(["plugin:security", "extends:solium:all", "rules"]);
+
+        layers [0].rules.should.have.ownProperty("security/no-throw");
+        layers [1].rules.should.have.ownProperty("quotes");
+        layers [2].rules.should.eql(config.rules);
+
+        rules.resolveRuleConfigLayers({ rules: {} }).should.eql([]);
+        rules.resolveRuleConfigLayers({ rules: {} }, {}).should.eql([]);
+        rules.resolveRuleConfigLayers({ rules: {} }, { inlineRules: {} }).should.eql([]);
+        rules.resolveRuleConfigLayers(config, { inlineRules: { quotes: "off" } }).map(l => l.source)
+            .should.eql(["plugin:security", "extends:solium:all", "rules", "inline"]);
+        rules.resolveRuleConfigLayers(config, { inlineRules: { quotes: "off" } }) [3].rules.should.eql({ quotes: "off" });
+        rules.resolveRuleConfigLayers({ "extends": "solium:recommended" }).should.have.length(1);
+
+        rules.resolveRuleConfigLayers.bind(rules, { plugins: ["nonexistent-plugin"] }).should.throw();
+        rules.resolveRuleConfigLayers.bind(rules, { "extends": "nonexistent-config" }).should.throw();
+
+        done();
+    });
+
+    it("should apply the overrides blocks matching the file name passed in options", done => {
+        const config = {
+            "rules": {
+                "quotes": "error",
+                "indentation": ["error", 4]
+            },
+            "overrides": [
+                { "files": ["test/**/*.sol", "mocks/*.sol"], "rules": { "quotes": "off" } },
+                { "files": "*.t.sol", "rules": { "indentation": ["warning", "tab"] } },
+                { "files": "test/Foo.t.sol", "rules": { "indentation": "off" } }
+            ]
+        };
+
+        let descs = rules.load(config);
+
+        // Overrides are ignored when no file name is supplied
+        descs.should.have.ownProperty("quotes");
+        descs.indentation.options.should.eql([4]);
+
+        config.options = { filename: "contracts/Token.sol" };
+        descs = rules.load(config);
+        Object.keys(descs).should.eql(["quotes", "indentation"]);
+        descs.indentation.options.should.eql([4]);
+
+        config.options.filename = "mocks/Token.sol";
+        descs = rules.load(config);
+        descs.should.not.have.ownProperty("quotes");
+
+        config.options.filename = "contracts/mocks/Token.sol";
+        rules.load(config).should.have.ownProperty("quotes");
+
+        config.options.filename = "./test/unit/Token.t.sol";
+        descs = rules.load(config);
+        descs.should.not.have.ownProperty("quotes");
+        descs.indentation.type.should.equal("warning");
+        descs.indentation.options.should.eql(["tab"]);
+
+        config.options.filename = "test\\Foo.t.sol";
+        descs = rules.load(config);
+        descs.should.not.have.ownProperty("quotes");
+        descs.should.not.have.ownProperty("indentation");
+
+        rules.resolveRuleConfigLayers(config).map(l => l.source).should.eql(
+            ["rules", "overrides[0]", "overrides[1]", "overrides[2]"]);
+
+        done();
+    });
+
+    it("should apply the rules supplied via commandline after the overrides blocks", done => {
+        const config = {
+            "rules": { "quotes": "error" },
+            "overrides": [
+                { "files": "test/**/*.sol", "rules": { "quotes": "off", "indentation": ["error", 4] } }
+            ],
+            "options": { "filename": "test/Token.sol" }
+        };
+        const commandlineRules = { "quotes": "warning", "indentation": ["error", "tab"] };
+
+        const descs = rules.load(config, false, { commandlineRules });
+
+        descs.quotes.type.should.equal("warning");
+        descs.indentation.options.should.eql(["tab"]);
+
+        rules.resolveRuleConfigLayers(config, { commandlineRules }).map(l => l.source)
+            .should.eql(["rules", "overrides[0]", "commandline"]);
+        rules.resolveRuleConfigLayers(config, { commandlineRules, inlineRules: { quotes: "off" } }).map(l => l.source)
+            .should.eql(["rules", "overrides[0]", "commandline", "inline"]);
+
+        rules.load(config, false, { commandlineRules: {} }).should.not.have.ownProperty("quotes");
+        rules.load(config).should.not.have.ownProperty("quotes");
 
         done();
     });
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Tests for complexity rule
+ */
+
+"use strict";
+
+let Solium = require("../../../../lib/solium");
+let wrappers = require("../../../utils/wrappers");
+let toContract = wrappers.toContract;
+
+let userConfig = {
+    "rules": {
+        "complexity": "error"
+    }
+};
+
+
+describe("[RULE] complexity: Acceptances", function() {
+
+    it("should accept functions within the threshold", function(done) {
+        let code = toContract(`
+            function foo() {
+                if (a && b) {} else if (c || d) {} else {}
+                for (uint i = 0; i < 10; i++) {}
+                while (e) {}
+                do {} while (f);
+                x = g ? 1 : 2;
+                y = h + i;
+            }
+
+            modifier bar() { require(a || b); _; }
+        `);
+
+        // foo has 8 decision points, so its complexity is 9
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        errors = Solium.lint(toContract("function foo() {}"), {
+            "rules": {
+                "complexity": ["error", 1]
+            }
+        });
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] complexity: Rejections", function() {
+
+    it("should reject functions exceeding the threshold", function(done) {
+        let code = toContract(`
+            function foo() {
+                if (a && b) {} else if (c || d) {} else {}
+                for (uint i = 0; i < 10; i++) {}
+                while (e) {}
+                do {} while (f);
+                x = g ? 1 : (h && i ? 2 : 3);
+            }
+        `);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(1);
+        errors [0].message.should.equal("Function 'foo' has a cyclomatic complexity of 11. Maximum allowed is 10.");
+
+        code = toContract(`
+            constructor() public { if (a) {} }
+            function() payable { require(a && b); }
+            modifier bar() { while (a) {} _; }
+            function baz() {}
+        `);
+        errors = Solium.lint(code, {
+            "rules": {
+                "complexity": ["error", 1]
+            }
+        });
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "Constructor has a cyclomatic complexity of 2. Maximum allowed is 1.",
+            "Fallback function has a cyclomatic complexity of 2. Maximum allowed is 1.",
+            "Modifier 'bar' has a cyclomatic complexity of 2. Maximum allowed is 1."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject invalid options", function(done) {
+        let code = toContract("");
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "complexity": ["error", 0]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "complexity": ["error", 1.5]
+            }
+        }).should.throw();
+
+        Solium.reset();
+        done();
+    });
+
+});
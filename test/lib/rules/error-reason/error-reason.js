@@ -6,6 +6,7 @@
 "use strict";
 
 const Solium = require("../../../../lib/solium"),
+    SourceCodeFixer = require("../../../../lib/autofix/source-code-fixer"),
     { toFunction } = require("../../../utils/wrappers");
 
 const userConfigDefault = {
@@ -122,3 +123,54 @@ describe("[RULE] error-reason: Rejections", function() {
 
 });
 
+describe("[RULE] error-reason: Suggestions", function() {
+
+    function applySuggestion(code, suggestion) {
+        return SourceCodeFixer.applyFixes(code, [{ line: 1, column: 0, fix: suggestion.fix }]).fixedSourceCode;
+    }
+
+    it("should suggest adding a placeholder error message", function(done) {
+        let code = toFunction("revert();\nrequire(1 == 1);"),
+            errors = Solium.lint(code, userConfigDefault);
+
+        errors.should.have.size(2);
+
+        errors.forEach(err => {
+            err.should.not.have.ownProperty("fix");
+            err.suggestions.should.have.size(1);
+            err.suggestions [0].desc.should.equal("Add a placeholder error message.");
+        });
+
+        applySuggestion(code, errors [0].suggestions [0])
+            .should.equal(toFunction("revert(\"<error message>\");\nrequire(1 == 1);"));
+        applySuggestion(code, errors [1].suggestions [0])
+            .should.equal(toFunction("revert();\nrequire(1 == 1, \"<error message>\");"));
+
+        Solium.reset();
+        done();
+    });
+
+    it("should not suggest an error message for require calls without a condition", function(done) {
+        let errors = Solium.lint(toFunction("require();"), userConfigDefault);
+
+        errors.should.have.size(1);
+        errors [0].should.not.have.ownProperty("suggestions");
+
+        Solium.reset();
+        done();
+    });
+
+    it("should never apply the suggestions when fixing", function(done) {
+        let code = toFunction("revert();"),
+            fixed = Solium.lintAndFix(code, userConfigDefault);
+
+        fixed.fixedSourceCode.should.equal(code);
+        fixed.fixesApplied.should.have.size(0);
+        fixed.errorMessages.should.have.size(1);
+        fixed.errorMessages [0].suggestions.should.have.size(1);
+
+        Solium.reset();
+        done();
+    });
+
+});
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Tests for file-layout rule
+ */
+
+"use strict";
+
+let Solium = require("../../../../lib/solium");
+let wrappers = require("../../../utils/wrappers");
+let toContract = wrappers.toContract;
+
+let userConfig = {
+    "rules": {
+        "file-layout": "error"
+    }
+};
+
+
+describe("[RULE] file-layout: Acceptances", function() {
+
+    it("should accept files laid out as per the style guide", function(done) {
+        let code = `pragma solidity ^0.4.0;
+pragma experimental "v0.5.0";
+
+import "./Base.sol";
+
+interface IToken {
+    function transfer(address to) external;
+}
+
+library SafeMath {}
+
+contract Token is Base {
+    using SafeMath for uint;
+
+    enum State { Active }
+    struct Holder { uint balance; }
+    uint balance;
+    event Transfer();
+    modifier onlyOwner() { _; }
+    constructor() public {}
+    function() payable {}
+    function a() external {}
+    function b() public {}
+    function c() {}
+    function d() internal {}
+    function e() private {}
+}
+
+contract Other {}
+`;
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should only check the order of categories present in the configured order", function(done) {
+        let userConfig = {
+            "rules": {
+                "file-layout": ["error", {
+                    "topLevel": ["pragma", "contract"],
+                    "contractMembers": ["stateVariable", "constructor", "private"]
+                }]
+            }
+        };
+        let code = `pragma solidity ^0.4.0;
+contract Foo {
+    function a() public {}
+    uint x;
+    function b() private {}
+    event E();
+}
+import "./Bar.sol";
+`;
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] file-layout: Rejections", function() {
+
+    it("should reject top-level declarations out of order", function(done) {
+        let code = `contract Foo {}
+library Bar {}
+pragma solidity ^0.4.0;
+import "./Baz.sol";
+interface IBaz {}
+`;
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => [e.line, e.message]).should.eql([
+            [2, "Libraries must be placed before contracts."],
+            [3, "Pragma directives must be placed before contracts."],
+            [4, "Import statements must be placed before contracts."],
+            [5, "Interfaces must be placed before contracts."]
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject contract members out of order", function(done) {
+        let code = toContract(`
+    function b() public {}
+    function a() external {}
+    event E();
+    struct S { uint a; }
+    function() payable {}
+`);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "External functions must be placed before public functions.",
+            "Events must be placed before public functions.",
+            "Type declarations must be placed before public functions.",
+            "The fallback function must be placed before public functions."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject members out of the configured order", function(done) {
+        let userConfig = {
+            "rules": {
+                "file-layout": ["error", { "contractMembers": ["modifier", "event", "private", "public"] }]
+            }
+        };
+        let code = toContract("event E(); modifier m() { _; } function a() {} function b() private {}"),
+            errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "Modifiers must be placed before events.",
+            "Private functions must be placed before public functions."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject invalid options", function(done) {
+        let code = toContract("");
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "file-layout": ["error", { "topLevel": ["pragma", "function"] }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "file-layout": ["error", { "contractMembers": ["event", "event"] }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "file-layout": ["error", { "contractMembers": [] }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "file-layout": ["error", { "order": ["pragma"] }]
+            }
+        }).should.throw();
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] file-layout: Fixes", function() {
+
+    it("should move declarations along with their comments", function(done) {
+        let code = `// Token contract
+contract Token is Base(1) {
+    // Transfers tokens
+    function transfer() public {} // trailing
+
+    /// @notice Balance of the owner
+    uint balance;
+    constructor() public {}
+    using SafeMath for uint;
+    struct S { uint a; }
+}
+
+import "./Base.sol";
+`;
+        let expected = `import "./Base.sol";
+
+// Token contract
+contract Token is Base(1) {
+    struct S { uint a; }
+
+    /// @notice Balance of the owner
+    uint balance;
+    constructor() public {}
+    using SafeMath for uint;
+    // Transfers tokens
+    function transfer() public {} // trailing
+}
+`;
+        let fixed = Solium.lintAndFix(code, userConfig);
+
+        fixed.fixedSourceCode.should.equal(expected);
+        fixed.errorMessages.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should keep declarations of the same category in their original order", function(done) {
+        let code = toContract("function c() private {} function a() {} function d() private {} function b() {}"),
+            expected = toContract("function a() {} function b() {} function c() private {} function d() private {}");
+
+        Solium.lintAndFix(code, userConfig).fixedSourceCode.should.equal(expected);
+
+        Solium.reset();
+        done();
+    });
+
+});
@@ -6,6 +6,7 @@
 "use strict";
 
 const Solium = require("../../../../lib/solium");
+const { toContract } = require("../../../utils/wrappers");
 const userConfig = {
     "rules": {
         "function-order": "error"
@@ -143,6 +144,47 @@ describe("[RULE] function-order: Acceptances", function() {
         done();
     });
 
+    it("should accept functions ordered as per the options", function(done) {
+        let code = toContract(`
+            modifier onlyOwner() { _; }
+            constructor() public {}
+            function receive() external payable {}
+            function() payable {}
+            function a() private {}
+            function b() private pure {}
+            function c() public {}
+            function d() public view {}
+            function e() constant {}
+            function f() public pure {}
+        `);
+        let config = {
+            "rules": {
+                "function-order": ["error", {
+                    "order": ["modifier", "constructor", "receive", "fallback", "private", "public"],
+                    "mutabilityOrder": ["non-view", "view", "pure"]
+                }]
+            }
+        };
+        let errors = Solium.lint(code, config);
+
+        errors.should.be.Array();
+        errors.should.have.size(0);
+
+        // Functions whose kind isn't part of the order aren't checked
+        config = {
+            "rules": {
+                "function-order": ["error", { "order": ["public"] }]
+            }
+        };
+        errors = Solium.lint(toContract("function a() private {} function b() public {}"), config);
+
+        errors.should.be.Array();
+        errors.should.have.size(0);
+
+        Solium.reset();
+        done();
+    });
+
 });
 
 
@@ -203,4 +245,126 @@ describe("[RULE] function-order: Rejections", function() {
         done();
     });
 
+    it("should reject functions ordered incorrectly as per the options", function(done) {
+        let config = {
+            "rules": {
+                "function-order": ["error", {
+                    "order": ["constructor", "receive", "fallback", "modifier", "external", "public"],
+                    "mutabilityOrder": ["non-view", "view", "pure"]
+                }]
+            }
+        };
+        let code = toContract(`
+            function() payable {}
+            function receive() external payable {}
+            modifier onlyOwner() { _; }
+            function a() external pure {}
+            function b() external view {}
+            function c() external {}
+            function d() public {}
+        `);
+        let errors = Solium.lint(code, config);
+
+        errors.should.be.Array();
+        errors.should.have.size(3);
+        errors.forEach(error => {
+            error.message.should.equal(
+                "Functions should be in order: constructor, receive, fallback, modifier, external, public " +
+                "(non-view, view, pure within each visibility)"
+            );
+        });
+
+        errors.map(e => e.line).should.eql([7, 10, 11]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject invalid options", function(done) {
+        let code = toContract("");
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "function-order": ["error", { "order": ["constructor", "event"] }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "function-order": ["error", { "order": ["public", "public"] }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "function-order": ["error", { "order": [] }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "function-order": ["error", { "mutabilityOrder": ["payable"] }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "function-order": ["error", { "visibilities": ["public"] }]
+            }
+        }).should.throw();
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] function-order: Fixes", function() {
+
+    it("should move functions into order along with their comments", function(done) {
+        let code = toContract(`
+    uint x;
+
+    /// @notice Does b
+    function b() public view {} // trailing
+    function a() public {}
+    uint y;
+    function() payable {}
+    constructor() public {}
+`);
+        let expected = toContract(`
+    uint x;
+
+    constructor() public {}
+    function() payable {}
+    uint y;
+    function a() public {}
+    /// @notice Does b
+    function b() public view {} // trailing
+`);
+        let config = {
+            "rules": {
+                "function-order": ["error", { "mutabilityOrder": ["non-view", "view"] }]
+            }
+        };
+        let fixed = Solium.lintAndFix(code, config);
+
+        fixed.fixedSourceCode.should.equal(expected);
+        fixed.errorMessages.should.have.size(0);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should keep functions with the same position in their original order", function(done) {
+        let code = toContract("function c() private {} function a() {} function d() private {} function b() {}"),
+            expected = toContract("function a() {} function b() {} function c() private {} function d() private {}");
+
+        Solium.lintAndFix(code, userConfig).fixedSourceCode.should.equal(expected);
+
+        Solium.reset();
+        done();
+    });
+
 });
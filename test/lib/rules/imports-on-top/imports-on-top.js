@@ -15,6 +15,9 @@ let userConfig = {
     }
 };
 
+// Fixes of multiple misplaced imports overlap, so a single pass of fixing only moves the first one
+let singlePassConfig = Object.assign({ options: { maxFixPasses: 1 } }, userConfig);
+
 
 describe("[RULE] imports-on-top: Acceptances", function() {
 
@@ -202,11 +205,18 @@ import "wow.sol";
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[1]);
 
-        result = Solium.lintAndFix(codes[2], userConfig);
+        result = Solium.lintAndFix(codes[2], singlePassConfig);
         result.errorMessages.should.be.size(2);
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[2]);
 
+        // Subsequent passes move the remaining imports
+        result = Solium.lintAndFix(codes[2], userConfig);
+        result.errorMessages.should.be.size(0);
+        result.fixesApplied.should.be.size(3);
+        result.passes.should.equal(3);
+        Solium.lint(result.fixedSourceCode, userConfig).should.be.size(0);
+
         Solium.reset();
         done();
     });
@@ -344,7 +354,7 @@ import "wow.sol";
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[1]);
 
-        result = Solium.lintAndFix(codes[2], userConfig);
+        result = Solium.lintAndFix(codes[2], singlePassConfig);
         result.errorMessages.should.be.size(2);
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[2]);
@@ -360,7 +370,7 @@ import "wow.sol";
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[4]);
 
-        result = Solium.lintAndFix(codes[5], userConfig);
+        result = Solium.lintAndFix(codes[5], singlePassConfig);
         result.errorMessages.should.be.size(2);
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[5]);
@@ -502,7 +512,7 @@ import "wow.sol";
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[1]);
 
-        result = Solium.lintAndFix(codes[2], userConfig);
+        result = Solium.lintAndFix(codes[2], singlePassConfig);
         result.errorMessages.should.be.size(2);
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[2]);
@@ -518,7 +528,7 @@ import "wow.sol";
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[4]);
 
-        result = Solium.lintAndFix(codes[5], userConfig);
+        result = Solium.lintAndFix(codes[5], singlePassConfig);
         result.errorMessages.should.be.size(2);
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[5]);
@@ -577,7 +587,7 @@ contract foo {}
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[1]);
 
-        result = Solium.lintAndFix(codes[2], userConfig);
+        result = Solium.lintAndFix(codes[2], singlePassConfig);
         result.errorMessages.should.be.size(1);
         result.fixesApplied.should.be.size(1);
         result.fixedSourceCode.should.equal(fixedCodes[2]);
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Tests for max-function-lines rule
+ */
+
+"use strict";
+
+let Solium = require("../../../../lib/solium");
+let wrappers = require("../../../utils/wrappers");
+let toContract = wrappers.toContract;
+
+let userConfig = {
+    "rules": {
+        "max-function-lines": "error"
+    }
+};
+
+function createFunction(header, bodyLineCount) {
+    return `${header} {\n${"        x++;\n".repeat(bodyLineCount)}    }`;
+}
+
+
+describe("[RULE] max-function-lines: Acceptances", function() {
+
+    it("should accept functions within the limit", function(done) {
+        let code = toContract([
+            createFunction("function foo()", 48),
+            createFunction("modifier bar()", 3),
+            "function baz();"
+        ].join("\n    "));
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        errors = Solium.lint(toContract(createFunction("constructor()", 3)), {
+            "rules": {
+                "max-function-lines": ["error", 5]
+            }
+        });
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] max-function-lines: Rejections", function() {
+
+    it("should reject functions exceeding the limit", function(done) {
+        let errors = Solium.lint(toContract(createFunction("function foo()", 49)), userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(1);
+        errors [0].message.should.equal("Function 'foo' has 51 lines. Maximum allowed is 50.");
+
+        let code = toContract([
+            createFunction("constructor()", 4),
+            createFunction("function()", 4),
+            createFunction("modifier bar()", 4),
+            createFunction("function baz()", 3)
+        ].join("\n    "));
+
+        errors = Solium.lint(code, {
+            "rules": {
+                "max-function-lines": ["error", 5]
+            }
+        });
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "Constructor has 6 lines. Maximum allowed is 5.",
+            "Fallback function has 6 lines. Maximum allowed is 5.",
+            "Modifier 'bar' has 6 lines. Maximum allowed is 5."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject invalid options", function(done) {
+        let code = toContract("");
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "max-function-lines": ["error", 0]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "max-function-lines": ["error", 2.5]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "max-function-lines": ["error", "10"]
+            }
+        }).should.throw();
+
+        Solium.reset();
+        done();
+    });
+
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Tests for max-nesting-depth rule
+ */
+
+"use strict";
+
+let Solium = require("../../../../lib/solium");
+let wrappers = require("../../../utils/wrappers");
+let toFunction = wrappers.toFunction;
+
+let userConfig = {
+    "rules": {
+        "max-nesting-depth": "error"
+    }
+};
+
+
+describe("[RULE] max-nesting-depth: Acceptances", function() {
+
+    it("should accept blocks nested within the limit", function(done) {
+        let code = toFunction(`
+            if (a) {
+                for (uint i = 0; i < 10; i++) {
+                    while (b) {
+                        do { x++; } while (c);
+                    }
+                }
+            } else if (d) {
+                if (e) {} else if (f) {} else if (g) {}
+            }
+
+            while (h) {}
+        `);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        errors = Solium.lint(toFunction("if (a) { if (b) {} } if (c) {}"), {
+            "rules": {
+                "max-nesting-depth": ["error", 2]
+            }
+        });
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] max-nesting-depth: Rejections", function() {
+
+    it("should reject blocks nested beyond the limit", function(done) {
+        let code = toFunction(`
+            if (a) {
+                for (uint i = 0; i < 10; i++) {
+                    while (b) {
+                        do {
+                            if (c) { x++; }
+                        } while (d);
+                    }
+                }
+            }
+        `);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(1);
+        errors [0].message.should.equal("Blocks are nested too deeply (5). Maximum allowed is 4.");
+
+        code = toFunction("if (a) {} else if (b) { while (c) { if (d) {} } }");
+        errors = Solium.lint(code, {
+            "rules": {
+                "max-nesting-depth": ["error", 2]
+            }
+        });
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(1);
+        errors [0].message.should.equal("Blocks are nested too deeply (3). Maximum allowed is 2.");
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject invalid options", function(done) {
+        let code = toFunction("");
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "max-nesting-depth": ["error", -1]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "max-nesting-depth": ["error", "4"]
+            }
+        }).should.throw();
+
+        Solium.reset();
+        done();
+    });
+
+});
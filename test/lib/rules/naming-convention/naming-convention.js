@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Tests for naming-convention rule
+ */
+
+"use strict";
+
+let Solium = require("../../../../lib/solium");
+let wrappers = require("../../../utils/wrappers");
+let toContract = wrappers.toContract;
+let addPragma = wrappers.addPragma;
+
+let userConfig = {
+    "rules": {
+        "naming-convention": "error"
+    }
+};
+
+
+describe("[RULE] naming-convention: Acceptances", function() {
+
+    it("should accept names following the default conventions", function(done) {
+        let code = addPragma(`
+            interface IToken { function transfer(address to, uint amount) external; }
+            library SafeMath {}
+            contract MyToken {
+                enum State { Active, Paused }
+                struct Holder { uint Balance; }
+                uint private _totalSupply;
+                uint public constant MAX_SUPPLY = 100;
+                event Transfer(address indexed from, address indexed to);
+                modifier onlyOwner() { _; }
+                function MyToken() {}
+                function() payable {}
+                function balanceOf(address _owner) public view returns (uint balance) {
+                    uint total_ = _owner.balance;
+                    var (a, b) = (1, 2);
+                    return total_;
+                }
+            }
+        `);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should accept names following the configured conventions", function(done) {
+        let userConfig = {
+            "rules": {
+                "naming-convention": ["error", {
+                    "stateVariable.private": { "prefix": "_", "format": "camelCase" },
+                    "modifier": { "regex": "^only[A-Z]" },
+                    "function.internal": { "format": "camelCase", "suffix": "Internal" },
+                    "local": { "format": "snake_case" }
+                }]
+            }
+        };
+        let code = toContract(`
+            uint private _balance;
+            uint internal counter;
+            modifier onlyAdmin() { _; }
+            function transferInternal(uint amount) internal { uint new_balance = amount; }
+        `);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should not check selectors configured with an empty convention", function(done) {
+        let userConfig = {
+            "rules": {
+                "naming-convention": ["error", { "stateVariable.constant": {}, "event": {} }]
+            }
+        };
+        let code = toContract("uint public constant maxSupply = 1; event transfer();"),
+            errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] naming-convention: Rejections", function() {
+
+    it("should reject names violating the default conventions", function(done) {
+        let code = addPragma(`
+            interface iToken {}
+            library safe_math {}
+            contract myToken {
+                enum state { Active }
+                struct holder { uint a; }
+                uint public TotalSupply;
+                uint constant maxSupply = 1;
+                event transfer(address From);
+                modifier OnlyOwner() { _; }
+                function Transfer(uint Amount) external { uint Total = Amount; }
+            }
+        `);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "Interface name 'iToken' doesn't follow the PascalCase format.",
+            "Library name 'safe_math' doesn't follow the PascalCase format.",
+            "Contract name 'myToken' doesn't follow the PascalCase format.",
+            "Enum name 'state' doesn't follow the PascalCase format.",
+            "Struct name 'holder' doesn't follow the PascalCase format.",
+            "Public state variable name 'TotalSupply' doesn't follow the camelCase format.",
+            "Constant name 'maxSupply' doesn't follow the UPPER_CASE format.",
+            "Event name 'transfer' doesn't follow the PascalCase format.",
+            "Parameter name 'From' doesn't follow the camelCase format.",
+            "Modifier name 'OnlyOwner' doesn't follow the camelCase format.",
+            "External function name 'Transfer' doesn't follow the camelCase format.",
+            "Parameter name 'Amount' doesn't follow the camelCase format.",
+            "Local variable name 'Total' doesn't follow the camelCase format."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should pick the most specific convention configured for a declaration", function(done) {
+        let userConfig = {
+            "rules": {
+                "naming-convention": ["error", {
+                    "function": { "format": "camelCase" },
+                    "function.private": { "prefix": "_" },
+                    "stateVariable": { "format": "camelCase" },
+                    "stateVariable.private": { "prefix": "_", "format": "camelCase" },
+                    "modifier": { "regex": "^only[A-Z]" }
+                }]
+            }
+        };
+        let code = toContract(`
+            uint private balance;
+            uint public Supply;
+            modifier whenPaused() { _; }
+            function transfer() private {}
+            function _burn() public {}
+        `);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "Private state variable name 'balance' should begin with '_'.",
+            "Public state variable name 'Supply' doesn't follow the camelCase format.",
+            "Modifier name 'whenPaused' doesn't match the pattern /^only[A-Z]/.",
+            "Private function name 'transfer' should begin with '_'."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject names without the configured suffix", function(done) {
+        let userConfig = {
+            "rules": {
+                "naming-convention": ["error", { "event": { "format": "PascalCase", "suffix": "Event" } }]
+            }
+        };
+        let code = toContract("event Transfer(); event ApprovalEvent();"),
+            errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(1);
+        errors [0].message.should.equal("Event name 'Transfer' should end with 'Event'.");
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject invalid options", function(done) {
+        let code = toContract("");
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "naming-convention": ["error", { "variable": { "format": "camelCase" } }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "naming-convention": ["error", { "contract": { "format": "kebab-case" } }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "naming-convention": ["error", { "contract": { "prefix": "" } }]
+            }
+        }).should.throw();
+
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "naming-convention": ["error", { "contract": { "format": "PascalCase", "foo": true } }]
+            }
+        }).should.throw();
+
+        // Patterns are validated when the config is loaded, not when the first name is checked against them
+        Solium.lint.bind(Solium, code, {
+            "rules": {
+                "naming-convention": ["error", { "modifier": { "regex": "^only[A-Z" } }]
+            }
+        }).should.throw(/^Invalid options were passed to rule "naming-convention"/);
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] naming-convention: Fixes", function() {
+
+    it("should rename parameters & local variables along with their references", function(done) {
+        let code = toContract(`
+            function transfer(address To, uint Amount) internal returns (bool Success) {
+                uint new_balance = balances[To] + Amount;
+                var (First, second) = (Amount, 1);
+                balances[To] = new_balance;
+                emit Sent({ Amount: Amount, x: msg.Amount });
+                Success = true;
+            }
+        `);
+        let expected = toContract(`
+            function transfer(address to, uint amount) internal returns (bool success) {
+                uint newBalance = balances[to] + amount;
+                var (first, second) = (amount, 1);
+                balances[to] = newBalance;
+                emit Sent({ Amount: amount, x: msg.Amount });
+                success = true;
+            }
+        `);
+        let fixed = Solium.lintAndFix(code, userConfig);
+
+        fixed.fixedSourceCode.should.equal(expected);
+        fixed.errorMessages.length.should.equal(0);
+        fixed.fixesApplied.length.should.equal(5);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should derive new names from the configured format, prefix & suffix", function(done) {
+        let userConfig = {
+            "rules": {
+                "naming-convention": ["error", {
+                    "parameter": { "format": "camelCase", "prefix": "_" },
+                    "local": { "format": "snake_case", "suffix": "_" }
+                }]
+            }
+        };
+        let code = toContract("modifier only(uint Amount) { uint totalValue = Amount; _; }"),
+            expected = toContract("modifier only(uint _amount) { uint total_value_ = _amount; _; }");
+
+        Solium.lintAndFix(code, userConfig).fixedSourceCode.should.equal(expected);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should not rename declarations if the renaming could affect code outside the function", function(done) {
+        let code = toContract(`
+            uint public total;
+            function foo(uint Total, uint Amount) { uint amount = 1; }
+            function bar() { uint Balance = 1; assembly { let x := Balance } }
+            function baz(uint Value) { uint Value = 1; }
+            event Transfer(uint Amount);
+        `);
+        let fixed = Solium.lintAndFix(code, userConfig);
+
+        fixed.fixedSourceCode.should.equal(code);
+        fixed.errorMessages.map(e => e.message).should.eql([
+            "Parameter name 'Total' doesn't follow the camelCase format.",
+            "Parameter name 'Amount' doesn't follow the camelCase format.",
+            "Local variable name 'Balance' doesn't follow the camelCase format.",
+            "Parameter name 'Value' doesn't follow the camelCase format.",
+            "Local variable name 'Value' doesn't follow the camelCase format.",
+            "Parameter name 'Amount' doesn't follow the camelCase format."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should not rename parameters that are part of the contract's ABI", function(done) {
+        let code = toContract(`
+            constructor(uint Initial_supply) public {}
+            function Do_thing(uint Amount_value, address To) public { uint Total = Amount_value; }
+            function transfer(address To) external {}
+        `);
+        let expected = toContract(`
+            constructor(uint Initial_supply) public {}
+            function Do_thing(uint Amount_value, address To) public { uint total = Amount_value; }
+            function transfer(address To) external {}
+        `);
+        let fixed = Solium.lintAndFix(code, userConfig);
+
+        fixed.fixedSourceCode.should.equal(expected);
+        fixed.errorMessages.map(e => e.message).should.eql([
+            "Parameter name 'Initial_supply' doesn't follow the camelCase format.",
+            "Public function name 'Do_thing' doesn't follow the camelCase format.",
+            "Parameter name 'Amount_value' doesn't follow the camelCase format.",
+            "Parameter name 'To' doesn't follow the camelCase format.",
+            "Parameter name 'To' doesn't follow the camelCase format."
+        ]);
+        fixed.fixesApplied.length.should.equal(1);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should not rename declarations of other kinds", function(done) {
+        let code = toContract("uint public TotalSupply; function Transfer() {} event transfer();"),
+            fixed = Solium.lintAndFix(code, userConfig);
+
+        fixed.fixedSourceCode.should.equal(code);
+        fixed.errorMessages.length.should.equal(3);
+
+        Solium.reset();
+        done();
+    });
+
+});
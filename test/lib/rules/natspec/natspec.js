@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Tests for natspec rule
+ */
+
+"use strict";
+
+let Solium = require("../../../../lib/solium");
+let wrappers = require("../../../utils/wrappers");
+let addPragma = wrappers.addPragma;
+
+let userConfig = {
+    "rules": {
+        "natspec": "error"
+    }
+};
+
+
+describe("[RULE] natspec: Acceptances", function() {
+
+    it("should accept fully documented contracts, events & functions", function(done) {
+        let code = addPragma(`
+/// @title Token
+/// @notice A simple token
+contract Token {
+    /**
+     * @dev Emitted on every transfer
+     * @param from The sender
+     * @param to The recipient
+     */
+    event Transfer(address indexed from, address indexed to, uint);
+
+    /**
+     * Transfer tokens to an account
+     * @param to The recipient
+     * @param amount Number of tokens
+     * @return Whether the transfer succeeded
+     */
+    // solium-disable-next-line security/no-tx-origin
+    function transfer(address to, uint amount) public returns (bool) {}
+
+    /// @notice Get the balance of an account
+    /// @param owner The account
+    /// @return balance The balance
+    function balanceOf(address owner) external view returns (uint balance) {}
+
+    function() payable {}
+    function Token() {}
+    function mint(uint amount) internal {}
+    function burn(uint amount) private {}
+}
+
+/// @dev Helpers
+library Helpers {}
+
+/** @notice Token interface */
+interface IToken {
+    /// @notice Total supply
+    /// @return The supply
+    function totalSupply() external returns (uint);
+}
+`);
+
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.length.should.equal(0);
+
+        Solium.reset();
+        done();
+    });
+
+});
+
+
+describe("[RULE] natspec: Rejections", function() {
+
+    it("should reject declarations without documentation", function(done) {
+        let code = addPragma(`
+// Regular comments aren't documentation
+contract Token {
+    event Transfer(address from);
+
+    /// @notice Documents the variable, not the function
+    uint x;
+    function transfer() {}
+
+    /* @notice Not a NatSpec comment */
+    function approve() external {}
+}
+
+library Helpers {}
+`);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "Contract 'Token' has no NatSpec documentation.",
+            "Event 'Transfer' has no NatSpec documentation.",
+            "Function 'transfer' has no NatSpec documentation.",
+            "Function 'approve' has no NatSpec documentation.",
+            "Library 'Helpers' has no NatSpec documentation."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should reject incomplete & stale documentation", function(done) {
+        let code = addPragma(`
+/// @title Token
+contract Token {
+    /// @notice Emitted on transfer
+    /// @param sender The sender
+    event Transfer(address from, address to);
+
+    /**
+     * @notice Transfer tokens
+     * @param to The recipient
+     * @param value Number of tokens
+     */
+    function transfer(address to, uint amount) public returns (bool) {}
+}
+`);
+        let errors = Solium.lint(code, userConfig);
+
+        errors.constructor.name.should.equal("Array");
+        errors.map(e => e.message).should.eql([
+            "Contract 'Token' should be documented with @notice or @dev.",
+            "Event 'Transfer' should document parameter 'from' with @param.",
+            "Event 'Transfer' should document parameter 'to' with @param.",
+            "Event 'Transfer' documents 'sender' with @param, but has no such parameter.",
+            "Function 'transfer' should document parameter 'amount' with @param.",
+            "Function 'transfer' documents 'value' with @param, but has no such parameter.",
+            "Function 'transfer' should document its return values with @return."
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
+});
@@ -25,7 +25,7 @@ describe("Checking Exported Solium API", function() {
     it("should be an instance of EventEmitter & expose a set of functions", function(done) {
         Solium.should.be.type("object");
         Solium.should.be.instanceof(EventEmitter);
-        Solium.should.have.size(11);
+        Solium.should.have.size(13);
 		
         Solium.should.have.ownProperty("reset");
         Solium.reset.should.be.type("function");
@@ -39,10 +39,15 @@ describe("Checking Exported Solium API", function() {
         Solium.reportInternal.should.be.type("function");
         Solium.should.have.ownProperty("getSourceCode");
         Solium.getSourceCode.should.be.type("function");
+        Solium.should.have.ownProperty("getCommentDirectives");
+        Solium.getCommentDirectives.should.be.type("function");
         Solium.should.have.ownProperty("getDefaultConfig");
         Solium.getDefaultConfig.should.be.type("function");
         Solium.should.have.ownProperty("version");
         Solium.version.should.be.type("string");
+        Solium.should.have.ownProperty("Linter");
+        Solium.Linter.should.be.type("function");
+        Solium.should.be.instanceof(Solium.Linter);
 
         done();
     });
@@ -749,6 +754,47 @@ describe("Checking Exported Solium API", function() {
         done();
     });
 
+    it("should pass the suggestions supplied to Solium.report() on to the user", function(done) {
+        let error = {
+            ruleName: "sample",
+            type: "warning",
+            message: "sample message",
+            location: { line: 1, column: 0 },
+            ruleMeta: { docs: { recommended: true, type: "warning", description: "sample" }, schema: [] },
+            node: { type: "Literal", start: 0, end: 8 },
+            suggest: [
+                { desc: "Rename", fix(fixer) { return fixer.replaceTextRange([9, 12], "Bar"); } },
+                { desc: "Not applicable here", fix(fixer) { return null; } }
+            ]
+        };
+
+        // Suggestions don't require the rule to be fixable
+        Solium.report(error);
+
+        let errors = Solium.lint("contract Foo {}", { rules: {}, options: { returnInternalIssues: true } }, true);
+
+        errors.should.have.size(1);
+        errors [0].should.not.have.ownProperty("fix");
+        errors [0].suggestions.should.eql([{ desc: "Rename", fix: { range: [9, 12], text: "Bar" } }]);
+
+        // If none of the suggestions apply, the message doesn't contain any
+        error.suggest = [{ desc: "Not applicable here", fix(fixer) { return null; } }];
+        Solium.report(error);
+
+        errors = Solium.lint("contract Foo {}", { rules: {} }, true);
+        errors.should.have.size(1);
+        errors [0].should.not.have.ownProperty("suggestions");
+
+        error.suggest = [{ desc: "Rename", fix(fixer) { return { range: [9] }; } }];
+        Solium.report.bind(Solium, error).should.throw(/suggestion "Rename"/);
+
+        error.suggest = [{ desc: "Rename" }];
+        Solium.report.bind(Solium, error).should.throw();
+
+        Solium.reset();
+        done();
+    });
+
     it("should work well with the pre-installed security plugin", function(done) {
         let config = {
             "plugins": ["security"]
@@ -809,6 +855,25 @@ describe("Checking Exported Solium API", function() {
         done();
     });
 
+    it("should apply overrides blocks matching the file name passed in options", done => {
+        const code = "contract Foo {\n\tfunction bar() {\n\t\tvar x = 'hello';\n\t\tx;\n\t}\n}",
+            config = {
+                "rules": { "quotes": "error" },
+                "overrides": [{ "files": ["test/*.sol"], "rules": { "quotes": "off" } }]
+            };
+
+        Solium.lint(code, config).should.have.size(1);
+
+        config.options = { filename: "contracts/Foo.sol" };
+        Solium.lint(code, config).should.have.size(1);
+
+        config.options = { filename: "test/Foo.sol" };
+        Solium.lint(code, config).should.have.size(0);
+
+        Solium.reset();
+        done();
+    });
+
 });
 
 /* eslint-enable no-unused-vars */
@@ -2175,4 +2240,158 @@ describe("Solium.lint() comment directives", () => {
         done();
     });
 
+    it("should respect solium-enable", done => {
+        const config = { rules: { quotes: "error", "no-empty-blocks": "error" } };
+        let code = `pragma solidity ^0.4.0;
+
+/* solium-disable quotes -- generated code */
+contract Foo {
+    string a = 'hello';
+    /* solium-enable quotes */
+    string b = 'hello';
+}
+
+contract Bar {}
+`;
+        let errors = Solium.lint(code, config);
+
+        errors.should.be.Array();
+        errors.should.have.size(2);
+        errors.map(err => [err.ruleName, err.line]).should.eql([["quotes", 7], ["no-empty-blocks", 10]]);
+
+        Solium.getCommentDirectives().should.eql([
+            { type: "disable", rules: ["quotes"], reason: "generated code", line: 3, column: 0 },
+            { type: "enable", rules: ["quotes"], reason: null, line: 6, column: 4 }
+        ]);
+
+        code = `pragma solidity ^0.4.0;
+
+// solium-disable
+contract Foo {
+    string a = 'hello';
+}
+// solium-enable no-empty-blocks
+contract Bar {
+    string b = 'hello';
+}
+
+contract Baz {}
+`;
+        errors = Solium.lint(code, config);
+
+        errors.should.be.Array();
+        errors.should.have.size(1);
+        errors [0].ruleName.should.equal("no-empty-blocks");
+        errors [0].line.should.equal(12);
+
+        Solium.reset();
+        Solium.getCommentDirectives().should.eql([]);
+
+        done();
+    });
+
+    it("should report unused disable directives when asked to", done => {
+        const config = {
+            rules: { quotes: "error", "no-empty-blocks": "error", indentation: "off" },
+            options: { reportUnusedDisableDirectives: true }
+        };
+        const code = `pragma solidity ^0.4.0;
+
+contract Foo {
+    string a = 'hello';    // solium-disable-line quotes, no-empty-blocks
+    string b = "hello";    // solium-disable-line
+    // solium-disable-next-line indentation, foo-bar -- legacy
+    string c = "hello";
+}
+`;
+        let errors = Solium.lint(code, config);
+
+        errors.should.be.Array();
+        errors.map(({ ruleName, type, message, line, column }) => ({ ruleName, type, message, line, column })).should.eql([
+            {
+                ruleName: "", type: "warning", line: 4, column: 27,
+                message: "Unused solium-disable-line directive (no issues were reported by rule \"no-empty-blocks\")."
+            },
+            {
+                ruleName: "", type: "warning", line: 5, column: 27,
+                message: "Unused solium-disable-line directive (no issues were reported)."
+            },
+            {
+                ruleName: "", type: "warning", line: 6, column: 4,
+                message: "Rule \"indentation\" named in solium-disable-next-line directive isn't loaded."
+            },
+            {
+                ruleName: "", type: "warning", line: 6, column: 4,
+                message: "Rule \"foo-bar\" named in solium-disable-next-line directive isn't loaded."
+            }
+        ]);
+
+        // Unused directives aren't reported by default
+        delete config.options;
+        Solium.lint(code, config).should.have.size(0);
+
+        Solium.reset();
+        done();
+    });
+
+    it("should apply rule configurations supplied by configuration comments", done => {
+        const config = { rules: { quotes: "error", "no-empty-blocks": "warning" } };
+        let code = `/* solium quotes: ["error", "single"], "no-empty-blocks": "off", "max-len": ["warning", 40] */
+pragma solidity ^0.4.0;
+
+contract Foo {
+    string a = 'hello';
+    string b = "hello world, this line is too long";
+}
+
+contract Bar {}
+`;
+        let errors = Solium.lint(code, config);
+
+        errors.should.be.Array();
+        errors.map(({ ruleName, type, line }) => [ruleName, type, line]).should.eql([
+            ["max-len", "warning", 6],
+            ["quotes", "error", 6]
+        ]);
+
+        // The configuration passed by the user isn't modified
+        config.rules.should.eql({ quotes: "error", "no-empty-blocks": "warning" });
+
+        // Invalid configurations are reported & ignored
+        code = `/* solium quotes: ["error", "backticks"], foo-bar: "error", "no-empty-blocks": "fatal" */
+/* solium quotes: ["error" */
+pragma solidity ^0.4.0;
+
+contract Bar {}
+`;
+        errors = Solium.lint(code, config);
+
+        errors.should.be.Array();
+        errors.map(({ ruleName, type, message, line, column }) => ({ ruleName, type, message, line, column })).should.eql([
+            {
+                ruleName: "", type: "error", line: 1, column: 0,
+                message: "Configuration comment: Invalid options were passed to rule \"quotes\"."
+            },
+            {
+                ruleName: "", type: "error", line: 1, column: 0,
+                message: "Configuration comment: \"foo-bar\" - No such rule exists."
+            },
+            {
+                ruleName: "", type: "error", line: 1, column: 0,
+                message: "Configuration comment: Invalid configuration value for rule \"no-empty-blocks\"."
+            },
+            {
+                ruleName: "", type: "error", line: 2, column: 0,
+                message: "Invalid configuration comment: Unbalanced brackets or quotes in configuration: quotes: [\"error\""
+            },
+            {
+                ruleName: "no-empty-blocks", type: "warning", line: 5, column: 13,
+                message: "Code contains empty block"
+            }
+        ]);
+
+        Solium.reset();
+        done();
+    });
+
 });
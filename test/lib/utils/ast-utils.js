@@ -101,6 +101,9 @@ describe("Testing astUtils Object", function() {
         astUtils.should.have.ownProperty("getColumn");
         astUtils.getColumn.should.be.type("function");
 
+        astUtils.should.have.ownProperty("describeFunction");
+        astUtils.describeFunction.should.be.type("function");
+
         done();
     });
 
@@ -374,6 +377,20 @@ describe("Testing astUtils Object", function() {
         done();
     });
 
+    it("should describe functions, constructors & modifiers upon calling describeFunction ()", function(done) {
+        let df = astUtils.describeFunction;
+
+        df({ type: "FunctionDeclaration", name: "transfer", start: 0, end: 10 }).should.equal("Function 'transfer'");
+        df({ type: "FunctionDeclaration", name: null, start: 0, end: 10 }).should.equal("Fallback function");
+        df({ type: "ConstructorDeclaration", start: 0, end: 10 }).should.equal("Constructor");
+        df({ type: "ModifierDeclaration", name: "onlyOwner", start: 0, end: 10 }).should.equal("Modifier 'onlyOwner'");
+
+        astUtils.describeFunction.bind(astUtils).should.throw();
+        astUtils.describeFunction.bind(astUtils, { name: "transfer" }).should.throw();
+
+        done();
+    });
+
 });
 
 /* eslint-enable no-mixed-spaces-and-tabs */
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Tests for lib/utils/baseline.js
+ */
+
+"use strict";
+
+const fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    baseline = require("../../../lib/utils/baseline");
+
+
+describe("Test baseline functions", () => {
+
+    const sourceCode = [
+        "pragma solidity ^0.4.0;",
+        "",
+        "",
+        "contract Foo {",
+        "    function bar() {",
+        "        uint x = 1;",
+        "    }",
+        "}"
+    ].join("\n");
+
+    const issues = [
+        { ruleName: "no-unused-vars", type: "error", message: "Variable 'x' is declared but never used.", line: 6, column: 13 },
+        { ruleName: "no-empty-blocks", type: "warning", message: "Function body is empty.", line: 5, column: 4 },
+        { internal: true, type: "warning", message: "[DEPRECATED] Rule \"foo\" is deprecated." }
+    ];
+
+    it("should have a set of functions exposed as API", done => {
+        baseline.should.have.ownProperty("DEFAULT_BASELINE_FILENAME");
+        baseline.DEFAULT_BASELINE_FILENAME.should.be.type("string");
+
+        baseline.should.have.ownProperty("create");
+        baseline.create.should.be.type("function");
+
+        baseline.should.have.ownProperty("addIssues");
+        baseline.addIssues.should.be.type("function");
+
+        baseline.should.have.ownProperty("filterIssues");
+        baseline.filterIssues.should.be.type("function");
+
+        baseline.should.have.ownProperty("load");
+        baseline.load.should.be.type("function");
+
+        baseline.should.have.ownProperty("write");
+        baseline.write.should.be.type("function");
+
+        done();
+    });
+
+    it("should record issues per file & never record internal issues", done => {
+        const data = baseline.create();
+
+        data.should.eql({ version: 1, issues: {} });
+
+        baseline.addIssues(data, path.join(process.cwd(), "contracts", "Foo.sol"), sourceCode, issues);
+        baseline.addIssues(data, "contracts/Bar.sol", sourceCode, issues.slice(0, 1));
+        baseline.addIssues(data, "contracts/Baz.sol", sourceCode, issues.slice(2));
+
+        Object.keys(data.issues).should.eql(["contracts/Foo.sol", "contracts/Bar.sol"]);
+        Object.keys(data.issues ["contracts/Foo.sol"]).should.have.size(2);
+        Object.keys(data.issues ["contracts/Bar.sol"]).should.have.size(1);
+
+        Object.keys(data.issues ["contracts/Foo.sol"]).forEach(fingerprint => {
+            fingerprint.should.match(/^no-(unused-vars|empty-blocks):[0-9a-f]{40}$/);
+            data.issues ["contracts/Foo.sol"] [fingerprint].should.equal(1);
+        });
+
+        done();
+    });
+
+    it("should only filter out issues present in the baseline", done => {
+        const data = baseline.create();
+        baseline.addIssues(data, "contracts/Foo.sol", sourceCode, issues.slice(0, 1));
+
+        baseline.filterIssues(data, "contracts/Foo.sol", sourceCode, issues).should.eql(issues.slice(1));
+
+        // Baselines are per file
+        baseline.filterIssues(data, "contracts/Bar.sol", sourceCode, issues).should.eql(issues);
+
+        // Filtering must not consume the baseline
+        baseline.filterIssues(data, "contracts/Foo.sol", sourceCode, issues).should.eql(issues.slice(1));
+
+        done();
+    });
+
+    it("should keep suppressing issues when their line numbers change", done => {
+        const data = baseline.create();
+        baseline.addIssues(data, "contracts/Foo.sol", sourceCode, issues.slice(0, 1));
+
+        const shiftedSource = "// SPDX-License-Identifier: MIT\n\n" + sourceCode,
+            shiftedIssue = Object.assign({}, issues [0], { line: 8 });
+
+        baseline.filterIssues(data, "contracts/Foo.sol", shiftedSource, [shiftedIssue]).should.eql([]);
+
+        // Re-indenting the code doesn't change the fingerprint either
+        baseline.filterIssues(data, "contracts/Foo.sol", sourceCode.replace(/ {4}/g, "\t"), issues.slice(0, 1))
+            .should.eql([]);
+
+        // But changing the code around the issue does
+        const changedSource = sourceCode.replace("uint x = 1;", "uint x = 2;");
+        baseline.filterIssues(data, "contracts/Foo.sol", changedSource, issues.slice(0, 1)).should.eql(issues.slice(0, 1));
+
+        done();
+    });
+
+    it("should only suppress as many occurrences of an issue as were recorded", done => {
+        const data = baseline.create(), duplicate = Object.assign({}, issues [0]);
+
+        baseline.addIssues(data, "contracts/Foo.sol", sourceCode, issues.slice(0, 1));
+        baseline.filterIssues(data, "contracts/Foo.sol", sourceCode, [issues [0], duplicate]).should.eql([duplicate]);
+
+        baseline.addIssues(data, "contracts/Foo.sol", sourceCode, issues.slice(0, 1));
+        baseline.filterIssues(data, "contracts/Foo.sol", sourceCode, [issues [0], duplicate]).should.eql([]);
+
+        done();
+    });
+
+    it("should write & load baseline files", done => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "solium-baseline-")),
+            filePath = path.join(tmpDir, "baseline.json"),
+            data = baseline.create();
+
+        baseline.addIssues(data, "contracts/Foo.sol", sourceCode, issues);
+        baseline.write(data, filePath);
+
+        baseline.load(filePath).should.eql(data);
+
+        fs.writeFileSync(filePath, "{ invalid json");
+        baseline.load.bind(baseline, filePath).should.throw(/^Unable to read baseline/);
+
+        fs.writeFileSync(filePath, JSON.stringify({ version: 2, issues: {} }));
+        baseline.load.bind(baseline, filePath).should.throw(/is not a valid baseline/);
+
+        fs.writeFileSync(filePath, JSON.stringify({ version: 1 }));
+        baseline.load.bind(baseline, filePath).should.throw(/is not a valid baseline/);
+
+        baseline.load.bind(baseline, path.join(tmpDir, "nonexistent.json")).should.throw(/^Unable to read baseline/);
+
+        fs.unlinkSync(filePath);
+        fs.rmdirSync(tmpDir);
+
+        done();
+    });
+
+});
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Tests for lib/utils/config-cascade.js
+ */
+
+"use strict";
+
+const path = require("path"),
+    { resolveRuleConfigLayers } = require("../../../lib/rules"),
+    configCascade = require("../../../lib/utils/config-cascade"),
+    configInspector = require("../../../lib/utils/config-inspector");
+
+const fixturesDir = path.join(__dirname, "fixtures/config-cascade");
+
+// Get the rule configs a merged config resolves to
+function resolveRules({ config, cascade }) {
+    return resolveRuleConfigLayers(config, { cascade }).reduce((rules, layer) => Object.assign(rules, layer.rules), {});
+}
+
+
+describe("Test config-cascade functions", () => {
+
+    it("should expose a set of functions", done => {
+        configCascade.should.be.type("object");
+        configCascade.SOLIUMRC_FILENAME.should.equal(".soliumrc.json");
+        configCascade.findConfigFiles.should.be.type("function");
+        configCascade.mergeConfigFiles.should.be.type("function");
+        configCascade.rebaseOverrides.should.be.type("function");
+        configCascade.resolveConfigForDirectory.should.be.type("function");
+
+        done();
+    });
+
+    it("should find soliumrc files from the nearest to the farthest and stop at root", done => {
+        const configFiles = configCascade.findConfigFiles(path.join(fixturesDir, "contracts/vendor"));
+
+        configFiles.map(cf => cf.filePath).should.eql([
+            path.join(fixturesDir, "contracts/vendor/.soliumrc.json"),
+            path.join(fixturesDir, "contracts/.soliumrc.json"),
+            path.join(fixturesDir, ".soliumrc.json")
+        ]);
+
+        configFiles [2].config.root.should.equal(true);
+
+        configCascade.findConfigFiles(path.join(fixturesDir, "contracts/empty")).should.have.length(2);
+        configCascade.findConfigFiles(fixturesDir).should.have.length(1);
+
+        done();
+    });
+
+    it("should return a single config as-is", done => {
+        const config = { "extends": "solium:all" };
+
+        configCascade.mergeConfigFiles([{ filePath: "/.soliumrc.json", config }]).should.eql({ config });
+        configCascade.mergeConfigFiles([{ filePath: "/.soliumrc.json", config }]).config.should.equal(config);
+        done();
+    });
+
+    it("should merge configs such that the nearest config wins", done => {
+        const mergedConfig = configCascade.resolveConfigForDirectory(path.join(fixturesDir, "contracts/vendor"), null, fixturesDir),
+            { config, cascade } = mergedConfig,
+            rules = resolveRules(mergedConfig);
+
+        // The configuration object itself is empty (and valid), so it doesn't contain anything that isn't part of a soliumrc
+        config.should.eql({ rules: {} });
+        configInspector.isValid(config).should.equal(true);
+
+        // Every file's configuration is kept apart, farthest first
+        cascade.should.eql([
+            {
+                file: ".soliumrc.json",
+                "extends": "solium:all",
+                rules: { quotes: ["error", "double"], indentation: ["error", 4] }
+            },
+            {
+                file: "contracts/.soliumrc.json",
+                plugins: ["security"],
+                rules: { indentation: ["error", "tab"] },
+                overrides: [{ files: ["contracts/**/*.t.sol", "contracts/mocks/*.sol"], rules: { "no-empty-blocks": "off" } }]
+            },
+            {
+                file: "contracts/vendor/.soliumrc.json",
+                "extends": "solium:recommended",
+                rules: { quotes: "off", "security/no-throw": "off" }
+            }
+        ]);
+
+        resolveRuleConfigLayers(config, { cascade }).map(l => l.source).should.eql([
+            ".soliumrc.json:extends:solium:all",
+            ".soliumrc.json:rules",
+            "contracts/.soliumrc.json:plugin:security",
+            "contracts/.soliumrc.json:rules",
+            "contracts/vendor/.soliumrc.json:extends:solium:recommended",
+            "contracts/vendor/.soliumrc.json:rules"
+        ]);
+
+        // Set by vendor/.soliumrc.json
+        rules ["quotes"].should.equal("off");
+        rules ["security/no-throw"].should.equal("off");
+
+        // Set by solium:recommended, which vendor/.soliumrc.json extends.
+        // It overrides the configuration of indentation in contracts/.soliumrc.json
+        rules ["indentation"].should.equal("warning");
+
+        // Set by the security plugin applied in contracts/.soliumrc.json
+        rules ["security/no-inline-assembly"].should.equal("error");
+
+        done();
+    });
+
+    it("should merge configs for a directory without its own soliumrc", done => {
+        const rules = resolveRules(configCascade.resolveConfigForDirectory(path.join(fixturesDir, "contracts/empty")));
+
+        rules ["quotes"].should.eql(["error", "double"]);
+        rules ["indentation"].should.eql(["error", "tab"]);
+        rules ["security/no-throw"].should.equal("error");
+
+        // Inherited from solium:all, which is only extended by the root config
+        rules ["camelcase"].should.equal("warning");
+
+        done();
+    });
+
+    it("should cache resolved configs by directory", done => {
+        const cache = new Map(), dir = path.join(fixturesDir, "contracts");
+        const config = configCascade.resolveConfigForDirectory(dir, cache);
+
+        cache.has(dir).should.equal(true);
+        configCascade.resolveConfigForDirectory(dir, cache).should.equal(config);
+
+        done();
+    });
+
+    it("should make glob patterns of overrides relative to the base directory", done => {
+        const config = {
+            rules: {},
+            overrides: [
+                { files: "*.sol", rules: { quotes: "off" } },
+                { files: ["test/*.sol", "./mocks/**/*.sol"], rules: { indentation: "off" } }
+            ]
+        };
+
+        configCascade.rebaseOverrides(config, "/proj", "/proj").should.equal(config);
+        configCascade.rebaseOverrides({ rules: {} }, "/proj/contracts", "/proj").should.eql({ rules: {} });
+
+        const rebased = configCascade.rebaseOverrides(config, "/proj/contracts", "/proj");
+
+        rebased.should.not.equal(config);
+        rebased.overrides.should.eql([
+            { files: ["contracts/**/*.sol"], rules: { quotes: "off" } },
+            { files: ["contracts/test/*.sol", "contracts/mocks/**/*.sol"], rules: { indentation: "off" } }
+        ]);
+
+        // Original config must not be modified
+        config.overrides [0].files.should.equal("*.sol");
+
+        configCascade.rebaseOverrides(config, "/proj", "/proj/contracts").overrides [0].files.should.eql(["../**/*.sol"]);
+
+        done();
+    });
+
+    it("should apply overrides of all configs after their rules, farthest first", done => {
+        const configFiles = [
+            {
+                filePath: path.join(fixturesDir, "contracts/.soliumrc.json"),
+                config: { rules: { quotes: "error" }, overrides: [{ files: "*.t.sol", rules: { quotes: "warning" } }] }
+            },
+            {
+                filePath: path.join(fixturesDir, ".soliumrc.json"),
+                config: {
+                    rules: { quotes: "off", indentation: "error" },
+                    overrides: [{ files: "contracts/*.t.sol", rules: { quotes: "off", indentation: "off" } }]
+                }
+            }
+        ];
+
+        const mergedConfig = configCascade.mergeConfigFiles(configFiles, fixturesDir), { config, cascade } = mergedConfig;
+
+        config.options = { filename: "contracts/Foo.t.sol" };
+
+        resolveRuleConfigLayers(config, { cascade }).map(l => l.source).should.eql([
+            ".soliumrc.json:rules",
+            "contracts/.soliumrc.json:rules",
+            ".soliumrc.json:overrides[0]",
+            "contracts/.soliumrc.json:overrides[0]"
+        ]);
+
+        resolveRules(mergedConfig).should.eql({ quotes: "warning", indentation: "off" });
+
+        configCascade.resolveConfigForDirectory(fixturesDir, null, fixturesDir).config.should.not.have.ownProperty("overrides");
+
+        done();
+    });
+
+    it("should report missing plugins & rulesets of the merged configs", done => {
+        const configFiles = [
+            { filePath: path.join(fixturesDir, "contracts/.soliumrc.json"), config: { "extends": "nonexistent-config" } },
+            { filePath: path.join(fixturesDir, ".soliumrc.json"), config: { rules: {} } }
+        ];
+
+        configCascade.mergeConfigFiles.bind(configCascade, configFiles, fixturesDir)
+            .should.throw(/^An error occured while resolving contracts\/\.soliumrc\.json: /);
+
+        done();
+    });
+
+    it("should refuse to merge deprecated config formats", done => {
+        const configFiles = [
+            { filePath: "/foo/.soliumrc.json", config: { rules: { "quotes": true } } },
+            { filePath: "/.soliumrc.json", config: { "extends": "solium:all", root: true } }
+        ];
+
+        configCascade.mergeConfigFiles.bind(configCascade, configFiles).should.throw(
+            "/foo/.soliumrc.json uses a deprecated configuration format which cannot be merged with other soliumrc files."
+        );
+
+        done();
+    });
+
+});
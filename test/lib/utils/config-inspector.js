@@ -51,6 +51,13 @@ describe("Test config-inspector functions", function() {
         configInspector.isValid({ rules: {}, options: {randomAttr: true} }).should.equal(false);
         configInspector.isValid({ rules: {}, randomAttr: {} }).should.equal(false);
         configInspector.isValid({ rules: {}, options: {returnInternalIssues: "hello"} }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: {maxFixPasses: 0} }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: {maxFixPasses: 2.5} }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: {maxFixPasses: "10"} }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: {fixRules: "quotes"} }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: {fixRules: [""]} }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: {fixTypes: ["cosmetic"]} }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: {reportUnusedDisableDirectives: "yes"} }).should.equal(false);
 
         configInspector.isValid({ plugins: [""], rules: {} }).should.equal(false);
         configInspector.isValid({ plugins: null, rules: {} }).should.equal(false);
@@ -100,6 +107,20 @@ describe("Test config-inspector functions", function() {
         configInspector.isValid({ "custom-rules-filename": "iuyu", extends: "sss" }).should.equal(false);
         configInspector.isValid({ extends: "sss", rules: {a: true} }).should.equal(false);
         configInspector.isValid({ "custom-rules-filename": "goaka", rules: {a: 1} }).should.equal(false);
+        configInspector.isValid({ root: "yes", extends: "sss" }).should.equal(false);
+        configInspector.isValid({ root: true }).should.equal(false);
+        configInspector.isValid({ rules: {}, overrides: {} }).should.equal(false);
+        configInspector.isValid({ rules: {}, overrides: [{ rules: {} }] }).should.equal(false);
+        configInspector.isValid({ rules: {}, overrides: [{ files: "*.sol" }] }).should.equal(false);
+        configInspector.isValid({ rules: {}, overrides: [{ files: [], rules: {} }] }).should.equal(false);
+        configInspector.isValid({ rules: {}, overrides: [{ files: "*.sol", rules: { a: true } }] }).should.equal(false);
+        configInspector.isValid({ rules: {}, overrides: [{ files: "*.sol", rules: {}, extends: "x" }] }).should.equal(false);
+        configInspector.isValid({ rules: {}, options: { filename: "" } }).should.equal(false);
+
+        // Rules supplied via commandline & configs of the merged soliumrc files are passed to Solium apart from the config
+        configInspector.isValid({ rules: {}, options: { commandlineRules: { quotes: "error" } } }).should.equal(false);
+        configInspector.isValid({ cascade: [{ file: ".soliumrc.json", rules: { quotes: "error" } }] }).should.equal(false);
+        configInspector.isValid({ rules: {}, cascade: [] }).should.equal(false);
 
         done();
     });
@@ -112,6 +133,9 @@ describe("Test config-inspector functions", function() {
         configInspector.isValid({ rules: {}, options: {} }).should.equal(true);
         configInspector.isValid({ rules: {}, extends: "lola", options: {} }).should.equal(true);
         configInspector.isValid({ rules: {}, options: {autofix: true} }).should.equal(true);
+        configInspector.isValid({ rules: {}, options: {autofix: true, maxFixPasses: 5} }).should.equal(true);
+        configInspector.isValid({ rules: {}, options: {autofix: true, fixRules: ["quotes"], fixTypes: ["layout"]} }).should.equal(true);
+        configInspector.isValid({ rules: {}, options: {reportUnusedDisableDirectives: true} }).should.equal(true);
         configInspector.isValid({ rules: {}, options: {returnInternalIssues: true} }).should.equal(true);
         configInspector.isValid({ rules: {}, options: {autofix: false, returnInternalIssues: true} }).should.equal(true);
         configInspector.isValid({ rules: {a: 1}, options: {autofix: false, returnInternalIssues: true} }).should.equal(true);
@@ -124,6 +148,14 @@ describe("Test config-inspector functions", function() {
         configInspector.isValid({ rules: {}, plugins: ["x"] }).should.equal(true);
         configInspector.isValid({ rules: {}, plugins: ["xy", "a-c_d"] }).should.equal(true);
         configInspector.isValid({ rules: {}, plugins: ["x"], options: {} }).should.equal(true);
+        configInspector.isValid({ root: true, extends: "ab" }).should.equal(true);
+        configInspector.isValid({ root: false, rules: {} }).should.equal(true);
+        configInspector.isValid({ rules: {}, overrides: [] }).should.equal(true);
+        configInspector.isValid({ rules: {}, overrides: [{ files: "*.sol", rules: {} }] }).should.equal(true);
+        configInspector.isValid({
+            extends: "ab", overrides: [{ files: ["a/*.sol", "b.sol"], rules: { a: ["error", 1] } }]
+        }).should.equal(true);
+        configInspector.isValid({ rules: {}, options: { filename: "contracts/Foo.sol" } }).should.equal(true);
 
         // Deprecated
         configInspector.isValid({ rules: {a: true} }).should.equal(true);
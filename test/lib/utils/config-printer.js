@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for lib/utils/config-printer.js
+ */
+
+"use strict";
+
+const path = require("path"),
+    configPrinter = require("../../../lib/utils/config-printer"),
+    configCascade = require("../../../lib/utils/config-cascade");
+
+
+describe("Test config-printer functions", () => {
+
+    it("should have a set of functions exposed as API", done => {
+        configPrinter.should.have.ownProperty("describeEffectiveConfig");
+        configPrinter.describeEffectiveConfig.should.be.type("function");
+
+        done();
+    });
+
+    it("describeEffectiveConfig() should annotate every rule with the layer that configured it", done => {
+        const config = {
+            "extends": "solium:all",
+            "plugins": ["security"],
+            "rules": {
+                "quotes": ["error", "single"],
+                "indentation": "error",
+                "security/no-throw": 0
+            },
+            "overrides": [
+                { "files": "contracts/*.sol", "rules": { "max-len": ["warning", 100] } },
+                { "files": "test/*.sol", "rules": { "quotes": "off" } }
+            ],
+            "options": { "filename": "contracts/Token.sol" }
+        };
+
+        const description = configPrinter.describeEffectiveConfig(config, {
+            commandlineRules: { "indentation": ["warning", 2] }
+        });
+
+        description.filename.should.equal("contracts/Token.sol");
+        description.extends.should.equal("solium:all");
+        description.plugins.should.eql(["security"]);
+
+        const { rules } = description;
+
+        rules.quotes.should.eql({ severity: "error", options: ["single"], source: "rules" });
+        rules.indentation.should.eql({ severity: "warning", options: [2], source: "commandline" });
+        rules ["max-len"].should.eql({ severity: "warning", options: [100], source: "overrides[0]" });
+        rules ["security/no-throw"].should.eql({ severity: "off", source: "rules" });
+        rules ["security/no-tx-origin"].source.should.equal("plugin:security");
+        rules ["no-empty-blocks"].source.should.equal("extends:solium:all");
+
+        Object.keys(rules).should.eql(Object.keys(rules).sort());
+
+        done();
+    });
+
+    it("describeEffectiveConfig() should attribute rules to the soliumrc files they were configured in", done => {
+        const fixturesDir = path.join(__dirname, "fixtures/config-cascade"),
+            { config, cascade } = configCascade.resolveConfigForDirectory(path.join(fixturesDir, "contracts/vendor"), null, fixturesDir);
+
+        config.options = { filename: "contracts/mocks/Token.sol" };
+
+        const description = configPrinter.describeEffectiveConfig(config, { cascade, commandlineRules: { quotes: "error" } });
+
+        description.configFiles.should.eql([
+            { file: ".soliumrc.json", extends: "solium:all", plugins: [] },
+            { file: "contracts/.soliumrc.json", extends: null, plugins: ["security"] },
+            { file: "contracts/vendor/.soliumrc.json", extends: "solium:recommended", plugins: [] }
+        ]);
+
+        const { rules } = description;
+
+        rules.quotes.should.eql({ severity: "error", source: "commandline" });
+        rules.indentation.source.should.equal("contracts/vendor/.soliumrc.json:extends:solium:recommended");
+        rules ["security/no-throw"].source.should.equal("contracts/vendor/.soliumrc.json:rules");
+        rules ["security/no-inline-assembly"].source.should.equal("contracts/.soliumrc.json:plugin:security");
+        rules ["no-empty-blocks"].should.eql({ severity: "off", source: "contracts/.soliumrc.json:overrides[0]" });
+
+        done();
+    });
+
+    it("describeEffectiveConfig() should handle minimal & unsupported configurations", done => {
+        configPrinter.describeEffectiveConfig({ rules: {} }).should.eql({
+            filename: null,
+            extends: null,
+            plugins: [],
+            rules: {},
+            note: "Configuration comments (/* solium ... */) inside the file are not included."
+        });
+
+        configPrinter.describeEffectiveConfig.bind(configPrinter, { rules: { quotes: true } })
+            .should.throw(/deprecated/);
+        configPrinter.describeEffectiveConfig.bind(configPrinter, { "extends": "nonexistent-config" })
+            .should.throw();
+
+        done();
+    });
+
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Tests for lib/utils/diff-utils.js
+ */
+
+"use strict";
+
+const path = require("path"),
+    diffUtils = require("../../../lib/utils/diff-utils");
+
+
+describe("Test diff-utils functions", () => {
+
+    it("should have a set of functions exposed as API", done => {
+        diffUtils.should.have.ownProperty("createUnifiedDiff");
+        diffUtils.createUnifiedDiff.should.be.type("function");
+
+        done();
+    });
+
+    it("createUnifiedDiff() should describe the changes made to the code", done => {
+        const fileName = path.join(process.cwd(), "contracts", "Foo.sol"),
+            original = "pragma solidity ^0.4.0;\n\n\ncontract Foo {\n    string s = 'hello';\n}\n",
+            fixed = "pragma solidity ^0.4.0;\n\n\ncontract Foo {\n    string s = \"hello\";\n}\n";
+
+        diffUtils.createUnifiedDiff(fileName, original, fixed).should.equal([
+            "--- a/contracts/Foo.sol",
+            "+++ b/contracts/Foo.sol",
+            "@@ -2,5 +2,5 @@",
+            " ",
+            " ",
+            " contract Foo {",
+            "-    string s = 'hello';",
+            "+    string s = \"hello\";",
+            " }",
+            ""
+        ].join("\n"));
+
+        diffUtils.createUnifiedDiff(fileName, original, original).should.equal("");
+
+        done();
+    });
+
+    it("createUnifiedDiff() should use names that aren't file paths as labels", done => {
+        const diff = diffUtils.createUnifiedDiff("[stdin]", "contract Foo {}\n", "contract Bar {}\n");
+
+        diff.should.startWith("--- a/[stdin]\n+++ b/[stdin]\n@@ -1,1 +1,1 @@\n");
+        diff.should.endWith("-contract Foo {}\n+contract Bar {}\n");
+
+        done();
+    });
+
+});
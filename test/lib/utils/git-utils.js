@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Tests for lib/utils/git-utils.js
+ */
+
+"use strict";
+
+const fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    { execFileSync } = require("child_process"),
+    gitUtils = require("../../../lib/utils/git-utils");
+
+
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(file => {
+        const filePath = path.join(dir, file);
+        fs.lstatSync(filePath).isDirectory() ? removeDir(filePath) : fs.unlinkSync(filePath);
+    });
+
+    fs.rmdirSync(dir);
+}
+
+
+describe("Test git-utils functions", () => {
+
+    it("should have a set of functions exposed as API", done => {
+        gitUtils.should.have.ownProperty("parseDiff");
+        gitUtils.parseDiff.should.be.type("function");
+
+        gitUtils.should.have.ownProperty("getChanges");
+        gitUtils.getChanges.should.be.type("function");
+
+        gitUtils.should.have.ownProperty("isLineInRanges");
+        gitUtils.isLineInRanges.should.be.type("function");
+
+        done();
+    });
+
+    it("parseDiff() should collect the lines added or modified in every file", done => {
+        const diff = [
+            "diff --git a/contracts/A.sol b/contracts/A.sol",
+            "index 3b18e51..a8c1a2b 100644",
+            "--- a/contracts/A.sol",
+            "+++ b/contracts/A.sol",
+            "@@ -3 +3 @@ contract A {",
+            "-    uint x;",
+            "+    uint y;",
+            "@@ -10,0 +11,4 @@ contract A {",
+            "+    function foo() {",
+            "+    }",
+            "+",
+            "+",
+            "@@ -20,2 +24,0 @@ contract A {",
+            "-    uint z;",
+            "-    uint w;",
+            "diff --git a/contracts/New.sol b/contracts/New.sol",
+            "new file mode 100644",
+            "--- /dev/null",
+            "+++ b/contracts/New.sol",
+            "@@ -0,0 +1,2 @@",
+            "+pragma solidity ^0.4.0;",
+            "+contract New {}",
+            "diff --git a/contracts/Mode.sol b/contracts/Mode.sol",
+            "old mode 100644",
+            "new mode 100755",
+            "diff --git a/contracts/Gone.sol b/contracts/Gone.sol",
+            "deleted file mode 100644",
+            "--- a/contracts/Gone.sol",
+            "+++ /dev/null",
+            "@@ -1 +0,0 @@",
+            "-contract Gone {}",
+            ""
+        ].join("\n");
+
+        gitUtils.parseDiff(diff).should.eql({
+            "contracts/A.sol": [[3, 3], [11, 14]],
+            "contracts/New.sol": [[1, 2]]
+        });
+
+        gitUtils.parseDiff("").should.eql({});
+
+        done();
+    });
+
+    it("isLineInRanges() should determine whether a line lies within any of the ranges", done => {
+        const ranges = [[3, 3], [11, 14]];
+
+        gitUtils.isLineInRanges(3, ranges).should.equal(true);
+        gitUtils.isLineInRanges(11, ranges).should.equal(true);
+        gitUtils.isLineInRanges(14, ranges).should.equal(true);
+
+        gitUtils.isLineInRanges(2, ranges).should.equal(false);
+        gitUtils.isLineInRanges(4, ranges).should.equal(false);
+        gitUtils.isLineInRanges(15, ranges).should.equal(false);
+        gitUtils.isLineInRanges(1, []).should.equal(false);
+
+        done();
+    });
+
+    it("getChanges() should find the changed Solidity files in a repository", done => {
+        const repoDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "solium-git-"))),
+            identity = ["-c", "user.name=Solium", "-c", "user.email=solium@example.com"],
+            git = (...args) => execFileSync("git", identity.concat(args), { cwd: repoDir, stdio: "pipe" }),
+            write = (file, contents) => fs.writeFileSync(path.join(repoDir, file), contents);
+
+        git("init", "-q");
+        write("A.sol", "contract A {\n    uint x;\n}\n");
+        write("B.sol", "contract B {}\n");
+        write("README.md", "hello\n");
+        git("add", "-A");
+        git("commit", "-q", "-m", "initial");
+
+        write("A.sol", "contract A {\n    uint x;\n    uint y;\n}\n");
+        write("C.sol", "contract C {}\n");
+        write("README.md", "hello world\n");
+
+        let changes = gitUtils.getChanges({ cwd: repoDir });
+        Array.from(changes.keys()).sort().should.eql([path.join(repoDir, "A.sol"), path.join(repoDir, "C.sol")]);
+        changes.get(path.join(repoDir, "A.sol")).should.eql([[3, 3]]);
+        (changes.get(path.join(repoDir, "C.sol")) === null).should.equal(true);
+
+        // Only staged changes
+        gitUtils.getChanges({ cwd: repoDir, staged: true }).size.should.equal(0);
+        git("add", "A.sol");
+        Array.from(gitUtils.getChanges({ cwd: repoDir, staged: true }).keys()).should.eql([path.join(repoDir, "A.sol")]);
+
+        // Changes since a ref
+        git("commit", "-q", "-m", "second");
+        gitUtils.getChanges({ cwd: repoDir, ref: "HEAD" }).has(path.join(repoDir, "A.sol")).should.equal(false);
+        gitUtils.getChanges({ cwd: repoDir, ref: "HEAD~1" }).get(path.join(repoDir, "A.sol")).should.eql([[3, 3]]);
+
+        gitUtils.getChanges.bind(gitUtils, { cwd: repoDir, ref: "nonexistent-ref" }).should.throw(/failed: /);
+
+        // Refs must not be passed to git as options
+        const outputFile = path.join(repoDir, "diff.txt");
+
+        gitUtils.getChanges.bind(gitUtils, { cwd: repoDir, ref: `--output=${outputFile}` })
+            .should.throw(/is not a valid git ref/);
+        fs.existsSync(outputFile).should.equal(false);
+
+        // Paths are found regardless of the prefixes configured for diffs
+        write("B.sol", "contract B {\n    uint x;\n}\n");
+
+        git("config", "diff.mnemonicPrefix", "true");
+        gitUtils.getChanges({ cwd: repoDir }).get(path.join(repoDir, "B.sol")).should.eql([[1, 3]]);
+
+        git("config", "diff.noprefix", "true");
+        gitUtils.getChanges({ cwd: repoDir }).get(path.join(repoDir, "B.sol")).should.eql([[1, 3]]);
+
+        removeDir(repoDir);
+        done();
+    });
+
+});
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Tests for lib/utils/lint-cache.js
+ */
+
+"use strict";
+
+const fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    lintCache = require("../../../lib/utils/lint-cache");
+
+
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+}
+
+
+describe("Test lint-cache functions", () => {
+
+    const sourceCode = "contract Foo {\n    string s = 'hello';\n}\n",
+        fileName = path.join(__dirname, "Foo.sol");
+
+    const result = {
+        lintErrors: [
+            { internal: true, type: "warning", message: "[Deprecated] Rule \"foo\" is deprecated.", line: -1, column: -1 },
+            { ruleName: "quotes", type: "error", message: "Use double quotes.", line: 2, column: 15 }
+        ]
+    };
+
+    function getConfig(config) {
+        return Object.assign({ rules: { quotes: "error" }, options: { autofix: false } }, config);
+    }
+
+    it("should have a set of functions exposed as API", done => {
+        lintCache.should.have.ownProperty("DEFAULT_CACHE_FILENAME");
+        lintCache.DEFAULT_CACHE_FILENAME.should.be.type("string");
+
+        ["create", "getKey", "getResult", "setResult", "load", "write"].forEach(name => {
+            lintCache.should.have.ownProperty(name);
+            lintCache [name].should.be.type("function");
+        });
+
+        done();
+    });
+
+    it("getKey() should change when the source code or the resolved configuration changes", done => {
+        const key = lintCache.getKey(sourceCode, getConfig());
+
+        key.should.be.type("string");
+        lintCache.getKey(sourceCode, getConfig()).should.equal(key);
+
+        // Options that don't affect the result don't affect the key either
+        lintCache.getKey(sourceCode, getConfig({ options: { autofix: false, returnInternalIssues: true } }))
+            .should.equal(key);
+
+        lintCache.getKey(sourceCode + "\n", getConfig()).should.not.equal(key);
+        lintCache.getKey(sourceCode, getConfig({ rules: { quotes: "warning" } })).should.not.equal(key);
+        lintCache.getKey(sourceCode, getConfig({ options: { autofix: true } })).should.not.equal(key);
+        lintCache.getKey(sourceCode, getConfig({ options: { autofix: true, fixTypes: ["layout"] } }))
+            .should.not.equal(lintCache.getKey(sourceCode, getConfig({ options: { autofix: true } })));
+        lintCache.getKey(sourceCode, getConfig({ options: { autofix: false, reportUnusedDisableDirectives: true } }))
+            .should.not.equal(key);
+
+        // So are the rules supplied via commandline
+        lintCache.getKey(sourceCode, getConfig(), { commandlineRules: { quotes: "warning" } }).should.not.equal(key);
+        lintCache.getKey(sourceCode, getConfig(), { commandlineRules: { quotes: "error" } }).should.equal(key);
+
+        // Rules configured via "extends" are part of the resolved configuration
+        const extendsKey = lintCache.getKey(sourceCode, getConfig({ extends: "solium:all" }));
+        extendsKey.should.not.equal(key);
+        lintCache.getKey(sourceCode, getConfig({ extends: "solium:recommended" })).should.not.equal(extendsKey);
+
+        // Configurations that can't be resolved can't be cached
+        (lintCache.getKey(sourceCode, getConfig({ extends: "non-existent-config" })) === null).should.equal(true);
+        (lintCache.getKey(sourceCode, getConfig({ plugins: ["non-existent"] })) === null).should.equal(true);
+
+        done();
+    });
+
+    it("getResult() should only return results stored for the same key", done => {
+        const cache = lintCache.create(), key = lintCache.getKey(sourceCode, getConfig());
+
+        (lintCache.getResult(cache, fileName, key, false) === null).should.equal(true);
+
+        lintCache.setResult(cache, fileName, key, result, true);
+
+        lintCache.getResult(cache, fileName, key, true).should.eql(result);
+        (lintCache.getResult(cache, fileName, "another-key", true) === null).should.equal(true);
+        (lintCache.getResult(cache, path.join(__dirname, "Bar.sol"), key, true) === null).should.equal(true);
+        (lintCache.getResult(cache, fileName, null, true) === null).should.equal(true);
+
+        done();
+    });
+
+    it("getResult() should only return internal issues if they were stored & requested", done => {
+        const cache = lintCache.create(), key = lintCache.getKey(sourceCode, getConfig());
+
+        lintCache.setResult(cache, fileName, key, result, true);
+        lintCache.getResult(cache, fileName, key, false).lintErrors.should.eql([result.lintErrors [1]]);
+
+        lintCache.setResult(cache, fileName, key, { lintErrors: [result.lintErrors [1]] }, false);
+        lintCache.getResult(cache, fileName, key, false).lintErrors.should.have.size(1);
+        (lintCache.getResult(cache, fileName, key, true) === null).should.equal(true);
+
+        done();
+    });
+
+    it("setResult() should not store results that modified the file or aborted linting", done => {
+        const cache = lintCache.create(), key = lintCache.getKey(sourceCode, getConfig());
+
+        lintCache.setResult(cache, fileName, key, { lintErrors: [], fixesApplied: [], fixedSourceCode: sourceCode }, false);
+        lintCache.getResult(cache, fileName, key, false).should.eql({ lintErrors: [], fixesApplied: [] });
+
+        lintCache.setResult(cache, fileName, key, { lintErrors: [], fixesApplied: [{}], fixedSourceCode: "" }, false);
+        (lintCache.getResult(cache, fileName, key, false) === null).should.equal(true);
+
+        const syntaxError = { error: { name: "SyntaxError", message: "Unexpected token", found: "{" } };
+        lintCache.setResult(cache, fileName, key, syntaxError, false);
+        lintCache.getResult(cache, fileName, key, false).should.eql(syntaxError);
+
+        lintCache.setResult(cache, fileName, key, { error: { name: "Error", message: "No such rule" } }, false);
+        (lintCache.getResult(cache, fileName, key, false) === null).should.equal(true);
+
+        done();
+    });
+
+    it("setResult() should store issues without their AST nodes", done => {
+        const cache = lintCache.create(), key = lintCache.getKey(sourceCode, getConfig()),
+            fix = { range: [30, 37], text: "\"hello\"" },
+            node = { type: "Literal", value: "hello", start: 30, end: 37 },
+            issue = { ruleName: "quotes", type: "error", message: "Use double quotes.", line: 2, column: 15, node, fix };
+
+        lintCache.setResult(cache, fileName, key, { lintErrors: [issue] }, false);
+        lintCache.getResult(cache, fileName, key, false).lintErrors.should.eql([
+            { ruleName: "quotes", type: "error", message: "Use double quotes.", line: 2, column: 15, fix }
+        ]);
+
+        // The result passed isn't modified
+        issue.node.should.equal(node);
+
+        done();
+    });
+
+    it("should write a cache to a file and read it back", done => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "solium-cache-")),
+            cachePath = path.join(tmpDir, lintCache.DEFAULT_CACHE_FILENAME),
+            cache = lintCache.create(), key = lintCache.getKey(sourceCode, getConfig());
+
+        lintCache.setResult(cache, __filename, key, result, true);
+        lintCache.setResult(cache, path.join(__dirname, "Removed.sol"), key, result, true);
+        lintCache.write(cache, cachePath);
+
+        const loaded = lintCache.load(cachePath);
+
+        lintCache.getResult(loaded, __filename, key, true).should.eql(result);
+
+        // Entries of files that don't exist anymore are dropped
+        Object.keys(loaded.files).should.have.size(1);
+
+        // Missing & invalid cache files result in an empty cache
+        lintCache.load(path.join(tmpDir, "non-existent")).should.eql(lintCache.create());
+
+        fs.writeFileSync(cachePath, "{ invalid json");
+        lintCache.load(cachePath).should.eql(lintCache.create());
+
+        fs.writeFileSync(cachePath, JSON.stringify({ version: 0, files: {} }));
+        lintCache.load(cachePath).should.eql(lintCache.create());
+
+        removeDir(tmpDir);
+        done();
+    });
+
+});
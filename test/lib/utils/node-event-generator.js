@@ -6,7 +6,8 @@
 "use strict";
 
 let EventGenerator = require("../../../lib/utils/node-event-generator"),
-    Solium = require("../../../lib/solium");
+    Solium = require("../../../lib/solium"),
+    EventEmitter = require("events").EventEmitter;
 
 describe("Testing EventGenerator instance for exposed functionality", function() {
 
@@ -17,7 +18,8 @@ describe("Testing EventGenerator instance for exposed functionality", function()
         generator.should.be.instanceof(EventGenerator);
 
         generator.should.have.ownProperty("emitter");
-        generator.emitter.constructor.name.should.equal("EventEmitter");
+        generator.emitter.should.be.instanceof(EventEmitter);
+        generator.emitter.constructor.name.should.equal("Linter");
 
         generator.should.have.property("enterNode");
         generator.enterNode.should.be.type("function");
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Tests for lib/utils/reporter-utils.js
+ */
+
+"use strict";
+
+const fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    reporterUtils = require("../../../lib/utils/reporter-utils");
+
+
+describe("Test reporter-utils functions", () => {
+
+    it("should have a set of functions exposed as API", done => {
+        reporterUtils.should.have.ownProperty("toSerializableIssue");
+        reporterUtils.toSerializableIssue.should.be.type("function");
+
+        reporterUtils.should.have.ownProperty("countIssues");
+        reporterUtils.countIssues.should.be.type("function");
+
+        reporterUtils.should.have.ownProperty("escapeXML");
+        reporterUtils.escapeXML.should.be.type("function");
+
+        reporterUtils.should.have.ownProperty("getReporterState");
+        reporterUtils.getReporterState.should.be.type("function");
+
+        reporterUtils.should.have.ownProperty("resetReporterState");
+        reporterUtils.resetReporterState.should.be.type("function");
+
+        reporterUtils.should.have.ownProperty("createFileOutput");
+        reporterUtils.createFileOutput.should.be.type("function");
+
+        reporterUtils.should.have.ownProperty("combineReporters");
+        reporterUtils.combineReporters.should.be.type("function");
+
+        done();
+    });
+
+    it("toSerializableIssue() should drop the AST node & fix packets", done => {
+        const issue = {
+            ruleName: "quotes",
+            type: "error",
+            node: { type: "Literal", start: 10, end: 15 },
+            message: "Use double quotes",
+            line: 2,
+            column: 4,
+            fix: { range: [10, 15], text: "\"foo\"" }
+        };
+
+        reporterUtils.toSerializableIssue(issue).should.eql({
+            ruleName: "quotes", type: "error", message: "Use double quotes", line: 2, column: 4, fixable: true
+        });
+
+        delete issue.fix;
+        reporterUtils.toSerializableIssue(issue).fixable.should.equal(false);
+
+        done();
+    });
+
+    it("escapeXML() should escape special characters & drop characters not allowed in XML", done => {
+        reporterUtils.escapeXML("hello world").should.equal("hello world");
+        reporterUtils.escapeXML("a < b && c > \"d\" || 'e'").should.equal(
+            "a &lt; b &amp;&amp; c &gt; &quot;d&quot; || &apos;e&apos;");
+        reporterUtils.escapeXML("tab\tnew\nline\u0000\u001b").should.equal("tab\tnew\nline");
+        reporterUtils.escapeXML(10).should.equal("10");
+
+        done();
+    });
+
+    it("countIssues() should count errors & warnings", done => {
+        reporterUtils.countIssues([]).should.eql({ errorCount: 0, warningCount: 0 });
+        reporterUtils.countIssues([
+            { type: "error" }, { type: "warning" }, { type: "error" }
+        ]).should.eql({ errorCount: 2, warningCount: 1 });
+
+        done();
+    });
+
+    it("getReporterState() should keep separate state for every reporter", done => {
+        const reporter = {}, instance = Object.create(reporter);
+
+        reporterUtils.getReporterState(reporter, () => []).push("foo");
+        reporterUtils.getReporterState(reporter, () => []).should.eql(["foo"]);
+        reporterUtils.getReporterState(instance, () => []).should.eql([]);
+
+        reporterUtils.resetReporterState(reporter);
+        reporterUtils.getReporterState(reporter, () => ({ count: 0 })).should.eql({ count: 0 });
+
+        done();
+    });
+
+    it("createFileOutput() should write everything to the file when ended", done => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "solium-reporter-")),
+            filePath = path.join(tmpDir, "reports", "nested", "solium.json"),
+            output = reporterUtils.createFileOutput(filePath);
+
+        output.filePath.should.equal(filePath);
+        output.isTTY.should.equal(false);
+
+        output.write("hello ");
+        output.write("world\n");
+        fs.existsSync(filePath).should.equal(false);
+
+        output.end();
+        fs.readFileSync(filePath, "utf8").should.equal("hello world\n");
+
+        // Ending the output again overwrites the file with whatever was written since
+        output.write("bye\n");
+        output.end();
+        fs.readFileSync(filePath, "utf8").should.equal("bye\n");
+
+        fs.unlinkSync(filePath);
+        fs.rmdirSync(path.dirname(filePath));
+        fs.rmdirSync(path.join(tmpDir, "reports"));
+        fs.rmdirSync(tmpDir);
+
+        done();
+    });
+
+    it("combineReporters() should supply reports to all reporters", done => {
+        const calls = [];
+
+        function createReporter(name, output) {
+            return {
+                output,
+                reportFatal(message) {
+                    calls.push([name, "fatal", message]);
+                },
+                reportInternal(message) {
+                    calls.push([name, "internal", message]);
+                },
+                report(filename, sourceCode, lintErrors, fixesApplied) {
+                    calls.push([name, "report", filename, lintErrors.length, fixesApplied]);
+
+                    // Mutating the list must not affect other reporters
+                    lintErrors.pop();
+                }
+            };
+        }
+
+        const fileOutput = { filePath: "foo.json", ended: 0, end() { this.ended++; } },
+            fileReporter = createReporter("file", fileOutput),
+            terminalReporter = createReporter("terminal", process.stdout);
+
+        fileReporter.finalize = () => calls.push(["file", "finalize"]);
+
+        const combined = reporterUtils.combineReporters([fileReporter, terminalReporter]);
+
+        combined.report("a.sol", "contract A {}", [{ type: "error" }, { type: "warning" }], [1]);
+        combined.reportInternal("careful");
+        combined.reportFatal("boom");
+        combined.finalize();
+
+        calls.should.eql([
+            ["file", "report", "a.sol", 2, [1]],
+            ["terminal", "report", "a.sol", 2, [1]],
+            ["file", "internal", "careful"],
+            ["terminal", "internal", "careful"],
+            ["terminal", "fatal", "boom"],
+            ["file", "finalize"]
+        ]);
+        fileOutput.ended.should.equal(1);
+
+        // If all reporters write to files, the first one reports fatal errors
+        calls.length = 0;
+        reporterUtils.combineReporters([fileReporter]).reportFatal("boom");
+        calls.should.eql([["file", "fatal", "boom"]]);
+
+        done();
+    });
+
+    it("combineReporters() should only report clean files to reporters that ask for them", done => {
+        const reported = [];
+
+        function createReporter(name, reportsCleanFiles) {
+            return {
+                output: process.stdout,
+                reportsCleanFiles,
+                reportFatal() {},
+                reportInternal() {},
+                report(filename) {
+                    reported.push([name, filename]);
+                }
+            };
+        }
+
+        let combined = reporterUtils.combineReporters([createReporter("all", true), createReporter("issues", false)]);
+
+        combined.reportsCleanFiles.should.equal(true);
+        combined.report("clean.sol", "contract A {}", [], []);
+        combined.report("fixed.sol", "contract B {}", [], [{ ruleName: "quotes" }]);
+        combined.report("issues.sol", "contract C {}", [{ type: "error" }]);
+
+        reported.should.eql([
+            ["all", "clean.sol"],
+            ["all", "fixed.sol"], ["issues", "fixed.sol"],
+            ["all", "issues.sol"], ["issues", "issues.sol"]
+        ]);
+
+        combined = reporterUtils.combineReporters([createReporter("issues")]);
+        combined.reportsCleanFiles.should.equal(false);
+
+        done();
+    });
+
+});
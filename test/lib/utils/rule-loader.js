@@ -27,7 +27,7 @@ describe("Test rule-loader functions", function() {
     it("should expose a set of constants", function(done) {
         ruleLoader.should.have.ownProperty("constants");
         ruleLoader.constants.should.be.type("object");
-        ruleLoader.constants.should.be.size(6);
+        ruleLoader.constants.should.be.size(7);
 
         ruleLoader.constants.should.have.ownProperty("SOLIUM_RULESET_ALL");
         ruleLoader.constants.SOLIUM_RULESET_ALL.should.be.type("string");
@@ -48,6 +48,9 @@ describe("Test rule-loader functions", function() {
         ruleLoader.constants.should.have.ownProperty("SOLIUM_SHARABLE_CONFIG_PREFIX");
         ruleLoader.constants.SOLIUM_SHARABLE_CONFIG_PREFIX.should.be.type("string");
 
+        ruleLoader.constants.should.have.ownProperty("SOLIUM_REPORTER_PREFIX");
+        ruleLoader.constants.SOLIUM_REPORTER_PREFIX.should.be.type("string");
+
         done();
     });
 
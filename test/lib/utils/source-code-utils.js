@@ -71,6 +71,9 @@ describe("Testing SourceCode instance for exposed functionality", function() {
         sourceCodeObject.should.have.property("isLoopStatement");
         sourceCodeObject.isLoopStatement.should.be.type("function");
 
+        sourceCodeObject.should.have.property("describeFunction");
+        sourceCodeObject.describeFunction.should.be.type("function");
+
         //prototype functions
         sourceCodeObject.should.have.property("getText");
         sourceCodeObject.getText.should.be.type("function");
@@ -78,6 +81,12 @@ describe("Testing SourceCode instance for exposed functionality", function() {
         sourceCodeObject.should.have.property("getTextOnLine");
         sourceCodeObject.getText.should.be.type("function");
 
+        sourceCodeObject.should.have.property("getComments");
+        sourceCodeObject.getComments.should.be.type("function");
+
+        sourceCodeObject.should.have.property("getRangesWithComments");
+        sourceCodeObject.getRangesWithComments.should.be.type("function");
+
         sourceCodeObject.should.have.property("getNextChar");
         sourceCodeObject.getNextChar.should.be.type("function");
 
@@ -293,4 +302,46 @@ describe("Testing SourceCode instance for exposed functionality", function() {
         done();
     });
 
+    it("should behave as expected upon calling getComments()", function(done) {
+        let comments = [
+                { text: "// hello", type: "Line", start: 0, end: 8 },
+                { text: "/* world */", type: "Block", start: 9, end: 20 }
+            ],
+            sourceCodeObject = new SourceCode("// hello\n/* world */\ncontract Foo {}", comments);
+
+        sourceCodeObject.getComments().should.eql(comments);
+
+        // Modifying the returned list must not affect the object
+        sourceCodeObject.getComments().pop();
+        sourceCodeObject.getComments().should.have.size(2);
+
+        new SourceCode(sourceCodeText).getComments().should.eql([]);
+
+        done();
+    });
+
+    it("should behave as expected upon calling getRangesWithComments()", function(done) {
+        let text = "contract A { // foo\n    // bar\n    uint x; // baz\n    /* qux */ uint y;\n}",
+            comments = [
+                { text: "// foo", type: "Line", start: 13, end: 19 },
+                { text: "// bar", type: "Line", start: 24, end: 30 },
+                { text: "// baz", type: "Line", start: 43, end: 49 },
+                { text: "/* qux */", type: "Block", start: 54, end: 63 }
+            ],
+            nodes = [
+                { type: "StateVariableDeclaration", start: 35, end: 42 },
+                { type: "StateVariableDeclaration", start: 64, end: 71 }
+            ],
+            sourceCodeObject = new SourceCode(text, comments);
+
+        // "// foo" follows the opening brace, so only the comments after it belong to the first node
+        sourceCodeObject.getRangesWithComments(nodes, 20).should.eql([[24, 49], [54, 71]]);
+        sourceCodeObject.getRangesWithComments(nodes).should.eql([[13, 49], [54, 71]]);
+
+        new SourceCode(text).getRangesWithComments(nodes).should.eql([[35, 42], [64, 71]]);
+        sourceCodeObject.getRangesWithComments([]).should.eql([]);
+
+        done();
+    });
+
 });